@@ -0,0 +1,57 @@
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+import mongoose from "mongoose";
+import { Product } from "../src/models/Product.model.js";
+import { getSpecFields, normalizeSpecs } from "../src/services/specSchema.service.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: join(__dirname, "../.env") });
+
+// Re-check every product's specs against its subcategory spec schema and fill
+// in the typed specValues used by spec filters. Products that don't pass are
+// left untouched and listed so they can be fixed in the admin panel.
+// Usage: node scripts/applySpecSchemas.js [--dry-run]
+const dryRun = process.argv.includes("--dry-run");
+
+async function apply() {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log("✅ Connected to MongoDB");
+
+    let updated = 0;
+    const failed = [];
+
+    for await (const product of Product.find()) {
+        const fields = await getSpecFields(product.category, product.subcategory);
+        const { specs, values, errors } = normalizeSpecs(product.specs, fields);
+
+        if (errors.length > 0) {
+            failed.push({ product, errors });
+            continue;
+        }
+
+        if (!dryRun) {
+            product.specs = specs;
+            product.specValues = values;
+            await product.save({ validateBeforeSave: false });
+        }
+        updated++;
+    }
+
+    console.log(`${dryRun ? "🔍 Would update" : "📦 Updated"} ${updated} products`);
+    if (failed.length > 0) {
+        console.log(`\n⚠️  ${failed.length} products need fixing:`);
+        failed.forEach(({ product, errors }) => {
+            console.log(`   - ${product.name} [${product._id}]`);
+            errors.forEach(e => console.log(`       ${e.key}: ${e.message}`));
+        });
+    }
+
+    await mongoose.disconnect();
+    process.exit(0);
+}
+
+apply().catch(err => {
+    console.error("❌ Error:", err.message);
+    process.exit(1);
+});
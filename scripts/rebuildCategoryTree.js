@@ -0,0 +1,38 @@
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+import mongoose from "mongoose";
+import { Category } from "../src/models/Category.model.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: join(__dirname, "../.env") });
+
+// Backfill slugs, paths and depths for categories saved before nesting existed.
+// Safe to re-run: pre('validate') recomputes everything from parent links.
+async function rebuild() {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log("✅ Connected to MongoDB");
+
+    await Category.createIndexes();
+
+    let count = 0;
+    let failed = 0;
+    for await (const category of Category.find()) {
+        try {
+            await category.save();
+            count++;
+        } catch (error) {
+            failed++;
+            console.log(`⚠️  ${category.id}: ${error.message}`);
+        }
+    }
+    console.log(`🌳 Rebuilt ${count} category trees${failed ? `, ${failed} need fixing` : ''}`);
+
+    await mongoose.disconnect();
+    process.exit(failed ? 1 : 0);
+}
+
+rebuild().catch(err => {
+    console.error("❌ Error:", err.message);
+    process.exit(1);
+});
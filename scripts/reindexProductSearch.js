@@ -0,0 +1,40 @@
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+import mongoose from "mongoose";
+import Redis from "ioredis";
+import { Product } from "../src/models/Product.model.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: join(__dirname, "../.env") });
+
+// Rebuild searchTerms for every product and make sure the text index exists.
+// Run once after deploying search, and after any bulk edit that bypassed save().
+async function reindex() {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log("✅ Connected to MongoDB");
+
+    await Product.createIndexes();
+    console.log("🔎 Search index ready");
+
+    let count = 0;
+    for await (const product of Product.find()) {
+        // pre('save') recomputes searchTerms
+        await product.save({ validateBeforeSave: false });
+        count++;
+    }
+    console.log(`📦 Reindexed ${count} products`);
+
+    const redis = new Redis(process.env.UPSTASH_REDIS_URL);
+    await redis.del("search_vocabulary");
+    console.log("🔴 Cleared Redis search_vocabulary cache");
+    redis.disconnect();
+
+    await mongoose.disconnect();
+    process.exit(0);
+}
+
+reindex().catch(err => {
+    console.error("❌ Error:", err.message);
+    process.exit(1);
+});
@@ -0,0 +1,47 @@
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+import mongoose from "mongoose";
+import { Category } from "../src/models/Category.model.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: join(__dirname, "../.env") });
+
+// Tags the stock FPV subcategories with the PC-builder step they supply.
+// Subcategories that already have a step are left alone; change tags
+// afterwards from the admin panel (buildStep on the subcategory).
+const DEFAULT_BINDINGS = {
+    frames: 'frame',
+    stack: 'stack',
+    motors: 'motors',
+    propellers: 'propellers',
+    'fpv-cameras': 'camera',
+    vtx: 'vtx',
+    receivers: 'receiver',
+    batteries: 'battery',
+};
+
+async function seed() {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log("✅ Connected to MongoDB");
+
+    let tagged = 0;
+    for (const category of await Category.find({ 'subcategories.id': { $in: Object.keys(DEFAULT_BINDINGS) } })) {
+        for (const sub of category.subcategories) {
+            if (!DEFAULT_BINDINGS[sub.id] || sub.buildStep) continue;
+            sub.buildStep = DEFAULT_BINDINGS[sub.id];
+            console.log(`   - ${category.id}/${sub.id} → ${sub.buildStep}`);
+            tagged++;
+        }
+        await category.save();
+    }
+    console.log(`🔧 Tagged ${tagged} subcategories with build steps`);
+
+    await mongoose.disconnect();
+    process.exit(0);
+}
+
+seed().catch(err => {
+    console.error("❌ Error:", err.message);
+    process.exit(1);
+});
@@ -0,0 +1,73 @@
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+import mongoose from "mongoose";
+import { CompatibilityRule } from "../src/models/CompatibilityRule.model.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: join(__dirname, "../.env") });
+
+// Starter FPV compatibility rules. Spec keys must match the subcategory spec
+// schemas; edit rules afterwards from the admin panel (/compatibility/rules).
+// Re-running updates rules with the same name instead of duplicating them.
+const DEFAULT_RULES = [
+    {
+        name: "Stack mounting pattern fits frame",
+        sourceSubcategories: ["stack", "flight-controllers", "esc"],
+        sourceSpec: "mount_pattern",
+        targetSubcategories: ["frames"],
+        targetSpec: "mount_pattern",
+        operator: "overlap",
+        severity: "error",
+        message: "{source} uses {sourceValue} mounting, but {target} takes {targetValue}",
+    },
+    {
+        name: "Propeller size fits frame",
+        sourceSubcategories: ["propellers"],
+        sourceSpec: "prop_size",
+        targetSubcategories: ["frames"],
+        targetSpec: "max_prop_size",
+        operator: "lte",
+        severity: "error",
+        message: "{source} ({sourceValue}) is too big for {target} (max {targetValue})",
+    },
+    {
+        name: "Battery cell count within motor/ESC rating",
+        sourceSubcategories: ["batteries"],
+        sourceSpec: "cells",
+        targetSubcategories: ["motors", "esc", "stack"],
+        targetSpec: "cells",
+        operator: "inRange",
+        severity: "error",
+        message: "{source} is {sourceValue}, but {target} is rated for {targetValue}",
+    },
+    {
+        name: "Battery connector matches ESC",
+        sourceSubcategories: ["batteries"],
+        sourceSpec: "connector",
+        targetSubcategories: ["esc", "stack"],
+        targetSpec: "connector",
+        operator: "equals",
+        severity: "warning",
+        message: "{source} has an {sourceValue} plug but {target} uses {targetValue} — you'll need an adapter",
+    },
+];
+
+async function seed() {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log("✅ Connected to MongoDB");
+
+    for (const rule of DEFAULT_RULES) {
+        await CompatibilityRule.findOneAndUpdate({ name: rule.name }, rule, { upsert: true, runValidators: true });
+        console.log(`   - ${rule.name}`);
+    }
+    console.log(`📐 Seeded ${DEFAULT_RULES.length} compatibility rules`);
+
+    await mongoose.disconnect();
+    process.exit(0);
+}
+
+seed().catch(err => {
+    console.error("❌ Error:", err.message);
+    process.exit(1);
+});
@@ -1,12 +1,14 @@
 import Order from "../models/Order.model.js";
 import {Product} from "../models/Product.model.js";
 import { User } from "../models/User.model.js";
+import { CartReminder } from "../models/CartReminder.model.js";
 import { sendMail } from "../services/mailer.services.js";
+import { initiateRefund, refundableBalance } from "../services/refund.service.js";
 
 export const getAnalyticsData = async (req, res) => {
 	try {
 		const totalUsers = await User.countDocuments();
-		const totalProducts = await Product.countDocuments();
+		const totalProducts = await Product.countDocuments({ status: { $ne: 'archived' } });
 
 		const salesData = await Order.aggregate([
 			{
@@ -30,6 +32,23 @@ export const getAnalyticsData = async (req, res) => {
 			},
 		]);
 
+		// Get return (RMA) breakdown
+		const returnStatusData = await Order.aggregate([
+			{ $unwind: "$returns" },
+			{
+				$group: {
+					_id: "$returns.status",
+					count: { $sum: 1 },
+					units: { $sum: "$returns.quantity" },
+					refundedAmount: {
+						$sum: {
+							$cond: [{ $eq: ["$returns.status", "refunded"] }, { $ifNull: ["$returns.refund.amount", 0] }, 0],
+						},
+					},
+				},
+			},
+		]);
+
 		// Get recent orders
 		const recentOrders = await Order.find()
 			.populate('user', 'name email')
@@ -65,6 +84,7 @@ export const getAnalyticsData = async (req, res) => {
 				totalSales,
 				totalRevenue,
 				orderStatusData,
+				returnStatusData,
 				recentOrders,
 				topProducts: topProductsWithDetails,
 			},
@@ -133,6 +153,54 @@ export const getDailySalesData = async (req, res) => {
 	}
 };
 
+// Abandoned-cart reminders sent in a date range and the orders they recovered
+export const getCartRecoveryStats = async (req, res) => {
+	try {
+		const { startDate, endDate } = req.query;
+
+		const start = startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+		const end = endDate ? new Date(endDate) : new Date();
+
+		const [stats] = await CartReminder.aggregate([
+			{ $match: { createdAt: { $gte: start, $lte: end } } },
+			{
+				$group: {
+					_id: null,
+					sent: { $sum: 1 },
+					converted: { $sum: { $cond: [{ $eq: ["$status", "converted"] }, 1, 0] } },
+					abandonedValue: { $sum: "$cartTotal" },
+					recoveredRevenue: { $sum: { $ifNull: ["$orderAmount", 0] } },
+					withCoupon: { $sum: { $cond: [{ $ifNull: ["$couponCode", false] }, 1, 0] } },
+					couponsRedeemed: { $sum: { $cond: ["$couponRedeemed", 1, 0] } },
+				},
+			},
+		]);
+
+		const { sent = 0, converted = 0, abandonedValue = 0, recoveredRevenue = 0, withCoupon = 0, couponsRedeemed = 0 } = stats || {};
+
+		res.status(200).json({
+			success: true,
+			data: {
+				sent,
+				converted,
+				conversionRate: sent > 0 ? Math.round((converted / sent) * 1000) / 10 : 0,
+				abandonedValue,
+				recoveredRevenue,
+				withCoupon,
+				couponsRedeemed,
+			},
+		});
+	} catch (error) {
+		if (process.env.NODE_ENV === 'development') {
+			console.error("Error in getCartRecoveryStats:", error);
+		}
+		res.status(500).json({
+			success: false,
+			message: "Failed to fetch cart recovery stats",
+		});
+	}
+};
+
 // Get all orders with filters
 export const getAllOrders = async (req, res) => {
 	try {
@@ -179,7 +247,7 @@ export const updateOrderStatus = async (req, res) => {
 		const { orderId } = req.params;
 		const { status, trackingUrl } = req.body;
 
-		const validStatuses = ["pending", "processing", "shipped", "delivered", "cancelled"];
+		const validStatuses = ["pending", "processing", "shipped", "delivered", "cancelled", "returned"];
 		
 		if (!validStatuses.includes(status)) {
 			return res.status(400).json({
@@ -191,6 +259,14 @@ export const updateOrderStatus = async (req, res) => {
 		const updateFields = { orderStatus: status };
 		if (trackingUrl !== undefined) updateFields.trackingUrl = trackingUrl;
 
+		const previous = await Order.findById(orderId).select('orderStatus');
+		if (!previous) {
+			return res.status(404).json({
+				success: false,
+				message: "Order not found",
+			});
+		}
+
 		const order = await Order.findByIdAndUpdate(
 			orderId,
 			updateFields,
@@ -198,11 +274,18 @@ export const updateOrderStatus = async (req, res) => {
 		).populate('user', 'name email')
 		 .populate('products.product', 'name coverImage price');
 
-		if (!order) {
-			return res.status(404).json({
-				success: false,
-				message: "Order not found",
+		// Cancelling a paid order refunds it
+		if (status === 'cancelled' && previous.orderStatus !== 'cancelled' && order.cashfreePaymentId) {
+			// Returns may already have refunded part of it
+			const refundResult = await initiateRefund(order, {
+				amount: refundableBalance(order),
+				reason: req.body.reason || 'Order cancelled by XRoboFly',
+				initiatedBy: 'admin',
+				customer: order.user,
 			});
+			if (!refundResult.success) {
+				console.error('Refund on cancellation failed:', refundResult.error);
+			}
 		}
 
 		// Send shipping notification email
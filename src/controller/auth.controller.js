@@ -5,6 +5,7 @@ import { sendMail } from "../services/mailer.services.js";
 import { getClientIp, parseUserAgent, getLocationFromIp, formatDate } from "../services/getIP.js";
 import envConfig from "../config/env.config.js";
 import { generateOTP, getOTPExpiry } from "../utils/otp.js";
+import { mergeGuestCart } from "../services/guestCart.service.js";
 import { logger } from "../utils/logger.js";
 import { OAuth2Client } from "google-auth-library";
 import crypto from "crypto";
@@ -186,6 +187,7 @@ export const verifyOTP = async (req, res) => {
         const { accessToken, refreshToken } = generateTokens(user._id);
         await storeRefreshToken(user._id, refreshToken);
         setCookies(res, accessToken, refreshToken);
+        await mergeGuestCart(req, res, user);
 
         // Fire-and-forget welcome email — don't block the verify response
         sendMail(
@@ -285,6 +287,7 @@ export const login = async (req, res) => {
             const { accessToken, refreshToken } = generateTokens(user._id);
             await storeRefreshToken(user._id, refreshToken);
             setCookies(res, accessToken, refreshToken);
+            await mergeGuestCart(req, res, user);
 
             // Fire-and-forget — don't block the login response
             const ipAddress = getClientIp(req);
@@ -690,6 +693,7 @@ export const googleAuth = async (req, res) => {
 
         // Set cookies
         setCookies(res, accessToken, refreshToken);
+        await mergeGuestCart(req, res, user);
 
         // Send login notification for all Google logins
         const ipAddress = getClientIp(req);
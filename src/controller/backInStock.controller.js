@@ -0,0 +1,166 @@
+import mongoose from "mongoose";
+import { Product } from "../models/Product.model.js";
+import { StockSubscription } from "../models/StockSubscription.model.js";
+
+// Open subscriptions a customer can hold at once
+const MAX_SUBSCRIPTIONS_PER_USER = 50;
+
+// POST /product/:id/notify-me { variantId } — email me when this is back in stock
+export const subscribeBackInStock = async (req, res) => {
+	try {
+		if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+			return res.status(400).json({ message: "Invalid product ID" });
+		}
+
+		const product = await Product.findById(req.params.id);
+		if (!product || !Product.isVisible(product)) {
+			return res.status(404).json({ message: "Product not found" });
+		}
+
+		let resolved;
+		try {
+			resolved = product.resolveVariant(req.body.variantId);
+		} catch (variantError) {
+			return res.status(400).json({ message: variantError.message });
+		}
+
+		if (resolved.stock > 0) {
+			return res.status(400).json({ message: `${resolved.displayName} is in stock` });
+		}
+
+		const variant = resolved.variant?._id || null;
+		const existing = await StockSubscription.findOne({ user: req.user._id, product: product._id, variant, status: 'pending' });
+		if (existing) {
+			return res.status(200).json({ success: true, message: "You're already on the list", subscription: existing });
+		}
+
+		const open = await StockSubscription.countDocuments({ user: req.user._id, status: 'pending' });
+		if (open >= MAX_SUBSCRIPTIONS_PER_USER) {
+			return res.status(400).json({ message: `You can watch up to ${MAX_SUBSCRIPTIONS_PER_USER} products at a time` });
+		}
+
+		const subscription = await StockSubscription.create({
+			user: req.user._id,
+			email: req.user.email,
+			product: product._id,
+			variant,
+		});
+
+		res.status(201).json({
+			success: true,
+			message: `We'll email you when ${resolved.displayName} is back in stock`,
+			subscription,
+		});
+	} catch (error) {
+		console.log("Error in subscribeBackInStock controller", error.message);
+		// Two taps at once: the unique index keeps one
+		if (error.code === 11000) {
+			return res.status(200).json({ success: true, message: "You're already on the list" });
+		}
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// DELETE /product/:id/notify-me?variantId=
+export const unsubscribeBackInStock = async (req, res) => {
+	try {
+		if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+			return res.status(400).json({ message: "Invalid product ID" });
+		}
+
+		const { variantId } = req.query;
+		if (variantId && !mongoose.Types.ObjectId.isValid(variantId)) {
+			return res.status(400).json({ message: "Invalid variant ID" });
+		}
+
+		const subscription = await StockSubscription.findOneAndUpdate(
+			{ user: req.user._id, product: req.params.id, variant: variantId || null, status: 'pending' },
+			{ status: 'cancelled' },
+			{ new: true }
+		);
+		if (!subscription) {
+			return res.status(404).json({ message: "You aren't watching this product" });
+		}
+
+		res.status(200).json({ success: true, message: "You won't be notified about this product" });
+	} catch (error) {
+		console.log("Error in unsubscribeBackInStock controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// GET /product/notify-me — the customer's open subscriptions
+export const getMySubscriptions = async (req, res) => {
+	try {
+		const subscriptions = await StockSubscription.find({ user: req.user._id, status: 'pending' })
+			.sort({ createdAt: -1 })
+			.populate("product", "name coverImage price stock variants status");
+
+		res.status(200).json({
+			success: true,
+			subscriptions: subscriptions.map(subscription => {
+				const product = subscription.product;
+				const variant = product && subscription.variant ? product.variants.id(subscription.variant) : null;
+				return {
+					_id: subscription._id,
+					createdAt: subscription.createdAt,
+					variantId: subscription.variant,
+					product: product && {
+						_id: product._id,
+						name: product.name,
+						coverImage: product.coverImage,
+						price: variant ? variant.price : product.price,
+						variantLabel: variant?.label || null,
+					},
+				};
+			}),
+		});
+	} catch (error) {
+		console.log("Error in getMySubscriptions controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// GET /product/admin/stock-alerts — what customers are waiting for, most wanted first
+export const getStockAlertDemand = async (req, res) => {
+	try {
+		const { limit = 50 } = req.query;
+		const safeLimit = Math.min(parseInt(limit), 100);
+
+		const demand = await StockSubscription.aggregate([
+			{ $match: { status: 'pending' } },
+			{
+				$group: {
+					_id: { product: '$product', variant: '$variant' },
+					waiting: { $sum: 1 },
+					oldest: { $min: '$createdAt' },
+				},
+			},
+			{ $sort: { waiting: -1, oldest: 1 } },
+			{ $limit: safeLimit },
+		]);
+
+		const products = await Product.find({ _id: { $in: demand.map(row => row._id.product) } })
+			.select("name sku stock variants");
+
+		res.status(200).json({
+			success: true,
+			items: demand.map(row => {
+				const product = products.find(p => p._id.equals(row._id.product));
+				const variant = product && row._id.variant ? product.variants.id(row._id.variant) : null;
+				return {
+					productId: row._id.product,
+					variantId: row._id.variant,
+					name: product ? (variant ? `${product.name} - ${variant.label}` : product.name) : null,
+					sku: variant?.sku || product?.sku || null,
+					stock: variant ? variant.stock : product?.stock ?? null,
+					waiting: row.waiting,
+					waitingSince: row.oldest,
+				};
+			}),
+		});
+	} catch (error) {
+		console.log("Error in getStockAlertDemand controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
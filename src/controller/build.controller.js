@@ -0,0 +1,273 @@
+import mongoose from "mongoose";
+import { Build } from "../models/Build.model.js";
+import {
+	BUILD_STEPS,
+	getStep,
+	normalizeBuildItems,
+	summarizeBuild,
+	getStepOptions,
+	getStepBindings,
+} from "../services/buildConfigurator.service.js";
+
+const MAX_SAVED_BUILDS = 50;
+
+const frontendUrl = () =>
+	process.env.FRONTEND_URL?.split(',').find(u => u.startsWith('https://'))?.trim() || 'https://xrobofly.com';
+
+const shareUrlFor = (build) => `${frontendUrl()}/build/${build.shareId}`;
+
+const findOwnBuild = async (req) => {
+	if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+	return Build.findOne({ _id: req.params.id, user: req.user._id });
+};
+
+// Add every line of a build to the user's cart, or nothing if any line can't be bought
+const addItemsToCart = async (user, items, res) => {
+	const summary = await summarizeBuild(items);
+	if (summary.errors.length > 0) {
+		return res.status(400).json({ message: "Some parts of this build can't be added to the cart", errors: summary.errors });
+	}
+
+	for (const step of summary.steps) {
+		if (!step.selection) continue;
+		user.addCartItem(step.selection.productId, step.selection.variantId, step.selection.quantity, step.selection.price);
+	}
+	await user.save();
+
+	res.status(200).json({
+		success: true,
+		message: "Build added to cart",
+		cartItems: user.cartItems,
+		conflicts: summary.conflicts,
+	});
+};
+
+// GET /build/steps — the configurator's steps in order, with the subcategories each draws from
+export const getBuildSteps = async (req, res) => {
+	try {
+		const bindings = await getStepBindings();
+		const steps = BUILD_STEPS.map(step => ({
+			...step,
+			subcategories: bindings.get(step.key).map(({ category, subcategories }) => ({ category, subcategory: subcategories[0] })),
+		}));
+		res.status(200).json({ success: true, steps });
+	} catch (error) {
+		console.log("Error in getBuildSteps controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// GET /build/steps/:step/options?selected=id,id — choices that fit the parts picked so far
+export const getBuildStepOptions = async (req, res) => {
+	try {
+		const step = getStep(req.params.step);
+		if (!step) {
+			return res.status(404).json({ message: "Build step not found" });
+		}
+
+		const { selected = '', page = 1, limit = 20, sortBy = 'soldCount', sortOrder = 'desc' } = req.query;
+		const selectedIds = String(selected).split(',').map(id => id.trim()).filter(id => mongoose.Types.ObjectId.isValid(id));
+
+		const safeLimit = Math.min(parseInt(limit), 100);
+		const safePage = Math.max(parseInt(page), 1);
+		const validSortFields = ['price', 'rating', 'soldCount', 'name'];
+		const sort = { [validSortFields.includes(sortBy) ? sortBy : 'soldCount']: sortOrder === 'asc' ? 1 : -1 };
+
+		const { products, total } = await getStepOptions(step.key, selectedIds, { page: safePage, limit: safeLimit, sort });
+
+		res.status(200).json({
+			success: true,
+			step,
+			products,
+			totalPages: Math.ceil(total / safeLimit),
+			currentPage: safePage,
+			total,
+		});
+	} catch (error) {
+		console.log("Error in getBuildStepOptions controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// POST /build/preview — totals and checks for an unsaved build
+export const previewBuild = async (req, res) => {
+	try {
+		const { items, error } = normalizeBuildItems(req.body.items);
+		if (error) {
+			return res.status(400).json({ message: error });
+		}
+
+		const summary = await summarizeBuild(items);
+		res.status(200).json({ success: true, ...summary });
+	} catch (error) {
+		console.log("Error in previewBuild controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// POST /build/cart — add an unsaved build to the cart
+export const addBuildToCart = async (req, res) => {
+	try {
+		const { items, error } = normalizeBuildItems(req.body.items);
+		if (error) {
+			return res.status(400).json({ message: error });
+		}
+		if (items.length === 0) {
+			return res.status(400).json({ message: "Build is empty" });
+		}
+
+		await addItemsToCart(req.user, items, res);
+	} catch (error) {
+		console.log("Error in addBuildToCart controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// POST /build/:id/cart — add a saved build to the cart
+export const addSavedBuildToCart = async (req, res) => {
+	try {
+		const build = await findOwnBuild(req);
+		if (!build) {
+			return res.status(404).json({ message: "Build not found" });
+		}
+
+		await addItemsToCart(req.user, build.items, res);
+	} catch (error) {
+		console.log("Error in addSavedBuildToCart controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// POST /build/shared/:shareId/cart — add someone's shared build to my cart
+export const addSharedBuildToCart = async (req, res) => {
+	try {
+		const build = await Build.findOne({ shareId: req.params.shareId });
+		if (!build) {
+			return res.status(404).json({ message: "Build not found" });
+		}
+
+		await addItemsToCart(req.user, build.items, res);
+	} catch (error) {
+		console.log("Error in addSharedBuildToCart controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// GET /build — my saved builds
+export const getMyBuilds = async (req, res) => {
+	try {
+		const builds = await Build.find({ user: req.user._id })
+			.sort({ updatedAt: -1 })
+			.populate("items.product", "name coverImage price");
+
+		res.status(200).json({
+			success: true,
+			builds: builds.map(build => ({ ...build.toJSON(), shareUrl: shareUrlFor(build) })),
+		});
+	} catch (error) {
+		console.log("Error in getMyBuilds controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// POST /build — save a build
+export const saveBuild = async (req, res) => {
+	try {
+		const { items, error } = normalizeBuildItems(req.body.items);
+		if (error) {
+			return res.status(400).json({ message: error });
+		}
+
+		const count = await Build.countDocuments({ user: req.user._id });
+		if (count >= MAX_SAVED_BUILDS) {
+			return res.status(400).json({ message: `You can save up to ${MAX_SAVED_BUILDS} builds` });
+		}
+
+		const build = await Build.create({ user: req.user._id, name: req.body.name, items });
+		const summary = await summarizeBuild(build.items);
+
+		res.status(201).json({ success: true, build, shareUrl: shareUrlFor(build), summary });
+	} catch (error) {
+		console.log("Error in saveBuild controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// GET /build/:id — one of my builds with live prices
+export const getBuild = async (req, res) => {
+	try {
+		const build = await findOwnBuild(req);
+		if (!build) {
+			return res.status(404).json({ message: "Build not found" });
+		}
+
+		const summary = await summarizeBuild(build.items);
+		res.status(200).json({ success: true, build, shareUrl: shareUrlFor(build), summary });
+	} catch (error) {
+		console.log("Error in getBuild controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// PUT /build/:id — rename or change parts
+export const updateBuild = async (req, res) => {
+	try {
+		const build = await findOwnBuild(req);
+		if (!build) {
+			return res.status(404).json({ message: "Build not found" });
+		}
+
+		if (req.body.items !== undefined) {
+			const { items, error } = normalizeBuildItems(req.body.items);
+			if (error) {
+				return res.status(400).json({ message: error });
+			}
+			build.items = items;
+		}
+		if (req.body.name !== undefined) build.name = req.body.name;
+
+		await build.save();
+		const summary = await summarizeBuild(build.items);
+
+		res.status(200).json({ success: true, build, shareUrl: shareUrlFor(build), summary });
+	} catch (error) {
+		console.log("Error in updateBuild controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// DELETE /build/:id
+export const deleteBuild = async (req, res) => {
+	try {
+		const build = await findOwnBuild(req);
+		if (!build) {
+			return res.status(404).json({ message: "Build not found" });
+		}
+
+		await build.deleteOne();
+		res.status(200).json({ success: true, message: "Build deleted successfully" });
+	} catch (error) {
+		console.log("Error in deleteBuild controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// GET /build/shared/:shareId — public view of a shared build
+export const getSharedBuild = async (req, res) => {
+	try {
+		const build = await Build.findOne({ shareId: req.params.shareId }).select("-user");
+		if (!build) {
+			return res.status(404).json({ message: "Build not found" });
+		}
+
+		const summary = await summarizeBuild(build.items);
+		res.status(200).json({
+			success: true,
+			build: { name: build.name, items: build.items, shareId: build.shareId, updatedAt: build.updatedAt },
+			summary,
+		});
+	} catch (error) {
+		console.log("Error in getSharedBuild controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
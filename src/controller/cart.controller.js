@@ -1,26 +1,84 @@
 	import { Product } from "../models/Product.model.js";
+	import { findCartConflicts } from "../services/compatibility.service.js";
+	import { getGuestCartId, ensureGuestCartId, getGuestCart, saveGuestCart } from "../services/guestCart.service.js";
+	import { findUsableCoupon, priceItems } from "../services/pricing.service.js";
+	import { checkCartLine, validateCart, fixCartLines } from "../services/cartValidation.service.js";
+	import { verifyUnsubscribeToken } from "../services/cartRecovery.service.js";
+	import { User } from "../models/User.model.js";
+
+	// Saved-for-later items a customer can keep
+	const MAX_SAVED_ITEMS = 100;
+
+	// A cart line is identified by product + chosen variant (if any)
+	const isSameCartItem = (item, productId, variantId) => {
+		return item.product.toString() === productId.toString() &&
+			(item.variant?.toString() || null) === (variantId?.toString() || null);
+	};
+
+	// The warning that stops this cart line ({ product, variant, quantity }) being saved, if any
+	const findStockIssue = (item, product) => {
+		const { warnings } = checkCartLine(item, product);
+		return warnings.find((warning) => warning.type !== 'price_changed') || null;
+	};
+
+	// The signed-in user's cartItems, or the visitor's guest cart in Redis.
+	// save(items) stores the new lines and returns what the response should show.
+	const openCart = async (req, res, { create = false } = {}) => {
+		if (req.user) {
+			return {
+				items: req.user.cartItems,
+				save: async (items) => {
+					req.user.cartItems = items;
+					await req.user.save();
+					return req.user.cartItems;
+				},
+			};
+		}
+
+		const cartId = create ? ensureGuestCartId(req, res) : getGuestCartId(req);
+		return {
+			items: await getGuestCart(cartId),
+			save: (items) => cartId ? saveGuestCart(cartId, items) : [],
+		};
+	};
 
 	export const getCartProducts = async (req, res) => {
 		try {
-			// Get product IDs from cart items
-			const productIds = req.user.cartItems.map(item => item.product);
-			
-			// Find all products
-			const products = await Product.find({
-				_id: { $in: productIds }
-			});
+			const cart = await openCart(req, res);
 
-			// Attach quantity to each product
-			const cartItems = products.map((product) => {
-				const item = req.user.cartItems.find((cartItem) => {
-					return cartItem.product.toString() === product._id.toString();
-				});
+			const { products, lines } = await validateCart(cart.items);
 
-				return {
+			// One entry per cart line, so two variants of the same product show separately.
+			// Lines whose product or variant is gone are reported by GET /cart/validate.
+			const cartItems = [];
+			for (const { item, product, resolved, warnings } of lines) {
+				if (!resolved) continue;
+
+				cartItems.push({
 					...product.toJSON(),
+					price: resolved.price,
+					regularPrice: resolved.regularPrice,
+					salePrice: resolved.sale ? resolved.price : null,
+					sale: resolved.sale,
+					lowestPrice30d: resolved.lowestPrice30d,
+					originalPrice: resolved.originalPrice,
+					stock: resolved.stock,
+					weight: resolved.weight,
+					variantId: resolved.variant?._id || null,
+					variant: resolved.variant ? resolved.variant.toJSON() : null,
 					quantity: item.quantity,
-				};
-			});
+					priceAtAdd: item.priceAtAdd ?? null,
+					warnings,
+				});
+			}
+
+			// Flag parts that don't fit together (e.g. 20x20 stack with a 30.5x30.5 frame)
+			const conflicts = await findCartConflicts(products.filter(p =>
+				cartItems.some(item => item._id.toString() === p._id.toString())
+			));
+			for (const item of cartItems) {
+				item.compatibilityWarnings = conflicts.filter(c => c.productIds.includes(item._id.toString()));
+			}
 
 			res.status(200).json(cartItems);
 
@@ -33,28 +91,82 @@
 		}
 	};
 
+	// GET /cart/summary?couponCode= — what checkout would charge for this cart right now.
+	// Lines that can no longer be bought are listed under `unavailable` and left out of the totals;
+	// quantities above stock are priced as asked, with a warning.
+	export const getCartSummary = async (req, res) => {
+		try {
+			const cart = await openCart(req, res);
+			const { lines, warnings } = await validateCart(cart.items);
+			const priced = lines.filter(line => line.purchasable).map(({ item, product, resolved }) => ({ product, resolved, quantity: item.quantity }));
+			const unavailable = lines.filter(line => !line.purchasable).map(({ item }) => ({ productId: item.product, variantId: item.variant || null }));
+
+			let coupon = null;
+			let couponError = null;
+			if (req.query.couponCode) {
+				const found = await findUsableCoupon(req.query.couponCode, req.user);
+				coupon = found.coupon || null;
+				couponError = found.error || null;
+			}
+
+			const { lines: pricedLines, ...totals } = priceItems(priced, { coupon });
+			const items = pricedLines.map((line, i) => {
+				const { product, resolved } = priced[i];
+				return {
+					productId: product._id,
+					variantId: resolved.variant?._id || null,
+					name: resolved.displayName,
+					image: resolved.image,
+					regularPrice: resolved.regularPrice,
+					sale: resolved.sale,
+					...line,
+				};
+			});
+
+			res.status(200).json({ success: true, items, unavailable, warnings, ...totals, couponError });
+		} catch (error) {
+			console.log("Error in getCartSummary controller", error.message);
+			res.status(500).json({ message: "Server error", error: error.message });
+		}
+	};
+
 
 	export const addToCart = async (req, res) => {
 		try {
-			const { productId } = req.body;
-			const user = req.user;
+			const { productId, variantId } = req.body;
 
 			// Check if product exists
 			const product = await Product.findById(productId);
-			if (!product) {
+			if (!product || !Product.isVisible(product)) {
 				return res.status(404).json({ message: "Product not found" });
 			}
 
-			// Check if item already in cart
-			const existingItem = user.cartItems.find((item) => item.product.toString() === productId);
+			// Products with variants must be added with a valid variant
+			let resolved;
+			try {
+				resolved = product.resolveVariant(variantId);
+			} catch (variantError) {
+				return res.status(400).json({ message: variantError.message });
+			}
+			const selectedVariantId = resolved.variant?._id || null;
+
+			// Bumps the quantity if this product/variant is already in the cart
+			const cart = await openCart(req, res, { create: true });
+			const items = [...cart.items];
+			const existingItem = items.find((item) => isSameCartItem(item, productId, selectedVariantId));
+			const quantity = (existingItem?.quantity || 0) + 1;
+			const stockIssue = findStockIssue({ product: productId, variant: selectedVariantId, quantity }, product);
+			if (stockIssue) {
+				return res.status(400).json({ message: stockIssue.message, warning: stockIssue });
+			}
+
 			if (existingItem) {
-				existingItem.quantity += 1;
+				existingItem.quantity = quantity;
 			} else {
-				user.cartItems.push({ product: productId, quantity: 1 });
+				items.push({ product: productId, variant: selectedVariantId, quantity, priceAtAdd: resolved.price });
 			}
 
-			await user.save();
-			res.status(200).json(user.cartItems);
+			res.status(200).json(await cart.save(items));
 		} catch (error) {
 			console.log("Error in addToCart controller", error.message);
 			res.status(500).json({ message: "Server error", error: error.message });
@@ -63,37 +175,50 @@
 
 	export const removeAllFromCart = async (req, res) => {
 		try {
-			const { productId } = req.body;
-			const user = req.user;
+			const { productId, variantId } = req.body;
+			const cart = await openCart(req, res);
+			let items;
 			if (!productId) {
-				user.cartItems = [];
+				items = [];
+			} else if (variantId) {
+				items = cart.items.filter((item) => !isSameCartItem(item, productId, variantId));
 			} else {
-				user.cartItems = user.cartItems.filter((item) => item.product.toString() !== productId);
+				items = cart.items.filter((item) => item.product.toString() !== productId);
 			}
-			await user.save();
-			res.status(200).json(user.cartItems);
+			res.status(200).json(await cart.save(items));
 		} catch (error) {
 			res.status(500).json({ message: "Server error", error: error.message });
-		}   
+		}
 	};
 
 	export const updateQuantity = async (req, res) => {
 		try {
 			const { id: productId } = req.params;
-			const { quantity } = req.body;
-			const user = req.user;
-			const existingItem = user.cartItems.find((item) => item.product.toString() === productId);
+			const { quantity, variantId } = req.body;
+			if (!Number.isInteger(quantity) || quantity < 0) {
+				return res.status(400).json({ message: "Quantity must be a whole number of 0 or more" });
+			}
+			const cart = await openCart(req, res);
+			const existingItem = cart.items.find((item) => isSameCartItem(item, productId, variantId));
 
 			if (existingItem) {
 				if (quantity === 0) {
-					user.cartItems = user.cartItems.filter((item) => item.product.toString() !== productId);
-					await user.save();
-					return res.json(user.cartItems);
+					return res.json(await cart.save(cart.items.filter((item) => !isSameCartItem(item, productId, variantId))));
+				}
+
+				// Only raising the quantity needs stock; lowering it is always allowed
+				if (quantity > existingItem.quantity) {
+					const stockIssue = findStockIssue(
+						{ product: productId, variant: existingItem.variant, quantity },
+						await Product.findById(productId)
+					);
+					if (stockIssue) {
+						return res.status(400).json({ message: stockIssue.message, warning: stockIssue });
+					}
 				}
 
 				existingItem.quantity = quantity;
-				await user.save();
-				res.json(user.cartItems);
+				res.json(await cart.save([...cart.items]));
 			} else {
 				res.status(404).json({ message: "Product not found in cart" });
 			}
@@ -102,3 +227,180 @@
 			res.status(500).json({ message: "Server error", error: error.message });
 		}
 	};
+
+	// GET /cart/validate — every problem with the cart as it stands, without changing it
+	export const validateCartItems = async (req, res) => {
+		try {
+			const cart = await openCart(req, res);
+			const { warnings } = await validateCart(cart.items);
+			res.status(200).json({ success: true, valid: warnings.length === 0, warnings });
+		} catch (error) {
+			console.log("Error in validateCartItems controller", error.message);
+			res.status(500).json({ message: "Server error", error: error.message });
+		}
+	};
+
+	// POST /cart/validate/fix — drop lines that can't be bought, clamp quantities to stock
+	// and accept current prices; returns what changed and the cart afterwards
+	export const fixCartItems = async (req, res) => {
+		try {
+			const cart = await openCart(req, res);
+			const { lines } = await validateCart(cart.items);
+			const { items, changes } = fixCartLines(lines);
+			const cartItems = changes.length > 0 ? await cart.save(items) : cart.items;
+			res.status(200).json({ success: true, changes, cartItems });
+		} catch (error) {
+			console.log("Error in fixCartItems controller", error.message);
+			res.status(500).json({ message: "Server error", error: error.message });
+		}
+	};
+
+	// Saved-for-later lines with live price, stock and anything wrong with them
+	const describeSavedItems = async (savedItems) => {
+		const { lines } = await validateCart(savedItems);
+		return lines.map(({ item, product, resolved, purchasable, warnings }) => ({
+			productId: item.product,
+			variantId: item.variant || null,
+			name: resolved?.displayName || product?.name || null,
+			image: resolved?.image || null,
+			price: resolved?.price ?? null,
+			regularPrice: resolved?.regularPrice ?? null,
+			sale: resolved?.sale || null,
+			stock: resolved?.stock ?? 0,
+			quantity: item.quantity,
+			priceAtAdd: item.priceAtAdd ?? null,
+			savedAt: item.savedAt,
+			purchasable,
+			warnings,
+		}));
+	};
+
+	// GET /cart/saved — my saved-for-later items
+	export const getSavedItems = async (req, res) => {
+		try {
+			res.status(200).json({ success: true, savedItems: await describeSavedItems(req.user.savedItems) });
+		} catch (error) {
+			console.log("Error in getSavedItems controller", error.message);
+			res.status(500).json({ message: "Server error", error: error.message });
+		}
+	};
+
+	// POST /cart/saved { productId, variantId } — move a cart line to saved for later
+	export const saveForLater = async (req, res) => {
+		try {
+			const { productId, variantId } = req.body;
+			const cartItem = productId && req.user.cartItems.find((item) => isSameCartItem(item, productId, variantId));
+			if (!cartItem) {
+				return res.status(404).json({ message: "Product not found in cart" });
+			}
+
+			const saved = req.user.savedItems.find((item) => isSameCartItem(item, productId, variantId));
+			if (saved) {
+				saved.quantity += cartItem.quantity;
+				saved.savedAt = new Date();
+			} else {
+				if (req.user.savedItems.length >= MAX_SAVED_ITEMS) {
+					return res.status(400).json({ message: `You can save up to ${MAX_SAVED_ITEMS} items for later` });
+				}
+				req.user.savedItems.push({
+					product: cartItem.product,
+					variant: cartItem.variant || null,
+					quantity: cartItem.quantity,
+					priceAtAdd: cartItem.priceAtAdd,
+				});
+			}
+			req.user.cartItems = req.user.cartItems.filter((item) => item !== cartItem);
+			await req.user.save();
+
+			res.status(200).json({
+				success: true,
+				cartItems: req.user.cartItems,
+				savedItems: await describeSavedItems(req.user.savedItems),
+			});
+		} catch (error) {
+			console.log("Error in saveForLater controller", error.message);
+			res.status(500).json({ message: "Server error", error: error.message });
+		}
+	};
+
+	// POST /cart/saved/restore { productId, variantId } — move a saved item back to the cart
+	export const moveSavedToCart = async (req, res) => {
+		try {
+			const { productId, variantId } = req.body;
+			const saved = productId && req.user.savedItems.find((item) => isSameCartItem(item, productId, variantId));
+			if (!saved) {
+				return res.status(404).json({ message: "Product not found in saved items" });
+			}
+
+			const product = await Product.findById(saved.product);
+			const inCart = req.user.cartItems.find((item) => isSameCartItem(item, saved.product, saved.variant));
+			const { resolved, warnings } = checkCartLine(
+				{ product: saved.product, variant: saved.variant, quantity: (inCart?.quantity || 0) + saved.quantity },
+				product
+			);
+			const stockIssue = warnings.find((warning) => warning.type !== 'price_changed');
+			if (stockIssue) {
+				return res.status(400).json({ message: stockIssue.message, warning: stockIssue });
+			}
+
+			// Keeps the price it was first added at, so the cart flags any change since
+			req.user.addCartItem(saved.product, saved.variant, saved.quantity, saved.priceAtAdd ?? resolved.price);
+			req.user.savedItems = req.user.savedItems.filter((item) => item !== saved);
+			await req.user.save();
+
+			res.status(200).json({
+				success: true,
+				cartItems: req.user.cartItems,
+				savedItems: await describeSavedItems(req.user.savedItems),
+			});
+		} catch (error) {
+			console.log("Error in moveSavedToCart controller", error.message);
+			res.status(500).json({ message: "Server error", error: error.message });
+		}
+	};
+
+	// DELETE /cart/saved { productId, variantId } — drop a saved item
+	export const removeSavedItem = async (req, res) => {
+		try {
+			const { productId, variantId } = req.body;
+			const saved = productId && req.user.savedItems.find((item) => isSameCartItem(item, productId, variantId));
+			if (!saved) {
+				return res.status(404).json({ message: "Product not found in saved items" });
+			}
+
+			req.user.savedItems = req.user.savedItems.filter((item) => item !== saved);
+			await req.user.save();
+			res.status(200).json({ success: true, savedItems: await describeSavedItems(req.user.savedItems) });
+		} catch (error) {
+			console.log("Error in removeSavedItem controller", error.message);
+			res.status(500).json({ message: "Server error", error: error.message });
+		}
+	};
+
+	// POST /cart/reminders/unsubscribe { token } — from the link in a reminder email, no sign-in needed
+	export const unsubscribeCartReminders = async (req, res) => {
+		try {
+			const userId = verifyUnsubscribeToken(req.body?.token);
+			if (!userId) {
+				return res.status(400).json({ message: "Invalid unsubscribe link" });
+			}
+
+			await User.updateOne({ _id: userId }, { cartReminders: false });
+			res.status(200).json({ success: true, message: "You won't get cart reminder emails any more" });
+		} catch (error) {
+			console.log("Error in unsubscribeCartReminders controller", error.message);
+			res.status(500).json({ message: "Server error", error: error.message });
+		}
+	};
+
+	// PUT /cart/reminders { enabled } — turn my cart reminder emails on or off
+	export const updateCartReminders = async (req, res) => {
+		try {
+			req.user.cartReminders = Boolean(req.body.enabled);
+			await req.user.save();
+			res.status(200).json({ success: true, cartReminders: req.user.cartReminders });
+		} catch (error) {
+			console.log("Error in updateCartReminders controller", error.message);
+			res.status(500).json({ message: "Server error", error: error.message });
+		}
+	};
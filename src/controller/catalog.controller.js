@@ -0,0 +1,77 @@
+import { Product } from "../models/Product.model.js";
+import { parseCsvRecords, toCsvLine } from "../utils/csv.js";
+import {
+	CATALOG_COLUMNS,
+	MAX_IMPORT_ROWS,
+	importCatalog,
+	productToRow,
+	rowToCsvCells,
+} from "../services/catalog.service.js";
+
+// POST /product/admin/import?dryRun=true — body is CSV text (Content-Type: text/csv)
+// or JSON: an array of rows, or { products: [...] }
+export const importProducts = async (req, res) => {
+	try {
+		let records;
+		if (typeof req.body === 'string') {
+			try {
+				records = parseCsvRecords(req.body);
+			} catch (parseError) {
+				return res.status(400).json({ message: parseError.message });
+			}
+		} else if (Array.isArray(req.body)) {
+			records = req.body;
+		} else if (Array.isArray(req.body?.products)) {
+			records = req.body.products;
+		} else {
+			return res.status(400).json({ message: "Send a CSV file (text/csv) or a JSON array of products" });
+		}
+
+		if (records.length === 0) {
+			return res.status(400).json({ message: "The file has no product rows" });
+		}
+		if (records.length > MAX_IMPORT_ROWS) {
+			return res.status(400).json({ message: `Import up to ${MAX_IMPORT_ROWS} rows at a time` });
+		}
+		if (records.some(record => typeof record !== 'object' || record === null || Array.isArray(record))) {
+			return res.status(400).json({ message: "Each product row must be an object" });
+		}
+
+		const report = await importCatalog(records, { dryRun: req.query.dryRun === 'true', actor: req.user });
+
+		res.status(200).json({ success: report.failed === 0, ...report });
+	} catch (error) {
+		console.log("Error in importProducts controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// GET /product/admin/export?format=csv|json — the whole catalog, streamed row by row
+export const exportProducts = async (req, res) => {
+	const format = req.query.format === 'json' ? 'json' : 'csv';
+	const date = new Date().toISOString().slice(0, 10);
+
+	try {
+		res.setHeader('Content-Type', format === 'json' ? 'application/json' : 'text/csv; charset=utf-8');
+		res.setHeader('Content-Disposition', `attachment; filename="catalog-${date}.${format}"`);
+		res.write(format === 'json' ? '[\n' : toCsvLine(CATALOG_COLUMNS));
+
+		let first = true;
+		for await (const product of Product.find().sort({ createdAt: 1 }).lean().cursor()) {
+			const row = await productToRow(product);
+			if (format === 'json') {
+				res.write(`${first ? '' : ',\n'}${JSON.stringify(row)}`);
+			} else {
+				res.write(toCsvLine(rowToCsvCells(row)));
+			}
+			first = false;
+		}
+
+		res.end(format === 'json' ? '\n]\n' : '');
+	} catch (error) {
+		console.log("Error in exportProducts controller", error.message);
+		// Once rows have gone out the status can't change; cut the download short instead
+		if (res.headersSent) return res.destroy(error);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
@@ -1,25 +1,91 @@
 import { Category } from "../models/Category.model.js";
 import { Product } from "../models/Product.model.js";
+import { CompatibilityRule } from "../models/CompatibilityRule.model.js";
 import cloudinary from "../lib/cloudinary.js";
+import { invalidateSearchCache } from "../services/search.service.js";
+import { subtreeIds, buildBreadcrumbs, buildTree, findBySlugPath } from "../services/categoryTree.service.js";
+import { getStep } from "../services/buildConfigurator.service.js";
+
+// Product counts keyed by category id and by "categoryId/subcategoryId"
+const getProductCounts = async () => {
+    const rows = await Product.aggregate([
+        { $match: Product.visibleFilter() },
+        { $group: { _id: { category: '$category', subcategory: '$subcategory' }, count: { $sum: 1 } } },
+    ]);
+    const counts = new Map();
+    for (const { _id, count } of rows) {
+        counts.set(_id.category, (counts.get(_id.category) || 0) + count);
+        counts.set(`${_id.category}/${_id.subcategory}`, count);
+    }
+    return counts;
+};
+
+// null/'' clears the PC-builder step; anything else must name one
+const invalidBuildStep = (buildStep) => Boolean(buildStep) && !getStep(buildStep);
+
+const attachProductCounts = (categories, counts) => {
+    for (const category of categories) {
+        category.count = counts.get(category.id) || 0;
+        // A subcategory's count includes everything nested below it
+        for (const subcategory of category.subcategories) {
+            subcategory.count = subtreeIds(category, subcategory.id)
+                .reduce((sum, id) => sum + (counts.get(`${category.id}/${id}`) || 0), 0);
+        }
+    }
+    return categories;
+};
+
+// Compatibility rules refer to subcategories by ID
+const renameRuleSubcategory = async (oldId, newId) => {
+    await CompatibilityRule.updateMany({ sourceSubcategories: oldId }, { $set: { 'sourceSubcategories.$': newId } });
+    await CompatibilityRule.updateMany({ targetSubcategories: oldId }, { $set: { 'targetSubcategories.$': newId } });
+};
+
+const describeInvalid = (product, error) => ({ _id: product._id, name: product.name, error: error.message });
+
+// Dry run of a move, before the category is saved: every other validator must pass.
+// category/subcategory are skipped because the new ids only exist once the category is saved
+const checkProductMove = async (filter, changes) => {
+    const invalidProducts = [];
+    for await (const product of Product.find(filter)) {
+        product.set(changes);
+        try {
+            await product.validate({ pathsToSkip: ['category', 'subcategory'] });
+        } catch (error) {
+            invalidProducts.push(describeInvalid(product, error));
+        }
+    }
+    return invalidProducts;
+};
+
+const blockedMove = (res, invalidProducts) => res.status(400).json({
+    message: `${invalidProducts.length} products fail validation and can't be moved — fix them first.`,
+    invalidProducts,
+});
+
+// Re-point products one by one (not updateMany) so validation and search terms stay correct.
+// A product that still fails (edited since checkProductMove) is re-pointed directly so it
+// never keeps an id that no longer exists, and is reported back for fixing
+const moveProducts = async (filter, changes) => {
+    const result = { moved: 0, invalidProducts: [] };
+    for await (const product of Product.find(filter)) {
+        try {
+            product.set(changes);
+            await product.save();
+        } catch (error) {
+            await Product.updateOne({ _id: product._id }, { $set: changes });
+            result.invalidProducts.push(describeInvalid(product, error));
+        }
+        result.moved++;
+    }
+    return result;
+};
 
 // Get all categories with product counts
 export const getAllCategories = async (req, res) => {
     try {
         const categories = await Category.find({ isActive: true }).sort({ order: 1 }).lean();
-        
-        // Get product counts for each category/subcategory
-        for (const category of categories) {
-            const categoryCount = await Product.countDocuments({ category: category.id });
-            category.count = categoryCount;
-            
-            for (const subcategory of category.subcategories) {
-                const subCount = await Product.countDocuments({ 
-                    category: category.id, 
-                    subcategory: subcategory.id 
-                });
-                subcategory.count = subCount;
-            }
-        }
+        attachProductCounts(categories, await getProductCounts());
         
         res.status(200).json({ categories });
     } catch (error) {
@@ -32,20 +98,7 @@ export const getAllCategories = async (req, res) => {
 export const getAllCategoriesAdmin = async (req, res) => {
     try {
         const categories = await Category.find().sort({ order: 1 }).lean();
-        
-        // Get product counts
-        for (const category of categories) {
-            const categoryCount = await Product.countDocuments({ category: category.id });
-            category.count = categoryCount;
-            
-            for (const subcategory of category.subcategories) {
-                const subCount = await Product.countDocuments({ 
-                    category: category.id, 
-                    subcategory: subcategory.id 
-                });
-                subcategory.count = subCount;
-            }
-        }
+        attachProductCounts(categories, await getProductCounts());
         
         res.status(200).json({ categories });
     } catch (error) {
@@ -54,26 +107,75 @@ export const getAllCategoriesAdmin = async (req, res) => {
     }
 };
 
+// Get all active categories as nested trees
+export const getCategoryTree = async (req, res) => {
+    try {
+        const categories = await Category.find({ isActive: true }).sort({ order: 1 }).lean();
+        const counts = await getProductCounts();
+        
+        res.status(200).json({ tree: categories.map(category => buildTree(category, { counts, activeOnly: true })) });
+    } catch (error) {
+        console.error("Error in getCategoryTree:", error);
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
 // Get single category
 export const getCategory = async (req, res) => {
     try {
-        const category = await Category.findOne({ id: req.params.id });
+        const category = await Category.findOne({ id: req.params.id }).lean();
         
         if (!category) {
             return res.status(404).json({ message: "Category not found" });
         }
         
-        res.status(200).json({ category });
+        const counts = await getProductCounts();
+        attachProductCounts([category], counts);
+        
+        res.status(200).json({
+            category,
+            tree: buildTree(category, { counts, activeOnly: true }),
+            breadcrumbs: buildBreadcrumbs(category, null),
+        });
     } catch (error) {
         console.error("Error in getCategory:", error);
         res.status(500).json({ message: "Server error", error: error.message });
     }
 };
 
+// Category page by SEO path: /category/path/fpv-gears/motors/5-inch-motors
+export const getCategoryByPath = async (req, res) => {
+    try {
+        const found = await findBySlugPath(req.params.slugs);
+        
+        if (!found) {
+            return res.status(404).json({ message: "Category not found" });
+        }
+        
+        const { category, node } = found;
+        const counts = await getProductCounts();
+        const tree = buildTree(category, { counts, activeOnly: true });
+        
+        // The requested node within the tree, with its children and subtree count
+        let current = tree;
+        for (const crumb of buildBreadcrumbs(category, node?.id).slice(1)) {
+            current = current.children.find(child => child.id === crumb.id);
+        }
+        
+        res.status(200).json({
+            category: { ...current, categoryId: category.id, subcategoryId: node?.id || null },
+            breadcrumbs: buildBreadcrumbs(category, node?.id),
+        });
+    } catch (error) {
+        console.error("Error in getCategoryByPath:", error);
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
 // Create category
 export const createCategory = async (req, res) => {
     try {
-        const { id, name, description, icon, order, subcategories, coverImage } = req.body;
+        const { id, name, slug, description, icon, order, subcategories, coverImage } = req.body;
         
         // Check if category already exists
         const existingCategory = await Category.findOne({ id });
@@ -99,16 +201,21 @@ export const createCategory = async (req, res) => {
         const category = await Category.create({
             id,
             name,
+            slug,
             description,
             icon: icon || '📦',
             coverImage: coverImageUrl,
             order: order || 0,
             subcategories: subcategories || [],
         });
+        await invalidateSearchCache();
         
         res.status(201).json({ category, message: "Category created successfully" });
     } catch (error) {
         console.error("Error in createCategory:", error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
         res.status(500).json({ message: "Server error", error: error.message });
     }
 };
@@ -116,15 +223,41 @@ export const createCategory = async (req, res) => {
 // Update category
 export const updateCategory = async (req, res) => {
     try {
-        const { name, description, icon, order, isActive, coverImage, subcategories } = req.body;
+        const { id: newId, name, slug, description, icon, order, isActive, coverImage, subcategories } = req.body;
         const category = await Category.findOne({ id: req.params.id });
         
         if (!category) {
             return res.status(404).json({ message: "Category not found" });
         }
         
+        const oldId = category.id;
+        const renamed = newId && newId.trim().toLowerCase() !== oldId;
+        if (renamed && await Category.exists({ id: newId.trim().toLowerCase() })) {
+            return res.status(400).json({ message: "Category ID already exists" });
+        }
+        
+        // Replacing the subcategory list can't drop subcategories that still hold products
+        if (subcategories) {
+            const keptIds = subcategories.map(sub => sub.id?.trim().toLowerCase());
+            for (const sub of category.subcategories.filter(sub => !keptIds.includes(sub.id))) {
+                const productCount = await Product.countDocuments({ category: oldId, subcategory: sub.id });
+                if (productCount > 0) {
+                    return res.status(400).json({
+                        message: `Cannot remove subcategory "${sub.name}". ${productCount} products are using it — move them to another subcategory first.`
+                    });
+                }
+            }
+        }
+        
+        if (renamed) {
+            const invalidProducts = await checkProductMove({ category: oldId }, { category: newId.trim().toLowerCase() });
+            if (invalidProducts.length > 0) return blockedMove(res, invalidProducts);
+        }
+        
         // Update fields
+        if (renamed) category.id = newId;
         if (name) category.name = name;
+        if (slug) category.slug = slug;
         if (description !== undefined) category.description = description;
         if (icon) category.icon = icon;
         if (order !== undefined) category.order = order;
@@ -158,9 +291,18 @@ export const updateCategory = async (req, res) => {
         
         await category.save();
         
-        res.status(200).json({ category, message: "Category updated successfully" });
+        // Renaming the ID carries its products along
+        const { moved: movedProducts, invalidProducts } = renamed
+            ? await moveProducts({ category: oldId }, { category: category.id })
+            : { moved: 0, invalidProducts: [] };
+        await invalidateSearchCache();
+        
+        res.status(200).json({ category, movedProducts, invalidProducts, message: "Category updated successfully" });
     } catch (error) {
         console.error("Error in updateCategory:", error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
         res.status(500).json({ message: "Server error", error: error.message });
     }
 };
@@ -189,6 +331,7 @@ export const deleteCategory = async (req, res) => {
         }
         
         await Category.deleteOne({ id: req.params.id });
+        await invalidateSearchCache();
         
         res.status(200).json({ message: "Category deleted successfully" });
     } catch (error) {
@@ -200,19 +343,28 @@ export const deleteCategory = async (req, res) => {
 // Add subcategory
 export const addSubcategory = async (req, res) => {
     try {
-        const { id, name, description, order, coverImage } = req.body;
+        const { id, name, slug, parent, description, order, coverImage, specSchema, buildStep } = req.body;
         const category = await Category.findOne({ id: req.params.id });
         
         if (!category) {
             return res.status(404).json({ message: "Category not found" });
         }
         
+        if (invalidBuildStep(buildStep)) {
+            return res.status(400).json({ message: `Unknown build step: ${buildStep}` });
+        }
+        
         // Check if subcategory ID already exists
         const existingSubcategory = category.subcategories.find(sub => sub.id === id);
         if (existingSubcategory) {
             return res.status(400).json({ message: "Subcategory ID already exists in this category" });
         }
         
+        // Nest under another subcategory of this category
+        if (parent && !category.subcategories.some(sub => sub.id === parent)) {
+            return res.status(400).json({ message: "Parent subcategory not found in this category" });
+        }
+        
         let coverImageUrl = null;
         
         // Upload cover image if provided
@@ -231,17 +383,25 @@ export const addSubcategory = async (req, res) => {
         category.subcategories.push({
             id,
             name,
+            slug,
+            parent: parent || null,
             description,
             coverImage: coverImageUrl,
             order: order || 0,
             isActive: true,
+            specSchema: specSchema || [],
+            buildStep: buildStep || null,
         });
         
         await category.save();
+        await invalidateSearchCache();
         
         res.status(200).json({ category, message: "Subcategory added successfully" });
     } catch (error) {
         console.error("Error in addSubcategory:", error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
         res.status(500).json({ message: "Server error", error: error.message });
     }
 };
@@ -249,23 +409,48 @@ export const addSubcategory = async (req, res) => {
 // Update subcategory
 export const updateSubcategory = async (req, res) => {
     try {
-        const { name, description, order, isActive, coverImage } = req.body;
+        const { id: newId, name, slug, description, order, isActive, coverImage, specSchema, buildStep } = req.body;
         const category = await Category.findOne({ id: req.params.categoryId });
         
         if (!category) {
             return res.status(404).json({ message: "Category not found" });
         }
         
+        if (invalidBuildStep(buildStep)) {
+            return res.status(400).json({ message: `Unknown build step: ${buildStep}` });
+        }
+        
         const subcategory = category.subcategories.find(sub => sub.id === req.params.subcategoryId);
         if (!subcategory) {
             return res.status(404).json({ message: "Subcategory not found" });
         }
         
-        // Update fields
+        const oldId = subcategory.id;
+        const renamed = newId && newId.trim().toLowerCase() !== oldId;
+        if (renamed && category.subcategories.some(sub => sub.id === newId.trim().toLowerCase())) {
+            return res.status(400).json({ message: "Subcategory ID already exists in this category" });
+        }
+        
+        if (renamed) {
+            const invalidProducts = await checkProductMove({ category: category.id, subcategory: oldId }, { subcategory: newId.trim().toLowerCase() });
+            if (invalidProducts.length > 0) return blockedMove(res, invalidProducts);
+        }
+        
+        // Update fields (children follow a renamed parent)
+        if (renamed) {
+            subcategory.id = newId;
+            for (const child of category.subcategories.filter(sub => sub.parent === oldId)) {
+                child.parent = subcategory.id;
+            }
+        }
         if (name) subcategory.name = name;
+        if (slug) subcategory.slug = slug;
         if (description !== undefined) subcategory.description = description;
         if (order !== undefined) subcategory.order = order;
         if (isActive !== undefined) subcategory.isActive = isActive;
+        // Existing products keep their specs until next edited; run scripts/applySpecSchemas.js to re-check them
+        if (specSchema) subcategory.specSchema = specSchema;
+        if (buildStep !== undefined) subcategory.buildStep = buildStep || null;
         
         // Handle cover image
         if (coverImage && coverImage.startsWith('data:image')) {
@@ -293,9 +478,21 @@ export const updateSubcategory = async (req, res) => {
         
         await category.save();
         
-        res.status(200).json({ category, message: "Subcategory updated successfully" });
+        // Renaming the ID carries its products and compatibility rules along
+        let movedProducts = 0;
+        let invalidProducts = [];
+        if (renamed) {
+            ({ moved: movedProducts, invalidProducts } = await moveProducts({ category: category.id, subcategory: oldId }, { subcategory: subcategory.id }));
+            await renameRuleSubcategory(oldId, subcategory.id);
+        }
+        await invalidateSearchCache();
+        
+        res.status(200).json({ category, movedProducts, invalidProducts, message: "Subcategory updated successfully" });
     } catch (error) {
         console.error("Error in updateSubcategory:", error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
         res.status(500).json({ message: "Server error", error: error.message });
     }
 };
@@ -317,18 +514,33 @@ export const deleteSubcategory = async (req, res) => {
             return res.status(404).json({ message: "Subcategory not found" });
         }
         
-        // Check if there are products using this subcategory
+        // Products block the delete unless ?moveTo=<subcategoryId> says where they go
+        const { moveTo } = req.query;
         const productCount = await Product.countDocuments({ 
             category: category.id,
             subcategory: req.params.subcategoryId 
         });
         
-        if (productCount > 0) {
+        if (productCount > 0 && !moveTo) {
             return res.status(400).json({ 
-                message: `Cannot delete subcategory. ${productCount} products are using this subcategory.` 
+                message: `Cannot delete subcategory. ${productCount} products are using this subcategory. Pass moveTo to move them to another subcategory.` 
             });
         }
         
+        if (moveTo && (moveTo === req.params.subcategoryId || !category.subcategories.some(sub => sub.id === moveTo))) {
+            return res.status(400).json({ message: "moveTo must be another subcategory of this category" });
+        }
+        
+        const moveFilter = { category: category.id, subcategory: req.params.subcategoryId };
+        if (productCount > 0) {
+            const invalidProducts = await checkProductMove(moveFilter, { subcategory: moveTo });
+            if (invalidProducts.length > 0) return blockedMove(res, invalidProducts);
+        }
+        
+        const { moved: movedProducts, invalidProducts } = productCount > 0
+            ? await moveProducts(moveFilter, { subcategory: moveTo })
+            : { moved: 0, invalidProducts: [] };
+        
         const subcategory = category.subcategories[subcategoryIndex];
         
         // Delete cover image from cloudinary if exists
@@ -337,12 +549,148 @@ export const deleteSubcategory = async (req, res) => {
             await cloudinary.uploader.destroy(`categories/subcategories/${publicId}`);
         }
         
+        // Its children move up a level rather than disappear
+        const children = category.subcategories.filter(sub => sub.parent === subcategory.id);
+        for (const child of children) {
+            child.parent = subcategory.parent || null;
+        }
+        
         category.subcategories.splice(subcategoryIndex, 1);
         await category.save();
+        await invalidateSearchCache();
         
-        res.status(200).json({ message: "Subcategory deleted successfully" });
+        res.status(200).json({ movedProducts, invalidProducts, liftedSubcategories: children.map(child => child.id), message: "Subcategory deleted successfully" });
     } catch (error) {
         console.error("Error in deleteSubcategory:", error);
         res.status(500).json({ message: "Server error", error: error.message });
     }
 };
+
+// Move a subcategory (with everything below it) under another parent, or into another category
+export const moveSubcategory = async (req, res) => {
+    try {
+        const { parent = null, category: targetId, order } = req.body;
+        const source = await Category.findOne({ id: req.params.categoryId });
+        
+        if (!source) {
+            return res.status(404).json({ message: "Category not found" });
+        }
+        
+        const subcategory = source.subcategories.find(sub => sub.id === req.params.subcategoryId);
+        if (!subcategory) {
+            return res.status(404).json({ message: "Subcategory not found" });
+        }
+        
+        const target = targetId && targetId !== source.id ? await Category.findOne({ id: targetId }) : source;
+        if (!target) {
+            return res.status(404).json({ message: "Target category not found" });
+        }
+        
+        if (parent && !target.subcategories.some(sub => sub.id === parent)) {
+            return res.status(400).json({ message: "Parent subcategory not found in the target category" });
+        }
+        
+        const movedIds = subtreeIds(source, subcategory.id);
+        if (parent && target === source && movedIds.includes(parent)) {
+            return res.status(400).json({ message: "A subcategory can't be moved inside itself" });
+        }
+        
+        let movedProducts = 0;
+        let invalidProducts = [];
+        if (target === source) {
+            subcategory.parent = parent;
+            if (order !== undefined) subcategory.order = order;
+            await source.save();
+        } else {
+            const clash = movedIds.find(id => target.subcategories.some(sub => sub.id === id));
+            if (clash) {
+                return res.status(400).json({ message: `Subcategory ID "${clash}" already exists in ${target.name}` });
+            }
+            
+            const moveFilter = { category: source.id, subcategory: { $in: movedIds } };
+            invalidProducts = await checkProductMove(moveFilter, { category: target.id });
+            if (invalidProducts.length > 0) return blockedMove(res, invalidProducts);
+            
+            for (const sub of source.subcategories.filter(sub => movedIds.includes(sub.id))) {
+                const moved = sub.toObject();
+                if (sub.id === subcategory.id) {
+                    moved.parent = parent;
+                    if (order !== undefined) moved.order = order;
+                }
+                target.subcategories.push(moved);
+            }
+            source.subcategories = source.subcategories.filter(sub => !movedIds.includes(sub.id));
+            
+            // Target first: products can only be re-pointed once their subcategories exist there
+            await target.save();
+            await source.save();
+            ({ moved: movedProducts, invalidProducts } = await moveProducts(moveFilter, { category: target.id }));
+        }
+        await invalidateSearchCache();
+        
+        res.status(200).json({ category: target, movedProducts, invalidProducts, message: "Subcategory moved successfully" });
+    } catch (error) {
+        console.error("Error in moveSubcategory:", error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+// Reorder top-level categories: { ids: [...] } in display order
+export const reorderCategories = async (req, res) => {
+    try {
+        const { ids } = req.body;
+        
+        if (!Array.isArray(ids) || ids.length === 0) {
+            return res.status(400).json({ message: "ids must be a non-empty array" });
+        }
+        
+        const found = await Category.countDocuments({ id: { $in: ids } });
+        if (found !== new Set(ids).size || found !== ids.length) {
+            return res.status(400).json({ message: "ids must list existing categories exactly once" });
+        }
+        
+        await Category.bulkWrite(ids.map((id, index) => ({
+            updateOne: { filter: { id }, update: { $set: { order: index + 1 } } },
+        })));
+        await invalidateSearchCache();
+        
+        const categories = await Category.find().sort({ order: 1 }).lean();
+        res.status(200).json({ categories, message: "Categories reordered successfully" });
+    } catch (error) {
+        console.error("Error in reorderCategories:", error);
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+// Reorder the subcategories under one parent: { parent: null | subcategoryId, ids: [...] }
+export const reorderSubcategories = async (req, res) => {
+    try {
+        const { parent = null, ids } = req.body;
+        const category = await Category.findOne({ id: req.params.id });
+        
+        if (!category) {
+            return res.status(404).json({ message: "Category not found" });
+        }
+        
+        const siblings = category.subcategories.filter(sub => (sub.parent || null) === (parent || null));
+        if (!Array.isArray(ids) || ids.length !== siblings.length || new Set(ids).size !== ids.length ||
+            !siblings.every(sub => ids.includes(sub.id))) {
+            return res.status(400).json({ message: "ids must list every subcategory under this parent exactly once" });
+        }
+        
+        ids.forEach((id, index) => {
+            siblings.find(sub => sub.id === id).order = index + 1;
+        });
+        
+        await category.save();
+        await invalidateSearchCache();
+        
+        res.status(200).json({ category, message: "Subcategories reordered successfully" });
+    } catch (error) {
+        console.error("Error in reorderSubcategories:", error);
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
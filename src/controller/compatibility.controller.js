@@ -0,0 +1,113 @@
+import mongoose from "mongoose";
+import { CompatibilityRule } from "../models/CompatibilityRule.model.js";
+import { Product } from "../models/Product.model.js";
+import { findCompatibleProducts } from "../services/compatibility.service.js";
+
+const RULE_FIELDS = [
+	"name", "sourceSubcategories", "sourceSpec", "targetSubcategories", "targetSpec",
+	"operator", "message", "severity", "isActive"
+];
+
+const pickRuleFields = (body) =>
+	Object.fromEntries(RULE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+
+// GET /product/:id/compatible — what fits with this product
+export const getCompatibleProducts = async (req, res) => {
+	try {
+		if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+			return res.status(400).json({ message: "Invalid product ID" });
+		}
+
+		const product = await Product.findById(req.params.id).lean();
+		if (!product || !Product.isVisible(product)) {
+			return res.status(404).json({ message: "Product not found" });
+		}
+
+		const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+		const groups = await findCompatibleProducts(product, { subcategory: req.query.subcategory, limit });
+
+		res.status(200).json({
+			success: true,
+			product: { _id: product._id, name: product.name, subcategory: product.subcategory },
+			compatible: groups,
+		});
+	} catch (error) {
+		console.log("Error in getCompatibleProducts controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// GET /compatibility/rules — admin
+export const getRules = async (req, res) => {
+	try {
+		const rules = await CompatibilityRule.find().sort({ createdAt: 1 });
+		res.status(200).json({ success: true, rules });
+	} catch (error) {
+		console.log("Error in getRules controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// POST /compatibility/rules — admin
+export const createRule = async (req, res) => {
+	try {
+		const rule = new CompatibilityRule(pickRuleFields(req.body));
+
+		const validationError = rule.validateSync();
+		if (validationError) {
+			return res.status(400).json({ message: validationError.message });
+		}
+
+		await rule.save();
+		res.status(201).json({ success: true, rule });
+	} catch (error) {
+		console.log("Error in createRule controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// PUT /compatibility/rules/:id — admin
+export const updateRule = async (req, res) => {
+	try {
+		if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+			return res.status(400).json({ message: "Invalid rule ID" });
+		}
+
+		const rule = await CompatibilityRule.findById(req.params.id);
+		if (!rule) {
+			return res.status(404).json({ message: "Rule not found" });
+		}
+
+		rule.set(pickRuleFields(req.body));
+
+		const validationError = rule.validateSync();
+		if (validationError) {
+			return res.status(400).json({ message: validationError.message });
+		}
+
+		await rule.save();
+		res.status(200).json({ success: true, rule });
+	} catch (error) {
+		console.log("Error in updateRule controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// DELETE /compatibility/rules/:id — admin
+export const deleteRule = async (req, res) => {
+	try {
+		if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+			return res.status(400).json({ message: "Invalid rule ID" });
+		}
+
+		const rule = await CompatibilityRule.findByIdAndDelete(req.params.id);
+		if (!rule) {
+			return res.status(404).json({ message: "Rule not found" });
+		}
+
+		res.status(200).json({ success: true, message: "Rule deleted successfully" });
+	} catch (error) {
+		console.log("Error in deleteRule controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
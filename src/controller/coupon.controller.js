@@ -1,8 +1,10 @@
 import Coupon from "../models/Coupon.model.js";
 import { User } from "../models/User.model.js";
+import { releaseExpiredCouponClaims } from "../services/pricing.service.js";
 
 export const getCoupon = async (req, res) => {
 	try {
+		await releaseExpiredCouponClaims({ userId: req.user._id });
 		const coupon = await Coupon.findOne({ userId: req.user._id, isActive: true });
 		res.json(coupon || null);
 	} catch (error) {
@@ -14,6 +16,7 @@ export const getCoupon = async (req, res) => {
 export const validateCoupon = async (req, res) => {
 	try {
 		const { code } = req.body;
+		await releaseExpiredCouponClaims({ userId: req.user._id });
 		const coupon = await Coupon.findOne({ code: code, userId: req.user._id, isActive: true });
 
 		if (!coupon) {
@@ -133,7 +136,11 @@ export const updateCoupon = async (req, res) => {
 		
 		if (discountPercentage !== undefined) coupon.discountPercentage = discountPercentage;
 		if (expirationDate !== undefined) coupon.expirationDate = expirationDate;
-		if (isActive !== undefined) coupon.isActive = isActive;
+		if (isActive !== undefined) {
+			coupon.isActive = isActive;
+			// An admin decision overrides any checkout holding the coupon
+			coupon.claim = undefined;
+		}
 		
 		await coupon.save();
 		
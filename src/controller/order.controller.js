@@ -2,6 +2,8 @@ import Order from "../models/Order.model.js";
 import { Product } from "../models/Product.model.js";
 import { User } from "../models/User.model.js";
 import { sendMail } from "../services/mailer.services.js";
+import { initiateRefund, syncRefundStatus } from "../services/refund.service.js";
+import { getBundleLines } from "../services/bundle.service.js";
 
 // Note: Primary order creation is handled in payment.controller.js after successful payment
 // This function is kept for admin manual order creation or testing purposes
@@ -29,7 +31,8 @@ export const createOrder = async (req, res) => {
 		const productIds = products.map((p) => p.product);
 		const dbProducts = await Product.find({ _id: { $in: productIds } });
 
-		if (dbProducts.length !== products.length) {
+		// The same product may appear once per variant
+		if (dbProducts.length !== new Set(productIds.map(String)).size) {
 			return res.status(400).json({ message: "Some products not found" });
 		}
 
@@ -45,27 +48,59 @@ export const createOrder = async (req, res) => {
 				});
 			}
 
-			if (dbProduct.stock < orderProduct.quantity) {
+			let resolved;
+			try {
+				resolved = dbProduct.resolveVariant(orderProduct.variant);
+			} catch (variantError) {
+				return res.status(400).json({ message: variantError.message });
+			}
+
+			if (resolved.stock < orderProduct.quantity) {
 				return res.status(400).json({
-					message: `Insufficient stock for product ${dbProduct.name}. Available: ${dbProduct.stock}`,
+					message: `Insufficient stock for product ${resolved.displayName}. Available: ${resolved.stock}`,
 				});
 			}
 
-			if (!dbProduct.isAvailable) {
+			if (!dbProduct.isAvailable || !Product.isVisible(dbProduct)) {
 				return res.status(400).json({
 					message: `Product ${dbProduct.name} is currently unavailable`,
 				});
 			}
 		}
 
+		// Snapshot what each bundle is made of, so order history shows the components
+		const bundleLines = new Map();
+		for (const dbProduct of dbProducts.filter((d) => d.isBundle)) {
+			try {
+				bundleLines.set(dbProduct._id.toString(), await getBundleLines(dbProduct));
+			} catch (bundleError) {
+				return res.status(400).json({ message: bundleError.message });
+			}
+		}
+
 		// Create the order
 		const orderData = {
 			user: req.user._id,
-			products: products.map((p) => ({
-				product: p.product,
-				quantity: p.quantity,
-				price: p.price,
-			})),
+			products: products.map((p) => {
+				const variant = p.variant
+					? dbProducts.find((d) => d._id.toString() === p.product.toString())?.variants.id(p.variant)
+					: null;
+				return {
+					product: p.product,
+					variant: variant?._id,
+					sku: variant?.sku,
+					variantLabel: variant?.label,
+					quantity: p.quantity,
+					price: p.price,
+					bundleComponents: bundleLines.get(p.product.toString())?.map((c) => ({
+						product: c.productId,
+						variant: c.variantId || undefined,
+						sku: c.sku || undefined,
+						name: c.name,
+						quantity: c.quantity,
+					})),
+				};
+			}),
 			totalAmount,
 			shippingAddress,
 			billingAddress,
@@ -85,12 +120,7 @@ export const createOrder = async (req, res) => {
 		for (const orderProduct of products) {
 			const product = await Product.findById(orderProduct.product);
 			if (product) {
-				product.stock -= orderProduct.quantity;
-				product.soldCount = (product.soldCount || 0) + orderProduct.quantity;
-				if (product.stock === 0) {
-					product.isAvailable = false;
-				}
-				await product.save();
+				await product.decreaseStock(orderProduct.quantity, orderProduct.variant, { type: 'sale', order: order._id });
 			}
 		}
 
@@ -199,27 +229,64 @@ export const updateOrderStatus = async (req, res) => {
 		const { orderId } = req.params;
 		const { orderStatus } = req.body;
 
-		const validStatuses = ["pending", "processing", "shipped", "delivered", "cancelled"];
+		const validStatuses = ["pending", "processing", "shipped", "delivered", "cancelled", "returned"];
 		if (!validStatuses.includes(orderStatus)) {
 			return res.status(400).json({ message: "Invalid order status" });
 		}
 
+		const previous = await Order.findById(orderId).select("orderStatus");
+		if (!previous) {
+			return res.status(404).json({ message: "Order not found" });
+		}
+
 		const order = await Order.findByIdAndUpdate(
 			orderId,
 			{ orderStatus },
 			{ new: true }
 		).populate("products.product", "name coverImage price");
 
-		if (!order) {
-			return res.status(404).json({ message: "Order not found" });
+		// Cancelling a paid order refunds it
+		let refund;
+		if (orderStatus === "cancelled" && previous.orderStatus !== "cancelled" && order.cashfreePaymentId) {
+			const refundResult = await initiateRefund(order, {
+				reason: req.body.reason || "Order cancelled by XRoboFly",
+				initiatedBy: "admin",
+			});
+			refund = refundResult.refund;
 		}
 
 		res.json({
 			message: "Order status updated successfully",
 			order,
+			refund,
 		});
 	} catch (error) {
 		console.error("Error updating order status:", error);
 		res.status(500).json({ message: "Error updating order status", error: error.message });
 	}
 };
+
+// Refresh refund status from Cashfree (Admin only)
+export const getOrderRefund = async (req, res) => {
+	try {
+		const { orderId } = req.params;
+
+		const order = await Order.findById(orderId);
+		if (!order) {
+			return res.status(404).json({ message: "Order not found" });
+		}
+
+		if (!order.refund?.refundId) {
+			return res.status(404).json({ message: "No refund found for this order" });
+		}
+
+		if (order.refund.status === "PENDING" || order.refund.status === "ONHOLD") {
+			await syncRefundStatus(order);
+		}
+
+		res.json({ refund: order.refund });
+	} catch (error) {
+		console.error("Error fetching order refund:", error);
+		res.status(500).json({ message: "Error fetching order refund", error: error.message });
+	}
+};
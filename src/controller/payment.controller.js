@@ -1,9 +1,16 @@
 import Cashfree from "../lib/cashfree.js";
 import Order from "../models/Order.model.js";
 import { Product } from "../models/Product.model.js";
+import { User } from "../models/User.model.js";
+import { StockMovement } from "../models/StockMovement.model.js";
 import { sendMail } from "../services/mailer.services.js";
 import { createShipmentForOrder } from "./shiprocket.controller.js";
 import { redis } from "../lib/redis.js";
+import { reserveStock, releaseReservation } from "../services/stockReservation.service.js";
+import { initiateRefund, syncRefundStatus, findRefundHolder } from "../services/refund.service.js";
+import { getBundleLines, toStockLines } from "../services/bundle.service.js";
+import { claimCoupon, releaseCoupon, redeemCoupon, priceItems } from "../services/pricing.service.js";
+import { recordCartConversion } from "../services/cartRecovery.service.js";
 import crypto from "crypto";
 
 const PENDING_ORDER_TTL = 3600; // 1 hour in seconds
@@ -17,9 +24,26 @@ const verifyCashfreeWebhook = (rawBody, timestamp, signature) => {
     .createHmac('sha256', process.env.CASHFREE_SECRET_KEY)
     .update(payload)
     .digest('base64');
+  if (expected.length !== signature.length) return false;
   return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
 };
 
+// Payment attempts that are over without taking money
+const CLOSED_PAYMENT_STATUSES = ['FAILED', 'USER_DROPPED', 'CANCELLED', 'VOID'];
+
+// True when Cashfree shows no payment on the order that succeeded or is
+// still in progress, so what the checkout holds can be given back
+const paymentAbandoned = async (orderId) => {
+  try {
+    const response = await Cashfree.PGOrderFetchPayments(orderId);
+    const payments = response.data || response || [];
+    return payments.every(payment => CLOSED_PAYMENT_STATUSES.includes(payment.payment_status));
+  } catch (error) {
+    console.error(`Failed to fetch payments for ${orderId}:`, error.response?.data?.message || error.message);
+    return false;
+  }
+};
+
 // Normalize Cashfree payment_group to our payment method
 const normalizePaymentMethod = (paymentGroup) => {
   if (!paymentGroup) return "online";
@@ -40,7 +64,7 @@ const normalizePaymentMethod = (paymentGroup) => {
  */
 export const createCheckoutSession = async (req, res) => {
   try {
-    const { customerDetails, shippingAddress, products } = req.body;
+    const { customerDetails, shippingAddress, products, couponCode } = req.body;
 
     // Validate request
     if (!customerDetails || !shippingAddress || !products || products.length === 0) {
@@ -71,6 +95,14 @@ export const createCheckoutSession = async (req, res) => {
           message: `Product not found: ${item.productId}. Please ensure you're using valid product IDs from the database.`,
         });
       }
+
+      // Drafts, scheduled and archived products can't be bought
+      if (!Product.isVisible(product)) {
+        return res.status(400).json({
+          success: false,
+          message: `${product.name} is no longer available`,
+        });
+      }
       
       dbProducts.push(product);
     }
@@ -82,70 +114,118 @@ export const createCheckoutSession = async (req, res) => {
       });
     }
 
+    // Resolve the chosen variant (price/stock/weight) for each line
+    const resolvedItems = [];
+    for (let i = 0; i < products.length; i++) {
+      try {
+        resolvedItems.push(dbProducts[i].resolveVariant(products[i].variantId));
+      } catch (variantError) {
+        return res.status(400).json({
+          success: false,
+          message: variantError.message,
+        });
+      }
+    }
+
     // Check stock availability
     for (let i = 0; i < products.length; i++) {
       const item = products[i];
-      const product = dbProducts[i];
+      const resolved = resolvedItems[i];
       
-      if (product.stock < item.quantity) {
+      if (resolved.stock < item.quantity) {
         return res.status(400).json({
           success: false,
-          message: `Insufficient stock for ${product.name}. Available: ${product.stock}`,
+          message: `Insufficient stock for ${resolved.displayName}. Available: ${resolved.stock}`,
         });
       }
     }
 
-    // Calculate order amount
-    let subtotal = 0;
+    // Build order lines
     const orderProducts = [];
 
     for (let i = 0; i < products.length; i++) {
       const item = products[i];
       const product = dbProducts[i]; // Use index since we validated order above
-      const itemTotal = product.price * item.quantity;
-      subtotal += itemTotal;
+      const resolved = resolvedItems[i];
+
+      // Bundles ship (and consume stock from) their components
+      let bundleComponents;
+      if (product.isBundle) {
+        try {
+          bundleComponents = await getBundleLines(product);
+        } catch (bundleError) {
+          return res.status(400).json({
+            success: false,
+            message: bundleError.message,
+          });
+        }
+      }
 
       orderProducts.push({
         productId: product._id,
-        name: product.name,
-        price: product.price,
+        variantId: resolved.variant?._id || null,
+        sku: resolved.variant?.sku || null,
+        variantLabel: resolved.variant?.label || null,
+        name: resolved.displayName,
+        price: resolved.price,
         quantity: item.quantity,
-        image: product.images?.[0] || "",
+        image: resolved.image,
+        bundleComponents,
       });
     }
 
-    // Prices stored in DB are GST-inclusive (5%).
-    // Extract base + GST for display; total charged = incl-GST price + shipping.
-    const subtotalInclGST = subtotal; // subtotal = sum of product.price * qty (GST-inclusive)
-    
-    // Calculate total weight (grams)
-    let totalWeight = 0;
-    for (let i = 0; i < products.length; i++) {
-      totalWeight += (dbProducts[i].weight || 500) * products[i].quantity;
+    // Generate unique order ID
+    const orderId = `XRF_${Date.now()}_${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
+
+    // Optional coupon — must belong to this user and still be valid. It is
+    // claimed for this order now and given back if the payment doesn't happen.
+    let coupon = null;
+    if (couponCode) {
+      const claimed = await claimCoupon(couponCode, req.user, orderId, PENDING_ORDER_TTL);
+      if (claimed.error) {
+        return res.status(400).json({
+          success: false,
+          message: claimed.error,
+        });
+      }
+      coupon = claimed.coupon;
     }
-    
-    // Shipping logic:
-    // - Free for orders above ₹5000
-    // - ≤500g: ₹130
-    // - >500g: ₹130 + ₹13 per additional 100g (rounded up)
-    let shipping = 0;
-    if (subtotalInclGST <= 5000) {
-      if (totalWeight <= 500) {
-        shipping = 130;
+
+    // Same pricing as GET /cart/summary (prices are GST-inclusive; shipping by weight)
+    const pricing = priceItems(
+      resolvedItems.map((resolved, i) => ({ resolved, quantity: products[i].quantity })),
+      { coupon }
+    );
+    const { shipping, discount } = pricing;
+    const tax = pricing.gst.amount;                   // 5% GST already included
+    const baseSubtotal = pricing.gst.taxableValue;    // pre-GST goods amount, after the discount
+    const totalAmount = pricing.total;                // no extra tax added
+
+    // Hold stock for the lifetime of the pending order so concurrent checkouts
+    // can't both pay for the last unit. Bundle lines hold their components, and a
+    // component also bought on its own is held once for the combined quantity.
+    const reservationItems = [];
+    const stockLines = toStockLines(orderProducts.map((p, i) => ({ ...p, stock: resolvedItems[i].stock })));
+    for (const line of stockLines) {
+      const productId = line.productId.toString();
+      const variantId = line.variantId ? line.variantId.toString() : null;
+      const existing = reservationItems.find(r => r.productId === productId && r.variantId === variantId);
+      if (existing) {
+        existing.quantity += line.quantity;
       } else {
-        const extraGrams = totalWeight - 500;
-        const extra100g = Math.ceil(extraGrams / 100);
-        shipping = 130 + (extra100g * 13);
+        reservationItems.push({ productId, variantId, quantity: line.quantity, stock: line.stock, name: line.name });
       }
     }
-    
-    const baseSubtotal = Math.round(subtotalInclGST / 1.05); // pre-GST amount
-    const tax = subtotalInclGST - baseSubtotal;               // 5% GST already included
-    const discount = 0;
-    const totalAmount = subtotalInclGST + shipping;           // no extra tax added
 
-    // Generate unique order ID
-    const orderId = `XRF_${Date.now()}_${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
+    const reservation = await reserveStock(orderId, reservationItems, PENDING_ORDER_TTL);
+
+    if (!reservation.success) {
+      if (coupon) await releaseCoupon(orderId);
+      return res.status(409).json({
+        success: false,
+        message: `Insufficient stock for ${reservation.item.name}. Available: ${reservation.available}`,
+      });
+    }
 
     // Prepare Cashfree order request
     const orderRequest = {
@@ -168,7 +248,14 @@ export const createCheckoutSession = async (req, res) => {
     console.log("Creating Cashfree order:", orderId);
 
     // Create order in Cashfree
-    const cashfreeResponse = await Cashfree.PGCreateOrder(orderRequest);
+    let cashfreeResponse;
+    try {
+      cashfreeResponse = await Cashfree.PGCreateOrder(orderRequest);
+    } catch (cashfreeError) {
+      await releaseReservation(orderId);
+      if (coupon) await releaseCoupon(orderId);
+      throw cashfreeError;
+    }
 
     console.log("✅ Cashfree order created successfully");
 
@@ -184,6 +271,7 @@ export const createCheckoutSession = async (req, res) => {
         shipping,
         tax,                      // 5% GST extracted from inclusive price
         discount,
+        couponCode: pricing.coupon?.code || null,
         totalAmount,
         createdAt: Date.now(),
       }),
@@ -258,6 +346,14 @@ export const checkoutSuccess = async (req, res) => {
     // Check if order already exists
     const existingOrder = await Order.findOne({ cashfreeOrderId: orderId });
     if (existingOrder) {
+      // A previous attempt was rolled back and refunded — don't report it as a success
+      if (existingOrder.orderStatus === "cancelled" && existingOrder.refund?.refundId) {
+        return res.status(409).json({
+          success: false,
+          message: "This order could not be fulfilled and has been refunded.",
+          refund: existingOrder.refund,
+        });
+      }
       return res.status(200).json({
         success: true,
         message: "Order already processed",
@@ -288,10 +384,22 @@ export const checkoutSuccess = async (req, res) => {
       user: orderData.userId,
       products: orderData.products.map(p => ({
         product: p.productId,
+        variant: p.variantId || undefined,
+        sku: p.sku || undefined,
+        variantLabel: p.variantLabel || undefined,
         quantity: p.quantity,
         price: p.price,
+        bundleComponents: (p.bundleComponents || []).map(c => ({
+          product: c.productId,
+          variant: c.variantId || undefined,
+          sku: c.sku || undefined,
+          name: c.name,
+          quantity: c.quantity,
+        })),
       })),
       totalAmount: orderData.totalAmount,
+      discount: orderData.discount || 0,
+      couponCode: orderData.couponCode || undefined,
       shippingAddress: orderData.shippingAddress,
       billingAddress: orderData.shippingAddress,
       orderStatus: "pending",
@@ -300,23 +408,87 @@ export const checkoutSuccess = async (req, res) => {
     });
 
     // Atomically decrement stock only if sufficient quantity remains
-    for (const item of orderData.products) {
-      const updated = await Product.findOneAndUpdate(
-        { _id: item.productId, stock: { $gte: item.quantity } },
-        { $inc: { stock: -item.quantity } },
-        { new: true }
-      );
+    const decremented = [];
+    for (const item of toStockLines(orderData.products)) {
+      // Variant lines decrement both the variant and the mirrored product-level stock
+      const updated = item.variantId
+        ? await Product.findOneAndUpdate(
+            { _id: item.productId, variants: { $elemMatch: { _id: item.variantId, stock: { $gte: item.quantity } } } },
+            { $inc: { 'variants.$.stock': -item.quantity, stock: -item.quantity } },
+            { new: true }
+          )
+        : await Product.findOneAndUpdate(
+            { _id: item.productId, stock: { $gte: item.quantity } },
+            { $inc: { stock: -item.quantity } },
+            { new: true }
+          );
       if (!updated) {
-        // Roll back the order — stock ran out between checkout init and confirmation
-        await Order.findByIdAndDelete(newOrder._id);
+        // Roll back — stock ran out between checkout init and confirmation.
+        // Put back what this order already took, keep the order as cancelled
+        // so the refund has somewhere to live, and refund the captured payment.
+        for (const taken of decremented) {
+          await Product.updateOne(
+            taken.variantId
+              ? { _id: taken.productId, 'variants._id': taken.variantId }
+              : { _id: taken.productId },
+            taken.variantId
+              ? { $inc: { 'variants.$.stock': taken.quantity, stock: taken.quantity } }
+              : { $inc: { stock: taken.quantity } }
+          );
+        }
+
+        newOrder.orderStatus = "cancelled";
+        await newOrder.save();
         await redis.del(PENDING_KEY(orderId));
+        await releaseReservation(orderId);
+        if (orderData.couponCode) await releaseCoupon(orderId);
+
+        const refundResult = await initiateRefund(newOrder, {
+          reason: `Insufficient stock for ${item.name}`,
+          initiatedBy: "system",
+          customer: orderData.customerDetails,
+        });
+
         return res.status(409).json({
           success: false,
-          message: `Insufficient stock for ${item.name}. Please update your cart and try again.`,
+          message: refundResult.success
+            ? `Insufficient stock for ${item.name}. Your payment has been refunded.`
+            : `Insufficient stock for ${item.name}. Our team will process your refund shortly.`,
+          refund: refundResult.refund,
         });
       }
+      decremented.push({ ...item, updated });
+    }
+
+    // Ledger entries for what this order took (bundles as their components)
+    await StockMovement.record(decremented.map(({ productId, variantId, quantity, updated }) => {
+      const variant = variantId ? updated.variants.id(variantId) : null;
+      return {
+        product: productId,
+        variant: variantId || null,
+        sku: variant?.sku || updated.sku,
+        type: "sale",
+        quantity: -quantity,
+        balanceAfter: variant ? variant.stock : updated.stock,
+      };
+    }), { order: newOrder });
+
+    // Stock is now decremented for real — drop the hold
+    await releaseReservation(orderId);
+
+    // Coupons are single-use: the claim taken at checkout becomes permanent
+    if (orderData.couponCode) {
+      await redeemCoupon(orderId);
+    }
+
+    // The cart has been bought — empty it, as createOrder does
+    if (orderData.userId) {
+      await User.updateOne({ _id: orderData.userId }, { $set: { cartItems: [] } });
     }
 
+    // Credit an abandoned-cart reminder that brought the customer back
+    await recordCartConversion(newOrder);
+
     // Send order confirmation email
     try {
       await sendMail(
@@ -333,6 +505,7 @@ export const checkoutSuccess = async (req, res) => {
             quantity: p.quantity,
             price: p.price.toLocaleString('en-IN'),
             image: p.image,
+            components: p.bundleComponents?.map(c => ({ name: c.name, quantity: c.quantity * p.quantity })),
           })),
           shippingAddress: orderData.shippingAddress,
           billingAddress: orderData.shippingAddress,
@@ -381,20 +554,31 @@ export const checkoutSuccess = async (req, res) => {
  */
 export const cashfreeWebhook = async (req, res) => {
   try {
-    // Verify Cashfree webhook signature
+    // Verify Cashfree webhook signature. Every branch below changes state
+    // (stock holds, coupons, refunds), so unsigned requests are rejected too.
     const timestamp = req.headers['x-webhook-timestamp'];
     const signature = req.headers['x-webhook-signature'];
-    if (timestamp && signature) {
-      if (!verifyCashfreeWebhook(req.rawBody || '', timestamp, signature)) {
-        console.warn('❌ Webhook signature mismatch — rejecting request');
-        return res.status(401).json({ success: false, message: 'Invalid signature' });
-      }
+    if (!verifyCashfreeWebhook(req.rawBody || '', timestamp, signature)) {
+      console.warn('❌ Missing or invalid webhook signature — rejecting request');
+      return res.status(401).json({ success: false, message: 'Invalid signature' });
     }
 
     const { type, data } = req.body;
 
     console.log("📥 Webhook received:", type);
 
+    // Refund status updates carry data.refund instead of data.order. The
+    // status itself is read back from Cashfree rather than taken from the payload.
+    if (type === "REFUND_STATUS_WEBHOOK" && data?.refund?.order_id) {
+      const refundedOrder = await Order.findOne({ cashfreeOrderId: data.refund.order_id });
+      const holder = refundedOrder && findRefundHolder(refundedOrder, data.refund.refund_id);
+      if (holder) {
+        const synced = await syncRefundStatus(refundedOrder, holder === refundedOrder ? undefined : holder);
+        console.log("💸 Refund status webhook processed:", synced.success ? synced.refund.status : synced.error);
+      }
+      return res.status(200).json({ success: true });
+    }
+
     // Basic validation
     if (!data || !data.order || !data.order.order_id) {
       console.log("Webhook test or invalid payload");
@@ -402,6 +586,19 @@ export const cashfreeWebhook = async (req, res) => {
     }
 
     const orderId = data.order.order_id;
+
+    // Failed or abandoned payments free their held stock and coupon right away
+    // instead of waiting for the pending order to expire
+    if (type === "PAYMENT_FAILED_WEBHOOK" || type === "PAYMENT_USER_DROPPED_WEBHOOK") {
+      await releaseReservation(orderId);
+      // The customer may retry on the same order, so the coupon is only
+      // given back once Cashfree confirms nothing went through
+      const pending = await redis.get(PENDING_KEY(orderId));
+      if (pending && JSON.parse(pending).couponCode && await paymentAbandoned(orderId)) {
+        await releaseCoupon(orderId);
+      }
+    }
+
     const order = await Order.findOne({ cashfreeOrderId: orderId });
 
     if (!order) {
@@ -1,6 +1,19 @@
+import mongoose from "mongoose";
 import { redis } from "../lib/redis.js";
 import cloudinary from "../lib/cloudinary.js";
-import { Product } from "../models/Product.model.js";
+import { Product, PRODUCT_STATUSES } from "../models/Product.model.js";
+import { Category } from "../models/Category.model.js";
+import { getReservedQuantities } from "../services/stockReservation.service.js";
+import { searchCatalog, getSuggestions, invalidateSearchCache } from "../services/search.service.js";
+import { getSpecFields, normalizeSpecs, buildSpecFilters, buildComparisonTable } from "../services/specSchema.service.js";
+import { buildBundle, bundlePrice } from "../services/bundle.service.js";
+import { categoryFilter, getProductBreadcrumbs } from "../services/categoryTree.service.js";
+import { snapshotProduct, recordRevision } from "../services/productHistory.service.js";
+import { applySalePricing } from "../utils/salePricing.js";
+import { recordStockChanges, movementTypeError } from "../services/stockLedger.service.js";
+import { findLowStock, VELOCITY_WINDOW_DAYS, DEFAULT_REORDER_THRESHOLD } from "../services/lowStock.service.js";
+import { notifyBackInStock } from "../services/backInStock.service.js";
+import { notifyWishlistPriceDrop } from "../services/wishlistAlerts.service.js";
 
 export const getAllProducts = async (req, res) => {
 	try {
@@ -9,9 +22,8 @@ export const getAllProducts = async (req, res) => {
 		const safeLimit = Math.min(parseInt(limit), 100);
 		const safePage = Math.max(parseInt(page), 1);
 		
-		const query = {};
-		if (category) query.category = category;
-		if (subcategory) query.subcategory = subcategory;
+		// A subcategory includes everything nested below it
+		const query = { ...await categoryFilter(category, subcategory), ...Product.visibleFilter() };
 		if (isAvailable !== undefined) query.isAvailable = isAvailable === 'true';
 		if (isFeatured !== undefined) query.isFeatured = isFeatured === 'true';
 		
@@ -34,31 +46,181 @@ export const getAllProducts = async (req, res) => {
 	}
 };
 
+// Admin: every product whatever its lifecycle status (?status=draft,scheduled; archived ones only when asked for)
+export const getAdminProducts = async (req, res) => {
+	try {
+		const { page = 1, limit = 20, category, subcategory, status } = req.query;
+		
+		const safeLimit = Math.min(parseInt(limit), 100);
+		const safePage = Math.max(parseInt(page), 1);
+		
+		const query = await categoryFilter(category, subcategory);
+		const statuses = status ? String(status).split(',').filter(s => PRODUCT_STATUSES.includes(s)) : [];
+		query.status = statuses.length > 0 ? { $in: statuses } : { $ne: 'archived' };
+		
+		const products = await Product.find(query)
+			.sort({ updatedAt: -1 })
+			.limit(safeLimit)
+			.skip((safePage - 1) * safeLimit);
+		
+		const total = await Product.countDocuments(query);
+		
+		res.status(200).json({ 
+			products,
+			totalPages: Math.ceil(total / safeLimit),
+			currentPage: safePage,
+			total
+		});
+	} catch (error) {
+		console.log("Error in getAdminProducts controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// Admin: on-hand, reserved (held by pending checkouts) and available stock per product/variant
+export const getInventory = async (req, res) => {
+	try {
+		const { page = 1, limit = 50, category, subcategory } = req.query;
+		
+		const safeLimit = Math.min(parseInt(limit), 100);
+		const safePage = Math.max(parseInt(page), 1);
+		
+		// A subcategory includes everything nested below it
+		const query = await categoryFilter(category, subcategory);
+		
+		const products = await Product.find(query)
+			.select('name coverImage category subcategory stock isAvailable soldCount variants')
+			.sort({ name: 1 })
+			.limit(safeLimit)
+			.skip((safePage - 1) * safeLimit);
+		
+		const total = await Product.countDocuments(query);
+		const reserved = await getReservedQuantities(products);
+		
+		const inventory = products.map((product) => {
+			const variants = product.variants.map((variant) => {
+				const held = reserved.get(`${product._id}:${variant._id}`) || 0;
+				return {
+					_id: variant._id,
+					sku: variant.sku,
+					label: variant.label,
+					stock: variant.stock,
+					reserved: held,
+					available: Math.max(variant.stock - held, 0),
+				};
+			});
+			
+			const productReserved = variants.length > 0
+				? variants.reduce((sum, v) => sum + v.reserved, 0)
+				: reserved.get(`${product._id}:base`) || 0;
+			
+			return {
+				_id: product._id,
+				name: product.name,
+				coverImage: product.coverImage,
+				category: product.category,
+				subcategory: product.subcategory,
+				isAvailable: product.isAvailable,
+				soldCount: product.soldCount,
+				stock: product.stock,
+				reserved: productReserved,
+				available: Math.max(product.stock - productReserved, 0),
+				variants,
+			};
+		});
+		
+		res.status(200).json({
+			success: true,
+			inventory,
+			totalPages: Math.ceil(total / safeLimit),
+			currentPage: safePage,
+			total
+		});
+	} catch (error) {
+		console.log("Error in getInventory controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// Lines at or below their reorder threshold, most urgent first, with sales velocity
+export const getLowStockProducts = async (req, res) => {
+	try {
+		const { page = 1, limit = 50, status } = req.query;
+		
+		const safeLimit = Math.min(parseInt(limit), 100);
+		const safePage = Math.max(parseInt(page), 1);
+		
+		let items = await findLowStock();
+		if (status === 'out_of_stock' || status === 'low') {
+			items = items.filter(item => item.status === status);
+		}
+		
+		res.status(200).json({
+			success: true,
+			items: items.slice((safePage - 1) * safeLimit, safePage * safeLimit),
+			velocityWindowDays: VELOCITY_WINDOW_DAYS,
+			defaultThreshold: DEFAULT_REORDER_THRESHOLD,
+			totalPages: Math.ceil(items.length / safeLimit),
+			currentPage: safePage,
+			total: items.length
+		});
+	} catch (error) {
+		console.log("Error in getLowStockProducts controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
 export const getProductById = async (req, res) => {
 	try {
 		const product = await Product.findById(req.params.id);
 		
-		if (!product) {
+		// Drafts, scheduled and archived products don't exist as far as shoppers know
+		if (!product || !Product.isVisible(product)) {
 			return res.status(404).json({ message: "Product not found" });
 		}
 		
-		res.status(200).json({ success: true, product });
+		const breadcrumbs = await getProductBreadcrumbs(product);
+		
+		res.status(200).json({ success: true, product, breadcrumbs });
 	} catch (error) {
 		console.log("Error in getProductById controller", error.message);
 		res.status(500).json({ message: "Server error", error: error.message });
 	}
 };
 
+// Admin preview of any product, including drafts and archived ones
+export const getAdminProductById = async (req, res) => {
+	try {
+		if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+			return res.status(400).json({ message: "Invalid product ID" });
+		}
+
+		const product = await Product.findById(req.params.id);
+		
+		if (!product) {
+			return res.status(404).json({ message: "Product not found" });
+		}
+		
+		const breadcrumbs = await getProductBreadcrumbs(product);
+		
+		res.status(200).json({ success: true, product, breadcrumbs, isVisible: Product.isVisible(product) });
+	} catch (error) {
+		console.log("Error in getAdminProductById controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
 export const searchProducts = async (req, res) => {
 	try {
 		const { 
 			q, 
 			category, 
 			subcategory, 
+			brand,
 			minPrice, 
 			maxPrice, 
 			inStock,
-			sortBy = 'createdAt',
+			sortBy,
 			sortOrder = 'desc',
 			page = 1,
 			limit = 20
@@ -67,49 +229,45 @@ export const searchProducts = async (req, res) => {
 		const safeLimit = Math.min(parseInt(limit), 100);
 		const safePage = Math.max(parseInt(page), 1);
 		
-		const query = { isAvailable: true };
+		const query = { isAvailable: true, ...Product.visibleFilter() };
 		
-		// Text search
-		if (q) {
-			query.$or = [
-				{ name: { $regex: q, $options: 'i' } },
-				{ description: { $regex: q, $options: 'i' } },
-				{ brand: { $regex: q, $options: 'i' } },
-				{ tags: { $in: [new RegExp(q, 'i')] } }
-			];
-		}
+		// Category filters (a subcategory includes its descendants)
+		Object.assign(query, await categoryFilter(category, subcategory));
 		
-		// Category filters
-		if (category) query.category = category;
-		if (subcategory) query.subcategory = subcategory;
+		// Brand filter (comma separated for multi-select facets)
+		if (brand) query.brand = { $in: String(brand).split(',').map(b => b.trim()) };
 		
-		// Price range
-		if (minPrice || maxPrice) {
-			query.price = {};
-			if (minPrice) query.price.$gte = parseFloat(minPrice);
-			if (maxPrice) query.price.$lte = parseFloat(maxPrice);
-		}
+		// Price range, on the price shown (sale price while a sale runs)
+		const priceRange = {};
+		if (minPrice) priceRange.min = parseFloat(minPrice);
+		if (maxPrice) priceRange.max = parseFloat(maxPrice);
 		
 		// Stock filter
 		if (inStock === 'true') {
 			query.stock = { $gt: 0 };
 		}
 		
-		// Sort options
-		const sortOptions = {};
+		// Spec filters: spec.kv.min=1500&spec.kv.max=2500, spec.cells=4,6
+		const specFields = await getSpecFields(category, subcategory);
+		Object.assign(query, buildSpecFilters(req.query, specFields));
+		
+		// Sort options — no sortBy (or 'relevance') ranks by text score when searching
+		let sortOptions = null;
 		const validSortFields = ['price', 'createdAt', 'rating', 'soldCount', 'name'];
 		if (validSortFields.includes(sortBy)) {
-			sortOptions[sortBy] = sortOrder === 'asc' ? 1 : -1;
-		} else {
-			sortOptions.createdAt = -1;
+			sortOptions = { [sortBy]: sortOrder === 'asc' ? 1 : -1 };
+		} else if (!q && sortBy !== 'relevance') {
+			sortOptions = { createdAt: -1 };
 		}
 		
-		const products = await Product.find(query)
-			.sort(sortOptions)
-			.limit(safeLimit)
-			.skip((safePage - 1) * safeLimit);
-		
-		const total = await Product.countDocuments(query);
+		const { products, total, facets, correctedQuery } = await searchCatalog({
+			q,
+			filters: query,
+			priceRange,
+			sort: sortOptions,
+			skip: (safePage - 1) * safeLimit,
+			limit: safeLimit,
+		});
 		
 		res.status(200).json({
 			success: true,
@@ -117,7 +275,9 @@ export const searchProducts = async (req, res) => {
 			totalPages: Math.ceil(total / safeLimit),
 			currentPage: safePage,
 			total,
-			query: q || ''
+			query: q || '',
+			didYouMean: correctedQuery,
+			facets
 		});
 	} catch (error) {
 		console.log("Error in searchProducts controller", error.message);
@@ -125,28 +285,84 @@ export const searchProducts = async (req, res) => {
 	}
 };
 
+// Autocomplete for the search box — called on every keystroke, so everything comes from Redis
+export const suggestProducts = async (req, res) => {
+	try {
+		const q = String(req.query.q || '').slice(0, 100);
+		const suggestions = await getSuggestions(q);
+
+		res.status(200).json({
+			success: true,
+			query: q,
+			...suggestions
+		});
+	} catch (error) {
+		console.log("Error in suggestProducts controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+const MAX_COMPARE_PRODUCTS = 4;
+
+// Side-by-side spec table for up to four products
+export const compareProducts = async (req, res) => {
+	try {
+		const ids = [...new Set(String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean))];
+
+		if (ids.length < 2 || ids.length > MAX_COMPARE_PRODUCTS) {
+			return res.status(400).json({ message: `Select between 2 and ${MAX_COMPARE_PRODUCTS} products to compare` });
+		}
+
+		if (!ids.every(id => mongoose.Types.ObjectId.isValid(id))) {
+			return res.status(400).json({ message: "Invalid product ID" });
+		}
+
+		const found = await Product.find({ _id: { $in: ids }, ...Product.visibleFilter() })
+			.select('name brand price originalPrice coverImage category subcategory rating reviewCount stock weight specs sales priceHistory')
+			.lean();
+
+		if (found.length !== ids.length) {
+			return res.status(404).json({ message: "One or more products not found" });
+		}
+
+		// Keep the order the shopper picked
+		const products = ids.map(id => found.find(p => p._id.toString() === id));
+		const specs = await buildComparisonTable(products);
+
+		res.status(200).json({
+			success: true,
+			products: products.map(({ specs, ...product }) => applySalePricing(product)),
+			specs
+		});
+	} catch (error) {
+		console.log("Error in compareProducts controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
 export const getFeaturedProducts = async (req, res) => {
 	try {
 		let featuredProducts = await redis.get("featured_products");
 
 		if (featuredProducts) {
 			const parsed = JSON.parse(featuredProducts);
-			// Only serve from cache if it's a non-empty array
+			// Only serve from cache if it's a non-empty array. Scheduled products and
+			// sales are cached raw and resolved here, so they apply on time
 			if (Array.isArray(parsed) && parsed.length > 0) {
-				return res.json(parsed);
+				return res.json(parsed.filter(product => Product.isVisible(product)).map(product => applySalePricing(product)));
 			}
 			// Stale empty cache — fall through and re-fetch from DB
 		}
 
 		// fetch from mongodb
-		featuredProducts = await Product.find({ isFeatured: true }).lean();
+		featuredProducts = await Product.find({ isFeatured: true, status: { $ne: 'archived' } }).lean();
 
 		// store in redis only if we have results (avoid caching empty array)
 		if (featuredProducts && featuredProducts.length > 0) {
 			await redis.set("featured_products", JSON.stringify(featuredProducts));
 		}
 
-		res.status(200).send(featuredProducts || []);
+		res.status(200).send((featuredProducts || []).filter(product => Product.isVisible(product)).map(product => applySalePricing(product)));
 	} catch (error) {
 		console.log("Error in getFeaturedProducts controller", error.message);
 		res.status(500).send({ message: "Server error", error: error.message });
@@ -158,9 +374,36 @@ export const createProduct = async (req, res) => {
 		const { 
 			name, description, price, originalPrice, coverImage, images, 
 			category, subcategory, brand, stock, isAvailable, 
-			specs, tags, rating, reviewCount, isFeatured, weight
+			specs, tags, isFeatured, weight, variants,
+			isBundle, bundleItems, bundleDiscountPercentage,
+			status, publishAt, unpublishAt, reorderThreshold
 		} = req.body;
 
+		// Check category and specs before uploading anything
+		if (!(await Category.exists({ id: category, 'subcategories.id': subcategory }))) {
+			return res.status(400).json({ message: `Subcategory "${subcategory}" does not exist in category "${category}"` });
+		}
+
+		const specFields = await getSpecFields(category, subcategory);
+		const specResult = normalizeSpecs(specs, specFields);
+		if (specResult.errors.length > 0) {
+			return res.status(400).json({ message: "Invalid specs", errors: specResult.errors });
+		}
+
+		const imagesError = variantImagesError(variants);
+		if (imagesError) {
+			return res.status(400).json({ message: imagesError });
+		}
+
+		// Bundles take price, weight and stock from their components
+		let bundle = null;
+		if (isBundle) {
+			bundle = await buildBundle(bundleItems);
+			if (bundle.error) {
+				return res.status(400).json({ message: bundle.error });
+			}
+		}
+
 		let coverImageUrl = "";
 		let additionalImagesUrls = [];
 
@@ -197,27 +440,39 @@ export const createProduct = async (req, res) => {
 		const product = await Product.create({
 			name,
 			description,
-			price,
-			originalPrice,
+			price: bundle ? bundlePrice(bundle.componentsTotal, { price, discountPercentage: bundleDiscountPercentage }) : price,
+			originalPrice: bundle ? originalPrice ?? bundle.componentsTotal : originalPrice,
 			coverImage: coverImageUrl,
 			images: additionalImagesUrls,
 			category,
 			subcategory,
 			brand,
-			stock: stock || 0,
+			stock: bundle ? bundle.stock : stock || 0,
 			isAvailable: isAvailable !== undefined ? isAvailable : true,
-			specs: specs || {},
+			specs: specResult.specs,
+			specValues: specResult.values,
 			tags: tags || [],
-			rating: rating || 0,
-			reviewCount: reviewCount || 0,
 			isFeatured: isFeatured || false,
-			weight: weight || 500,
+			weight: weight || bundle?.weight || 500,
+			variants: bundle ? [] : await buildVariants(variants),
+			isBundle: !!bundle,
+			bundleItems: bundle ? bundle.bundleItems : [],
+			bundleDiscountPercentage: bundle ? bundleDiscountPercentage || 0 : 0,
+			// New products go live straight away unless saved as a draft or scheduled
+			status: status || (publishAt ? 'scheduled' : 'published'),
+			publishAt: publishAt || null,
+			unpublishAt: unpublishAt || null,
+			reorderThreshold: reorderThreshold ?? null,
 		});
 
+		await recordRevision(product, null, { action: 'create', actor: req.user, reason: req.body.reason });
+		await recordStockChanges(product, null, { actor: req.user });
+
 		// If this product is featured, refresh the cache
 		if (isFeatured) {
 			await updateFeaturedProductsCache();
 		}
+		await invalidateSearchCache();
 
 		res.status(201).json({
 			success: true,
@@ -226,54 +481,38 @@ export const createProduct = async (req, res) => {
 		});
 	} catch (error) {
 		console.log("Error in createProduct controller", error.message);
+		// e.g. a category or subcategory that doesn't exist in the Category collection
+		if (error.name === "ValidationError") {
+			return res.status(400).json({ message: error.message });
+		}
 		res.status(500).json({ message: "Server error", error: error.message });
 	}
 };
 
+// Soft delete: archived products drop out of the storefront but keep their
+// images and data, so past orders still populate and the product can be restored
 export const deleteProduct = async (req, res) => {
 	try {
 		const product = await Product.findById(req.params.id);
 
-		if (!product) {
+		if (!product || product.status === 'archived') {
 			return res.status(404).json({ message: "Product not found" });
 		}
 
-		// Delete cover image from cloudinary
-		if (product.coverImage) {
-			const publicId = product.coverImage.split("/").pop().split(".")[0];
-			try {
-				await cloudinary.uploader.destroy(`products/${publicId}`);
-				console.log("Deleted cover image from cloudinary");
-			} catch (error) {
-				console.log("Error deleting cover image from cloudinary", error);
-			}
-		}
-
-		// Delete additional images from cloudinary
-		if (product.images && product.images.length > 0) {
-			const deletePromises = product.images.map(async (imageUrl) => {
-				const publicId = imageUrl.split("/").pop().split(".")[0];
-				try {
-					await cloudinary.uploader.destroy(`products/${publicId}`);
-					console.log(`Deleted additional image from cloudinary: ${publicId}`);
-				} catch (error) {
-					console.log(`Error deleting image ${publicId}:`, error);
-				}
-			});
-			
-			await Promise.all(deletePromises);
-		}
-
-		await Product.findByIdAndDelete(req.params.id);
+		const before = snapshotProduct(product);
+		product.status = 'archived';
+		await product.save();
+		await recordRevision(product, before, { action: 'archive', actor: req.user, reason: req.body?.reason });
+		await invalidateSearchCache();
 
-		// Invalidate Redis featured products cache so deleted products don't persist
+		// Invalidate Redis featured products cache so archived products don't persist
 		if (product.isFeatured) {
 			await redis.del("featured_products");
 		}
 
 		res.status(200).json({ 
 			success: true,
-			message: "Product and all images deleted successfully" 
+			message: "Product archived successfully" 
 		});
 	} catch (error) {
 		console.log("Error in deleteProduct controller", error.message);
@@ -281,9 +520,46 @@ export const deleteProduct = async (req, res) => {
 	}
 };
 
+// Admin: bring an archived product back, as a draft unless told otherwise
+export const restoreProduct = async (req, res) => {
+	try {
+		const { status = 'draft' } = req.body || {};
+		if (!['draft', 'published'].includes(status)) {
+			return res.status(400).json({ message: "A restored product can be a draft or published" });
+		}
+
+		const product = await Product.findById(req.params.id);
+
+		if (!product) {
+			return res.status(404).json({ message: "Product not found" });
+		}
+		if (product.status !== 'archived') {
+			return res.status(400).json({ message: "Product is not archived" });
+		}
+
+		const before = snapshotProduct(product);
+		product.status = status;
+		await product.save();
+		await recordRevision(product, before, { action: 'restore', actor: req.user, reason: req.body?.reason });
+		await invalidateSearchCache();
+
+		if (product.isFeatured) {
+			await redis.del("featured_products");
+		}
+
+		res.status(200).json({ success: true, message: "Product restored successfully", product });
+	} catch (error) {
+		console.log("Error in restoreProduct controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
 export const getRecommendedProducts = async (req, res) => {
 	try {
 		const products = await Product.aggregate([
+			{
+				$match: Product.visibleFilter(),
+			},
 			{
 				$sample: { size: 4 },
 			},
@@ -294,11 +570,13 @@ export const getRecommendedProducts = async (req, res) => {
 					description: 1,
 					coverImage: 1,
 					price: 1,
+					sales: 1,
+					priceHistory: 1,
 				},
 			},
 		]);
 
-		res.json(products);
+		res.json(products.map(product => applySalePricing(product)));
 	} catch (error) {
 		console.log("Error in getRecommendedProducts controller", error.message);
 		res.status(500).json({ message: "Server error", error: error.message });
@@ -308,7 +586,7 @@ export const getRecommendedProducts = async (req, res) => {
 export const getProductsByCategory = async (req, res) => {
 	const { category } = req.params;
 	try {
-		const products = await Product.find({ category });
+		const products = await Product.find({ category, ...Product.visibleFilter() });
 		res.status(200).send({ products });
 	} catch (error) {
 		console.log("Error in getProductsByCategory controller", error.message);
@@ -319,7 +597,7 @@ export const getProductsByCategory = async (req, res) => {
 export const getProductsBySubcategory = async (req, res) => {
 	const { subcategory } = req.params;
 	try {
-		const products = await Product.find({ subcategory });
+		const products = await Product.find({ ...await categoryFilter(null, subcategory), ...Product.visibleFilter() });
 		res.status(200).send({ products });
 	} catch (error) {
 		console.log("Error in getProductsBySubcategory controller", error.message);
@@ -330,10 +608,7 @@ export const getProductsBySubcategory = async (req, res) => {
 export const getProductsByCategoryAndSubcategory = async (req, res) => {
 	const { category, subcategory } = req.params;
 	try {
-		const query = { category };
-		if (subcategory && subcategory !== 'all') {
-			query.subcategory = subcategory;
-		}
+		const query = { ...await categoryFilter(category, subcategory !== 'all' ? subcategory : null), ...Product.visibleFilter() };
 		const products = await Product.find(query);
 		res.status(200).send({ products });
 	} catch (error) {
@@ -342,71 +617,14 @@ export const getProductsByCategoryAndSubcategory = async (req, res) => {
 	}
 };
 
-export const getAllCategories = async (req, res) => {
-	try {
-		const categories = [
-			{
-				id: 'fpv-gears',
-				name: 'FPV Gears',
-				description: 'Professional FPV drone components',
-				icon: '🚁',
-				subcategories: [
-					{ id: 'frames', name: 'Frames' },
-					{ id: 'motors', name: 'Motors' },
-					{ id: 'esc', name: 'ESC' },
-					{ id: 'flight-controllers', name: 'Flight Controllers' },
-					{ id: 'stack', name: 'Stack' },
-					{ id: 'propellers', name: 'Propellers' },
-					{ id: 'batteries', name: 'Batteries & Chargers' },
-					{ id: 'gps', name: 'GPS' },
-					{ id: 'fpv-cameras', name: 'FPV Cameras' },
-					{ id: 'antennas', name: 'Antennas & Receivers' },
-					{ id: 'goggles', name: 'Goggles' },
-					{ id: 'rc-controllers', name: 'RC Controllers' },
-				],
-			},
-			{
-				id: 'electronics',
-				name: 'Electronics & Components',
-				description: 'Electronic components and boards',
-				icon: '⚡',
-				subcategories: [
-					{ id: 'microcontrollers', name: 'Microcontrollers' },
-					{ id: 'sbc', name: 'Single Board Computers' },
-					{ id: 'sensors', name: 'Sensors' },
-					{ id: 'displays', name: 'Displays' },
-					{ id: 'relays', name: 'Relays & Switches' },
-				],
-			},
-		];
-		
-		// Get product counts for each category/subcategory
-		for (const category of categories) {
-			const categoryCount = await Product.countDocuments({ category: category.id });
-			category.count = categoryCount;
-			
-			for (const subcategory of category.subcategories) {
-				const subCount = await Product.countDocuments({ 
-					category: category.id, 
-					subcategory: subcategory.id 
-				});
-				subcategory.count = subCount;
-			}
-		}
-		
-		res.status(200).send({ categories });
-	} catch (error) {
-		console.log("Error in getAllCategories controller", error.message);
-		res.status(500).send({ message: "Server error", error: error.message });
-	}
-};
-
 export const toggleFeaturedProduct = async (req, res) => {
 	try {
 		const product = await Product.findById(req.params.id);
 		if (product) {
+			const before = snapshotProduct(product);
 			product.isFeatured = !product.isFeatured;
 			const updatedProduct = await product.save();
+			await recordRevision(product, before, { action: 'featured', actor: req.user, reason: req.body?.reason });
 			await updateFeaturedProductsCache();
 			res.status(200).send(updatedProduct);
 		} else {
@@ -428,6 +646,18 @@ export const updateProduct = async (req, res) => {
 			return res.status(404).json({ message: "Product not found" });
 		}
 
+		// Edit forms send the stock back unchanged; anything else can't be applied to a bundle
+		if (product.isBundle && req.body.stock !== undefined && Number(req.body.stock) !== product.stock) {
+			return res.status(400).json({ message: "Bundle stock comes from its components — update the component products instead" });
+		}
+
+		const imagesError = variantImagesError(req.body.variants);
+		if (imagesError) {
+			return res.status(400).json({ message: imagesError });
+		}
+
+		const before = snapshotProduct(product);
+
 		// Update basic fields
 		if (name) product.name = name;
 		if (description) product.description = description;
@@ -437,22 +667,67 @@ export const updateProduct = async (req, res) => {
 		if (req.body.subcategory) product.subcategory = req.body.subcategory;
 		if (req.body.brand) product.brand = req.body.brand;
 		if (isAvailable !== undefined) product.isAvailable = isAvailable;
-		if (req.body.specs) product.specs = req.body.specs;
+		// Lifecycle (archiving goes through DELETE, un-archiving through /restore)
+		if (req.body.status) {
+			if (!['draft', 'scheduled', 'published'].includes(req.body.status)) {
+				return res.status(400).json({ message: "Status must be draft, scheduled or published" });
+			}
+			if (product.status === 'archived') {
+				return res.status(400).json({ message: "Restore the product before changing its status" });
+			}
+			product.status = req.body.status;
+		}
+		if (req.body.publishAt !== undefined) product.publishAt = req.body.publishAt || null;
+		if (req.body.unpublishAt !== undefined) product.unpublishAt = req.body.unpublishAt || null;
+		// Re-check specs when they or the subcategory (and so the schema) change
+		if (req.body.specs || category || req.body.subcategory) {
+			const specFields = await getSpecFields(product.category, product.subcategory);
+			const specResult = normalizeSpecs(req.body.specs || product.specs, specFields);
+			if (specResult.errors.length > 0) {
+				return res.status(400).json({ message: "Invalid specs", errors: specResult.errors });
+			}
+			product.specs = specResult.specs;
+			product.specValues = specResult.values;
+		}
 		if (req.body.tags) product.tags = req.body.tags;
-		if (req.body.rating !== undefined) product.rating = req.body.rating;
-		if (req.body.reviewCount !== undefined) product.reviewCount = req.body.reviewCount;
-		if (req.body.stock !== undefined) product.stock = req.body.stock;
+		if (req.body.stock !== undefined && !product.isBundle) product.stock = req.body.stock;
 		if (req.body.weight !== undefined) product.weight = req.body.weight;
+		if (req.body.reorderThreshold !== undefined) product.reorderThreshold = req.body.reorderThreshold;
+		if (Array.isArray(req.body.variants)) product.variants = await buildVariants(req.body.variants);
+
+		// Re-derive bundle numbers when its components or discount change
+		if (product.isBundle && (req.body.bundleItems || req.body.bundleDiscountPercentage !== undefined)) {
+			const bundle = await buildBundle(req.body.bundleItems || product.bundleItems);
+			if (bundle.error) {
+				return res.status(400).json({ message: bundle.error });
+			}
+			if (req.body.bundleDiscountPercentage !== undefined) {
+				product.bundleDiscountPercentage = req.body.bundleDiscountPercentage;
+			}
+			product.bundleItems = bundle.bundleItems;
+			product.price = bundlePrice(bundle.componentsTotal, {
+				price: req.body.price,
+				discountPercentage: product.bundleDiscountPercentage,
+			});
+			if (req.body.originalPrice === undefined) product.originalPrice = bundle.componentsTotal;
+			if (req.body.weight === undefined) product.weight = bundle.weight;
+			product.stock = bundle.stock;
+		}
 		const featuredChanged = req.body.isFeatured !== undefined && req.body.isFeatured !== product.isFeatured;
 		if (req.body.isFeatured !== undefined) product.isFeatured = req.body.isFeatured;
 
 		const updatedProduct = await product.save();
+		await recordRevision(product, before, { action: 'update', actor: req.user, reason: req.body.reason });
+		await recordStockChanges(product, before, { type: 'adjustment', actor: req.user, reason: req.body.reason });
+		notifyBackInStock(product, before);
+		notifyWishlistPriceDrop(product);
 
 		// Invalidate Redis cache if this product is featured (any field update affects the cache)
 		// OR if the isFeatured flag itself changed
 		if (product.isFeatured || featuredChanged) {
 			await redis.del("featured_products");
 		}
+		await invalidateSearchCache();
 
 		res.status(200).json({
 			success: true,
@@ -461,6 +736,10 @@ export const updateProduct = async (req, res) => {
 		});
 	} catch (error) {
 		console.log("Error in updateProduct controller", error.message);
+		// e.g. a category or subcategory that doesn't exist in the Category collection
+		if (error.name === "ValidationError") {
+			return res.status(400).json({ message: error.message });
+		}
 		res.status(500).json({ message: "Server error", error: error.message });
 	}
 };
@@ -468,7 +747,8 @@ export const updateProduct = async (req, res) => {
  
 export const updateStock = async (req, res) => {
 	try {
-		const { stock, operation } = req.body; // operation: 'set', 'add', 'subtract'
+		// operation: 'set', 'add', 'subtract'; type: restock, return, adjustment or damage (for the stock ledger)
+		const { stock, operation, variantId, type } = req.body;
 		const product = await Product.findById(req.params.id);
 
 		if (!product) {
@@ -479,25 +759,52 @@ export const updateStock = async (req, res) => {
 			return res.status(400).json({ message: "Invalid stock value" });
 		}
 
+		if (product.isBundle) {
+			return res.status(400).json({ message: "Bundle stock comes from its components — update the component products instead" });
+		}
+
+		const before = snapshotProduct(product);
+
+		let variant;
+		try {
+			({ variant } = product.resolveVariant(variantId));
+		} catch (variantError) {
+			return res.status(400).json({ message: variantError.message });
+		}
+
+		const current = (variant || product).stock;
+		const delta = operation === 'add' ? stock : operation === 'subtract' ? -stock : stock - current;
+		const movementType = type || (operation === 'add' ? 'restock' : 'adjustment');
+		const typeError = movementTypeError(movementType, delta);
+		if (typeError) {
+			return res.status(400).json({ message: typeError });
+		}
+		const movement = { type: movementType, actor: req.user, reason: req.body.reason };
+
 		switch (operation) {
 			case 'set':
-				product.stock = stock;
+				if (variant) variant.stock = stock;
+				else product.stock = stock;
 				if (stock > 0) product.isAvailable = true;
 				break;
 			case 'add':
-				await product.increaseStock(stock);
+				await product.increaseStock(stock, variantId, movement);
 				break;
 			case 'subtract':
-				await product.decreaseStock(stock);
+				await product.decreaseStock(stock, variantId, movement);
 				break;
 			default:
-				product.stock = stock;
+				if (variant) variant.stock = stock;
+				else product.stock = stock;
 				if (stock > 0) product.isAvailable = true;
 		}
 
 		if (operation !== 'add' && operation !== 'subtract') {
 			await product.save();
+			await recordStockChanges(product, before, movement);
 		}
+		notifyBackInStock(product, before);
+		await recordRevision(product, before, { action: 'stock', actor: req.user, reason: req.body.reason });
 
 		res.status(200).json({
 			success: true,
@@ -506,6 +813,7 @@ export const updateStock = async (req, res) => {
 				_id: product._id,
 				name: product.name,
 				stock: product.stock,
+				variants: product.variants,
 				isAvailable: product.isAvailable,
 				soldCount: product.soldCount
 			}
@@ -548,11 +856,13 @@ export const addProductImages = async (req, res) => {
 			})
 		);
 
+		const before = snapshotProduct(product);
 		const uploadResults = await Promise.all(uploadPromises);
 		const newImageUrls = uploadResults.map(result => result.secure_url);
 
  		product.images.push(...newImageUrls);
 		await product.save();
+		await recordRevision(product, before, { action: 'images', actor: req.user, reason: req.body.reason });
 
 		res.status(200).json({
 			success: true,
@@ -591,8 +901,10 @@ export const addProductImages = async (req, res) => {
 			console.log("Error deleting image from cloudinary:", error);
 		}
 
- 		product.images.splice(imageIndex, 1);
+ 		const before = snapshotProduct(product);
+		product.images.splice(imageIndex, 1);
 		await product.save();
+		await recordRevision(product, before, { action: 'images', actor: req.user, reason: req.body.reason });
 
 		res.status(200).json({
 			success: true,
@@ -637,8 +949,10 @@ export const addProductImages = async (req, res) => {
 			]
 		});
 
+		const before = snapshotProduct(product);
 		product.coverImage = cloudinaryResponse.secure_url;
 		await product.save();
+		await recordRevision(product, before, { action: 'images', actor: req.user, reason: req.body.reason });
 
 		res.status(200).json({
 			success: true,
@@ -653,7 +967,7 @@ export const addProductImages = async (req, res) => {
 
 export const bulkUpdateStock = async (req, res) => {
 	try {
-		const { updates } = req.body; // Array of { productId, stock, operation }
+		const { updates } = req.body; // Array of { productId, variantId, stock, operation, type, reason }
 		
 		if (!Array.isArray(updates) || updates.length === 0) {
 			return res.status(400).json({ message: "Updates array is required" });
@@ -662,7 +976,7 @@ export const bulkUpdateStock = async (req, res) => {
 		const results = [];
 		
 		for (const update of updates) {
-			const { productId, stock, operation = 'set' } = update;
+			const { productId, variantId, stock, operation = 'set', type, reason = req.body.reason } = update;
 			
 			try {
 				const product = await Product.findById(productId);
@@ -676,30 +990,65 @@ export const bulkUpdateStock = async (req, res) => {
 					continue;
 				}
 				
+				if (product.isBundle) {
+					results.push({
+						productId,
+						success: false,
+						error: "Bundle stock comes from its components"
+					});
+					continue;
+				}
+				
+				const before = snapshotProduct(product);
+				
+				// Variant products adjust the chosen variant, then re-sum product-level stock
+				const { variant } = product.resolveVariant(variantId);
+				const target = variant || product;
+				
+				const delta = operation === 'add' ? stock : operation === 'subtract' ? -Math.min(stock, target.stock) : stock - target.stock;
+				const movementType = type || (operation === 'add' ? 'restock' : 'adjustment');
+				const typeError = movementTypeError(movementType, delta);
+				if (typeError) {
+					results.push({
+						productId,
+						success: false,
+						error: typeError
+					});
+					continue;
+				}
+				
 				switch (operation) {
 					case 'set':
-						product.stock = stock;
-						if (stock > 0) product.isAvailable = true;
-						else product.isAvailable = false;
+						target.stock = stock;
 						break;
 					case 'add':
-						product.stock += stock;
-						if (product.stock > 0) product.isAvailable = true;
+						target.stock += stock;
 						break;
 					case 'subtract':
-						product.stock = Math.max(0, product.stock - stock);
-						if (product.stock === 0) product.isAvailable = false;
+						target.stock = Math.max(0, target.stock - stock);
 						break;
 					default:
-						product.stock = stock;
+						target.stock = stock;
+				}
+				
+				if (variant) {
+					product.stock = product.variants.reduce((sum, v) => sum + v.stock, 0);
 				}
 				
+				if (operation === 'set') product.isAvailable = product.stock > 0;
+				else if (operation === 'add' && product.stock > 0) product.isAvailable = true;
+				else if (operation === 'subtract' && product.stock === 0) product.isAvailable = false;
+				
 				await product.save();
+				await recordRevision(product, before, { action: 'stock', actor: req.user, reason });
+				await recordStockChanges(product, before, { type: movementType, actor: req.user, reason });
+				notifyBackInStock(product, before);
 				
 				results.push({
 					productId,
+					variantId: variant?._id,
 					success: true,
-					newStock: product.stock,
+					newStock: target.stock,
 					isAvailable: product.isAvailable
 				});
 			} catch (error) {
@@ -722,11 +1071,56 @@ export const bulkUpdateStock = async (req, res) => {
 	}
 };
 
+// Variant images must be a list of URLs or base64 strings; returns the problem, if any
+function variantImagesError(variants) {
+	if (!Array.isArray(variants)) return null;
+	for (const [index, variant] of variants.entries()) {
+		const images = variant?.images ?? [];
+		if (!Array.isArray(images) || images.some(img => typeof img !== 'string')) {
+			return `Variant ${variant?.sku || index + 1}: images must be a list of image URLs or base64 data`;
+		}
+	}
+	return null;
+}
+
+// Normalize variant payloads from the admin panel, uploading any new (base64) images
+async function buildVariants(variants) {
+	if (!Array.isArray(variants)) return [];
+
+	return Promise.all(variants.map(async (variant) => {
+		const images = await Promise.all((variant.images || []).map(async (img) => {
+			if (!img.startsWith('data:')) return img;
+			const result = await cloudinary.uploader.upload(img, {
+				folder: "products/variants",
+				transformation: [
+					{ width: 1000, height: 1000, crop: "limit" },
+					{ quality: "auto" },
+					{ fetch_format: "auto" }
+				]
+			});
+			return result.secure_url;
+		}));
+
+		return {
+			...(variant._id ? { _id: variant._id } : {}),
+			sku: variant.sku,
+			label: variant.label,
+			attributes: variant.attributes || {},
+			price: variant.price,
+			originalPrice: variant.originalPrice,
+			stock: variant.stock || 0,
+			reorderThreshold: variant.reorderThreshold ?? null,
+			weight: variant.weight,
+			images,
+		};
+	}));
+}
+
 async function updateFeaturedProductsCache() {
 	try {
 		// The lean() method  is used to return plain JavaScript objects instead of full Mongoose documents. This can significantly improve performance
 
-		const featuredProducts = await Product.find({ isFeatured: true }).lean();
+		const featuredProducts = await Product.find({ isFeatured: true, status: { $ne: 'archived' } }).lean();
 		await redis.set("featured_products", JSON.stringify(featuredProducts));
 	} catch (error) {
 		console.log("error in update cache function");
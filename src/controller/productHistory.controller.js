@@ -0,0 +1,122 @@
+import mongoose from "mongoose";
+import { redis } from "../lib/redis.js";
+import { Product } from "../models/Product.model.js";
+import { ProductRevision, REVISION_ACTIONS } from "../models/ProductRevision.model.js";
+import { snapshotProduct, recordRevision, applySnapshot, NOT_REVERTED } from "../services/productHistory.service.js";
+import { invalidateSearchCache } from "../services/search.service.js";
+import { recordStockChanges } from "../services/stockLedger.service.js";
+
+// GET /product/:id/history?action=stock — admin audit trail, newest first
+export const getProductHistory = async (req, res) => {
+	try {
+		if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+			return res.status(400).json({ message: "Invalid product ID" });
+		}
+
+		const { page = 1, limit = 20, action } = req.query;
+		const safeLimit = Math.min(parseInt(limit), 100);
+		const safePage = Math.max(parseInt(page), 1);
+
+		const query = { product: req.params.id };
+		if (action && REVISION_ACTIONS.includes(action)) query.action = action;
+
+		const [revisions, total] = await Promise.all([
+			ProductRevision.find(query)
+				.sort({ revision: -1 })
+				.skip((safePage - 1) * safeLimit)
+				.limit(safeLimit)
+				.populate("actor", "name email"),
+			ProductRevision.countDocuments(query),
+		]);
+
+		res.status(200).json({
+			success: true,
+			revisions,
+			totalPages: Math.ceil(total / safeLimit),
+			currentPage: safePage,
+			total,
+		});
+	} catch (error) {
+		console.log("Error in getProductHistory controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// GET /product/:id/history/:revision — one revision with the full product state it recorded
+export const getProductRevision = async (req, res) => {
+	try {
+		if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+			return res.status(400).json({ message: "Invalid product ID" });
+		}
+
+		const revision = await ProductRevision.findOne({ product: req.params.id, revision: parseInt(req.params.revision) })
+			.select("+snapshot")
+			.populate("actor", "name email");
+
+		if (!revision) {
+			return res.status(404).json({ message: "Revision not found" });
+		}
+
+		res.status(200).json({ success: true, revision });
+	} catch (error) {
+		console.log("Error in getProductRevision controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// POST /product/:id/revert { revision, reason } — put the product back the way that revision left it
+export const revertProduct = async (req, res) => {
+	try {
+		if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+			return res.status(400).json({ message: "Invalid product ID" });
+		}
+
+		const { revision: revisionNumber, reason } = req.body;
+		const [product, revision] = await Promise.all([
+			Product.findById(req.params.id),
+			ProductRevision.findOne({ product: req.params.id, revision: parseInt(revisionNumber) }).select("+snapshot"),
+		]);
+
+		if (!product) {
+			return res.status(404).json({ message: "Product not found" });
+		}
+		if (!revision) {
+			return res.status(404).json({ message: "Revision not found" });
+		}
+
+		const before = snapshotProduct(product);
+		const { errors } = await applySnapshot(product, revision.snapshot);
+		if (errors.length > 0) {
+			return res.status(400).json({ message: "This revision can't be restored as-is", errors });
+		}
+
+		await product.save();
+		const recorded = await recordRevision(product, before, {
+			action: 'revert',
+			actor: req.user,
+			reason,
+			revertedTo: revision.revision,
+		});
+		// Stock isn't reverted, but options the revision didn't have are dropped with theirs
+		await recordStockChanges(product, before, { actor: req.user, reason: `Reverted to revision ${revision.revision}` });
+
+		await invalidateSearchCache();
+		if (product.isFeatured || before.isFeatured) {
+			await redis.del("featured_products");
+		}
+
+		res.status(200).json({
+			success: true,
+			message: `Product reverted to revision ${revision.revision}`,
+			product,
+			revision: recorded?.revision ?? null,
+			notReverted: NOT_REVERTED,
+		});
+	} catch (error) {
+		console.log("Error in revertProduct controller", error.message);
+		if (error.name === "ValidationError") {
+			return res.status(400).json({ message: error.message });
+		}
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
@@ -0,0 +1,394 @@
+import mongoose from "mongoose";
+import cloudinary from "../lib/cloudinary.js";
+import Order, { RETURN_REASONS } from "../models/Order.model.js";
+import { Product } from "../models/Product.model.js";
+import { StockMovement } from "../models/StockMovement.model.js";
+import { shiprocketService } from "../services/shiprocket.service.js";
+import { initiateRefund, returnRefundAmount } from "../services/refund.service.js";
+import { notifyBackInStock } from "../services/backInStock.service.js";
+import { snapshotProduct } from "../services/productHistory.service.js";
+import { createShipmentForOrder } from "./shiprocket.controller.js";
+
+// Returns that still hold quantity against a line item
+const ACTIVE_RETURN_STATUSES = ["requested", "approved", "pickup_scheduled", "received", "refunded", "replaced"];
+
+const findReturn = async (orderId, returnId) => {
+	if (!mongoose.Types.ObjectId.isValid(orderId) || !mongoose.Types.ObjectId.isValid(returnId)) {
+		return {};
+	}
+	const order = await Order.findById(orderId).populate("user", "name email");
+	const returnRequest = order?.returns.id(returnId);
+	return { order, returnRequest };
+};
+
+// Customer: request a return for one line item of a delivered order
+export const requestReturn = async (req, res) => {
+	try {
+		const { orderId } = req.params;
+		const { itemId, quantity = 1, reason, description, images, resolution = "refund" } = req.body;
+
+		if (!mongoose.Types.ObjectId.isValid(orderId)) {
+			return res.status(400).json({ message: "Invalid order ID" });
+		}
+
+		if (!RETURN_REASONS.includes(reason)) {
+			return res.status(400).json({ message: `Reason must be one of: ${RETURN_REASONS.join(", ")}` });
+		}
+
+		if (!["refund", "replacement"].includes(resolution)) {
+			return res.status(400).json({ message: "Resolution must be refund or replacement" });
+		}
+
+		if (images && (!Array.isArray(images) || images.length > 5)) {
+			return res.status(400).json({ message: "Cannot upload more than 5 images" });
+		}
+
+		const order = await Order.findOne({ _id: orderId, user: req.user._id });
+		if (!order) {
+			return res.status(404).json({ message: "Order not found" });
+		}
+
+		if (order.orderStatus !== "delivered") {
+			return res.status(400).json({ message: "Only delivered orders can be returned" });
+		}
+
+		const item = order.products.id(itemId);
+		if (!item) {
+			return res.status(404).json({ message: "Item not found in this order" });
+		}
+
+		const alreadyReturned = order.returns
+			.filter(r => r.item.toString() === item._id.toString() && ACTIVE_RETURN_STATUSES.includes(r.status))
+			.reduce((sum, r) => sum + r.quantity, 0);
+
+		const requestedQuantity = parseInt(quantity);
+		if (!requestedQuantity || requestedQuantity < 1 || alreadyReturned + requestedQuantity > item.quantity) {
+			return res.status(400).json({
+				message: `You can return at most ${item.quantity - alreadyReturned} unit(s) of this item`
+			});
+		}
+
+		let imageUrls = [];
+		if (images && images.length > 0) {
+			const uploadResults = await Promise.all(images.map(img =>
+				cloudinary.uploader.upload(img, {
+					folder: "returns",
+					transformation: [
+						{ width: 1000, height: 1000, crop: "limit" },
+						{ quality: "auto" },
+						{ fetch_format: "auto" }
+					]
+				})
+			));
+			imageUrls = uploadResults.map(result => result.secure_url);
+		}
+
+		order.returns.push({
+			item: item._id,
+			product: item.product,
+			variant: item.variant,
+			quantity: requestedQuantity,
+			reason,
+			description,
+			images: imageUrls,
+			resolution,
+		});
+		await order.save();
+
+		res.status(201).json({
+			success: true,
+			message: "Return requested successfully",
+			returnRequest: order.returns[order.returns.length - 1],
+		});
+	} catch (error) {
+		console.error("Error requesting return:", error);
+		res.status(500).json({ message: "Error requesting return", error: error.message });
+	}
+};
+
+// Admin: all orders with returns, optionally filtered by return status
+export const getAllReturns = async (req, res) => {
+	try {
+		const { status, page = 1, limit = 20 } = req.query;
+
+		const safeLimit = Math.min(parseInt(limit), 100);
+		const safePage = Math.max(parseInt(page), 1);
+
+		const query = status ? { "returns.status": status } : { "returns.0": { $exists: true } };
+
+		const orders = await Order.find(query)
+			.populate("user", "name email userPhone")
+			.populate("products.product", "name coverImage price")
+			.sort({ updatedAt: -1 })
+			.limit(safeLimit)
+			.skip((safePage - 1) * safeLimit);
+
+		const total = await Order.countDocuments(query);
+
+		res.json({
+			success: true,
+			orders,
+			totalPages: Math.ceil(total / safeLimit),
+			currentPage: safePage,
+			total,
+		});
+	} catch (error) {
+		console.error("Error fetching returns:", error);
+		res.status(500).json({ message: "Error fetching returns", error: error.message });
+	}
+};
+
+// Admin: approve and book a Shiprocket reverse pickup from the customer
+export const approveReturn = async (req, res) => {
+	try {
+		const { order, returnRequest } = await findReturn(req.params.orderId, req.params.returnId);
+		if (!returnRequest) {
+			return res.status(404).json({ message: "Return not found" });
+		}
+
+		if (!["requested", "approved"].includes(returnRequest.status)) {
+			return res.status(400).json({ message: `Return is already ${returnRequest.status}` });
+		}
+
+		const item = order.products.id(returnRequest.item);
+		const product = await Product.findById(returnRequest.product).select("name weight");
+
+		returnRequest.status = "approved";
+		if (req.body.note !== undefined) returnRequest.adminNote = req.body.note;
+
+		const result = await shiprocketService.createReturnOrder({
+			returnId: `RET_${returnRequest._id}`,
+			orderDate: new Date().toISOString().split("T")[0],
+			email: order.user?.email,
+			pickupAddress: order.shippingAddress,
+			items: [{
+				name: item?.variantLabel ? `${product?.name} - ${item.variantLabel}` : product?.name || "Product",
+				sku: item?.sku || returnRequest.product.toString(),
+				quantity: returnRequest.quantity,
+				price: item?.price || 0,
+			}],
+			subtotal: (item?.price || 0) * returnRequest.quantity,
+			weight: ((product?.weight || 500) * returnRequest.quantity) / 1000,
+		});
+
+		if (result.success) {
+			returnRequest.status = "pickup_scheduled";
+			returnRequest.reversePickup = {
+				shiprocketOrderId: result.orderId?.toString(),
+				shipmentId: result.shipmentId?.toString(),
+				currentStatus: result.status,
+				createdAt: new Date(),
+			};
+		} else {
+			// Approved, but the pickup needs to be retried or arranged manually
+			returnRequest.reversePickup = { error: result.error };
+		}
+
+		await order.save();
+
+		res.json({
+			success: true,
+			message: result.success
+				? "Return approved and reverse pickup scheduled"
+				: `Return approved, but reverse pickup failed: ${result.error}`,
+			returnRequest,
+		});
+	} catch (error) {
+		console.error("Error approving return:", error);
+		res.status(500).json({ message: "Error approving return", error: error.message });
+	}
+};
+
+// Admin: reject a return request
+export const rejectReturn = async (req, res) => {
+	try {
+		const { order, returnRequest } = await findReturn(req.params.orderId, req.params.returnId);
+		if (!returnRequest) {
+			return res.status(404).json({ message: "Return not found" });
+		}
+
+		if (returnRequest.status !== "requested") {
+			return res.status(400).json({ message: `Return is already ${returnRequest.status}` });
+		}
+
+		returnRequest.status = "rejected";
+		returnRequest.adminNote = req.body.note;
+		returnRequest.resolvedAt = new Date();
+		await order.save();
+
+		res.json({
+			success: true,
+			message: "Return rejected",
+			returnRequest,
+		});
+	} catch (error) {
+		console.error("Error rejecting return:", error);
+		res.status(500).json({ message: "Error rejecting return", error: error.message });
+	}
+};
+
+// Admin: item arrived at the warehouse — restock if resellable, then refund or ship a replacement
+export const receiveReturn = async (req, res) => {
+	try {
+		const { restock = false } = req.body;
+		const { order, returnRequest } = await findReturn(req.params.orderId, req.params.returnId);
+		if (!returnRequest) {
+			return res.status(404).json({ message: "Return not found" });
+		}
+
+		if (!["approved", "pickup_scheduled", "received"].includes(returnRequest.status)) {
+			return res.status(400).json({ message: `Return is already ${returnRequest.status}` });
+		}
+
+		const item = order.products.id(returnRequest.item);
+
+		if (returnRequest.status !== "received") {
+			returnRequest.status = "received";
+			if (restock) {
+				const product = await Product.findById(returnRequest.product);
+				if (product) {
+					const before = snapshotProduct(product);
+					await product.increaseStock(returnRequest.quantity, returnRequest.variant, {
+						type: 'return',
+						order: order._id,
+						actor: req.user,
+						reason: `Return received (${returnRequest.reason})`,
+					});
+					notifyBackInStock(product, before);
+				}
+			}
+			await order.save();
+		}
+
+		if (returnRequest.resolution === "replacement") {
+			const replacement = await createReplacementOrder(order, returnRequest, item);
+			if (!replacement) {
+				return res.status(409).json({
+					message: "Return received, but the item is out of stock for a replacement. Switch the return to a refund.",
+					returnRequest,
+				});
+			}
+
+			returnRequest.status = "replaced";
+			returnRequest.replacementOrder = replacement._id;
+			returnRequest.resolvedAt = new Date();
+			await order.save();
+
+			try {
+				await createShipmentForOrder(replacement._id);
+			} catch (shipmentError) {
+				console.error("Failed to create Shiprocket shipment for replacement:", shipmentError);
+			}
+
+			return res.json({
+				success: true,
+				message: "Return received and replacement order created",
+				returnRequest,
+				replacementOrder: replacement,
+			});
+		}
+
+		const refundResult = await initiateRefund(order, {
+			amount: returnRefundAmount(order, item, returnRequest.quantity),
+			reason: `Return of ${returnRequest.quantity} item(s): ${returnRequest.reason.replace(/_/g, " ")}`,
+			initiatedBy: "admin",
+			customer: order.user,
+			target: returnRequest,
+		});
+
+		if (refundResult.success) {
+			returnRequest.status = "refunded";
+			returnRequest.resolvedAt = new Date();
+
+			// Every unit of every line refunded — the whole order is returned
+			const fullyReturned = order.products.every(line =>
+				order.returns
+					.filter(r => r.item.toString() === line._id.toString() && r.status === "refunded")
+					.reduce((sum, r) => sum + r.quantity, 0) >= line.quantity
+			);
+			if (fullyReturned) order.orderStatus = "returned";
+
+			await order.save();
+		}
+
+		res.status(refundResult.success ? 200 : 502).json({
+			success: refundResult.success,
+			message: refundResult.success
+				? "Return received and refund initiated"
+				: `Return received, but the refund failed: ${refundResult.error}`,
+			returnRequest,
+		});
+	} catch (error) {
+		console.error("Error receiving return:", error);
+		res.status(500).json({ message: "Error receiving return", error: error.message });
+	}
+};
+
+// Admin: switch resolution (e.g. replacement out of stock → refund)
+export const updateReturnResolution = async (req, res) => {
+	try {
+		const { resolution } = req.body;
+		if (!["refund", "replacement"].includes(resolution)) {
+			return res.status(400).json({ message: "Resolution must be refund or replacement" });
+		}
+
+		const { order, returnRequest } = await findReturn(req.params.orderId, req.params.returnId);
+		if (!returnRequest) {
+			return res.status(404).json({ message: "Return not found" });
+		}
+
+		if (["rejected", "refunded", "replaced"].includes(returnRequest.status)) {
+			return res.status(400).json({ message: `Return is already ${returnRequest.status}` });
+		}
+
+		returnRequest.resolution = resolution;
+		await order.save();
+
+		res.json({ success: true, message: "Return resolution updated", returnRequest });
+	} catch (error) {
+		console.error("Error updating return resolution:", error);
+		res.status(500).json({ message: "Error updating return resolution", error: error.message });
+	}
+};
+
+// Zero-value order that ships the same product/variant again
+async function createReplacementOrder(order, returnRequest, item) {
+	const stockFilter = returnRequest.variant
+		? { _id: returnRequest.product, variants: { $elemMatch: { _id: returnRequest.variant, stock: { $gte: returnRequest.quantity } } } }
+		: { _id: returnRequest.product, stock: { $gte: returnRequest.quantity } };
+	const stockUpdate = returnRequest.variant
+		? { $inc: { 'variants.$.stock': -returnRequest.quantity, stock: -returnRequest.quantity } }
+		: { $inc: { stock: -returnRequest.quantity } };
+
+	const updated = await Product.findOneAndUpdate(stockFilter, stockUpdate, { new: true });
+	if (!updated) return null;
+
+	const replacement = await Order.create({
+		user: order.user._id || order.user,
+		products: [{
+			product: returnRequest.product,
+			variant: returnRequest.variant,
+			sku: item?.sku,
+			variantLabel: item?.variantLabel,
+			quantity: returnRequest.quantity,
+			price: 0,
+		}],
+		totalAmount: 0,
+		shippingAddress: order.shippingAddress,
+		billingAddress: order.billingAddress,
+		orderStatus: "processing",
+		replacementFor: order._id,
+	});
+
+	const variant = returnRequest.variant ? updated.variants.id(returnRequest.variant) : null;
+	await StockMovement.record([{
+		product: updated._id,
+		variant: variant?._id || null,
+		sku: variant?.sku || updated.sku,
+		type: 'sale',
+		quantity: -returnRequest.quantity,
+		balanceAfter: variant ? variant.stock : updated.stock,
+	}], { order: replacement, reason: "Replacement shipment" });
+
+	return replacement;
+}
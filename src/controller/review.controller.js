@@ -0,0 +1,286 @@
+import mongoose from "mongoose";
+import cloudinary from "../lib/cloudinary.js";
+import { Review, REVIEW_STATUSES } from "../models/Review.model.js";
+import { Product } from "../models/Product.model.js";
+import Order from "../models/Order.model.js";
+
+// Public: approved reviews for a product
+export const getProductReviews = async (req, res) => {
+	try {
+		const { id: productId } = req.params;
+		const { page = 1, limit = 10, sortBy = 'createdAt', rating } = req.query;
+
+		if (!mongoose.Types.ObjectId.isValid(productId)) {
+			return res.status(400).json({ message: "Invalid product ID" });
+		}
+
+		const safeLimit = Math.min(parseInt(limit), 50);
+		const safePage = Math.max(parseInt(page), 1);
+
+		const query = { product: productId, status: 'approved' };
+		if (rating) query.rating = parseInt(rating);
+
+		const sortOptions = sortBy === 'rating' ? { rating: -1, createdAt: -1 } : { createdAt: -1 };
+
+		const reviews = await Review.find(query)
+			.populate('user', 'name image')
+			.select('-order')
+			.sort(sortOptions)
+			.limit(safeLimit)
+			.skip((safePage - 1) * safeLimit);
+
+		const total = await Review.countDocuments(query);
+
+		// Star breakdown for the rating histogram
+		const breakdown = await Review.aggregate([
+			{ $match: { product: new mongoose.Types.ObjectId(productId), status: 'approved' } },
+			{ $group: { _id: "$rating", count: { $sum: 1 } } },
+		]);
+
+		const ratingBreakdown = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+		breakdown.forEach(b => { ratingBreakdown[b._id] = b.count; });
+
+		res.status(200).json({
+			success: true,
+			reviews,
+			ratingBreakdown,
+			totalPages: Math.ceil(total / safeLimit),
+			currentPage: safePage,
+			total
+		});
+	} catch (error) {
+		console.log("Error in getProductReviews controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// Verified buyers only: user must have a delivered order containing the product
+export const createReview = async (req, res) => {
+	try {
+		const { id: productId } = req.params;
+		const { rating, title, comment, images } = req.body;
+
+		if (!mongoose.Types.ObjectId.isValid(productId)) {
+			return res.status(400).json({ message: "Invalid product ID" });
+		}
+
+		const numericRating = parseInt(rating);
+		if (!numericRating || numericRating < 1 || numericRating > 5) {
+			return res.status(400).json({ message: "Rating must be between 1 and 5" });
+		}
+
+		if (images && (!Array.isArray(images) || images.length > 5)) {
+			return res.status(400).json({ message: "Cannot upload more than 5 images" });
+		}
+
+		const product = await Product.findById(productId);
+		if (!product) {
+			return res.status(404).json({ message: "Product not found" });
+		}
+
+		const deliveredOrder = await Order.findOne({
+			user: req.user._id,
+			orderStatus: 'delivered',
+			'products.product': productId,
+		}).sort({ createdAt: -1 });
+
+		if (!deliveredOrder) {
+			return res.status(403).json({ message: "Only customers who received this product can review it" });
+		}
+
+		const existingReview = await Review.findOne({ product: productId, user: req.user._id });
+		if (existingReview) {
+			return res.status(400).json({ message: "You have already reviewed this product" });
+		}
+
+		let imageUrls = [];
+		if (images && images.length > 0) {
+			const uploadPromises = images.map(img =>
+				cloudinary.uploader.upload(img, {
+					folder: "reviews",
+					transformation: [
+						{ width: 1000, height: 1000, crop: "limit" },
+						{ quality: "auto" },
+						{ fetch_format: "auto" }
+					]
+				})
+			);
+
+			const uploadResults = await Promise.all(uploadPromises);
+			imageUrls = uploadResults.map(result => result.secure_url);
+		}
+
+		const review = await Review.create({
+			product: productId,
+			user: req.user._id,
+			order: deliveredOrder._id,
+			rating: numericRating,
+			title,
+			comment,
+			images: imageUrls,
+		});
+
+		res.status(201).json({
+			success: true,
+			message: "Review submitted and awaiting moderation",
+			review
+		});
+	} catch (error) {
+		console.log("Error in createReview controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// Owner or admin can delete a review
+export const deleteReview = async (req, res) => {
+	try {
+		const { id: productId, reviewId } = req.params;
+
+		if (!mongoose.Types.ObjectId.isValid(productId) || !mongoose.Types.ObjectId.isValid(reviewId)) {
+			return res.status(400).json({ message: "Invalid review ID" });
+		}
+
+		const review = await Review.findOne({ _id: reviewId, product: productId });
+		if (!review) {
+			return res.status(404).json({ message: "Review not found" });
+		}
+
+		const isOwner = review.user.toString() === req.user._id.toString();
+		if (!isOwner && req.user.role !== 'admin') {
+			return res.status(403).json({ message: "Access denied" });
+		}
+
+		if (review.images && review.images.length > 0) {
+			const deletePromises = review.images.map(async (imageUrl) => {
+				const publicId = imageUrl.split("/").pop().split(".")[0];
+				try {
+					await cloudinary.uploader.destroy(`reviews/${publicId}`);
+				} catch (error) {
+					console.log(`Error deleting review image ${publicId}:`, error);
+				}
+			});
+
+			await Promise.all(deletePromises);
+		}
+
+		await Review.findOneAndDelete({ _id: review._id });
+
+		res.status(200).json({
+			success: true,
+			message: "Review deleted successfully"
+		});
+	} catch (error) {
+		console.log("Error in deleteReview controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// Admin: list reviews across all products for moderation
+export const getAllReviews = async (req, res) => {
+	try {
+		const { page = 1, limit = 20, status, productId } = req.query;
+
+		const safeLimit = Math.min(parseInt(limit), 100);
+		const safePage = Math.max(parseInt(page), 1);
+
+		if (status && !REVIEW_STATUSES.includes(status)) {
+			return res.status(400).json({ message: `status must be one of: ${REVIEW_STATUSES.join(', ')}` });
+		}
+		if (productId && !mongoose.Types.ObjectId.isValid(productId)) {
+			return res.status(400).json({ message: "Invalid product ID" });
+		}
+
+		const query = {};
+		if (status) query.status = status;
+		if (productId) query.product = productId;
+
+		const reviews = await Review.find(query)
+			.populate('user', 'name email')
+			.populate('product', 'name coverImage')
+			.sort({ createdAt: -1 })
+			.limit(safeLimit)
+			.skip((safePage - 1) * safeLimit);
+
+		const total = await Review.countDocuments(query);
+
+		res.status(200).json({
+			success: true,
+			reviews,
+			totalPages: Math.ceil(total / safeLimit),
+			currentPage: safePage,
+			total
+		});
+	} catch (error) {
+		console.log("Error in getAllReviews controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// Admin: approve or hide a review (both recompute the product rating via the save hook)
+const setReviewStatus = (status) => async (req, res) => {
+	try {
+		const { id: productId, reviewId } = req.params;
+
+		if (!mongoose.Types.ObjectId.isValid(productId) || !mongoose.Types.ObjectId.isValid(reviewId)) {
+			return res.status(400).json({ message: "Invalid review ID" });
+		}
+
+		const review = await Review.findOne({ _id: reviewId, product: productId });
+		if (!review) {
+			return res.status(404).json({ message: "Review not found" });
+		}
+
+		review.status = status;
+		await review.save();
+
+		res.status(200).json({
+			success: true,
+			message: `Review ${status} successfully`,
+			review
+		});
+	} catch (error) {
+		console.log(`Error in setReviewStatus(${status}) controller`, error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+export const approveReview = setReviewStatus('approved');
+export const hideReview = setReviewStatus('hidden');
+
+// Admin: public reply shown under the review
+export const replyToReview = async (req, res) => {
+	try {
+		const { id: productId, reviewId } = req.params;
+		const { text } = req.body;
+
+		if (!mongoose.Types.ObjectId.isValid(productId) || !mongoose.Types.ObjectId.isValid(reviewId)) {
+			return res.status(400).json({ message: "Invalid review ID" });
+		}
+
+		const review = await Review.findOne({ _id: reviewId, product: productId });
+		if (!review) {
+			return res.status(404).json({ message: "Review not found" });
+		}
+
+		if (!text || !text.trim()) {
+			review.adminReply = undefined;
+		} else {
+			review.adminReply = {
+				text,
+				repliedBy: req.user._id,
+				repliedAt: new Date(),
+			};
+		}
+
+		await review.save();
+
+		res.status(200).json({
+			success: true,
+			message: text ? "Reply saved successfully" : "Reply removed",
+			review
+		});
+	} catch (error) {
+		console.log("Error in replyToReview controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
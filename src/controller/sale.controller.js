@@ -0,0 +1,246 @@
+import mongoose from "mongoose";
+import { redis } from "../lib/redis.js";
+import { Product } from "../models/Product.model.js";
+import { snapshotProduct, recordRevision } from "../services/productHistory.service.js";
+import { notifyWishlistPriceDrop } from "../services/wishlistAlerts.service.js";
+import { priceFor, discountedPrice, LOWEST_PRICE_WINDOW_DAYS } from "../utils/salePricing.js";
+
+const saleStatus = (sale, now = new Date()) => {
+	if (sale.startsAt > now) return 'upcoming';
+	if (sale.endsAt && sale.endsAt <= now) return 'ended';
+	return 'active';
+};
+
+// A sale with its status and the price it gives each option it covers
+const describeSale = (product, sale) => {
+	const targets = product.variants.length > 0
+		? product.variants.filter(variant => !sale.variant || variant._id.toString() === sale.variant.toString())
+		: [null];
+	return {
+		...sale.toObject(),
+		status: saleStatus(sale),
+		prices: targets.map(variant => {
+			const regularPrice = variant ? variant.price : product.price;
+			return {
+				variantId: variant?._id || null,
+				label: variant?.label || null,
+				regularPrice,
+				salePrice: discountedPrice(regularPrice, sale),
+			};
+		}),
+	};
+};
+
+const loadProduct = async (req, res) => {
+	if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+		res.status(400).json({ message: "Invalid product ID" });
+		return null;
+	}
+	const product = await Product.findById(req.params.id);
+	if (!product) {
+		res.status(404).json({ message: "Product not found" });
+		return null;
+	}
+	return product;
+};
+
+const saveSales = async (product, before, req) => {
+	await product.save();
+	await recordRevision(product, before, { action: 'sale', actor: req.user, reason: req.body?.reason });
+	// Sales starting later are picked up by the wishlist price-drop job
+	notifyWishlistPriceDrop(product);
+	if (product.isFeatured) {
+		await redis.del("featured_products");
+	}
+};
+
+// GET /product/:id/sales — admin: every sale on the product, past ones included
+export const getProductSales = async (req, res) => {
+	try {
+		const product = await loadProduct(req, res);
+		if (!product) return;
+
+		const sales = [...product.sales]
+			.sort((a, b) => b.startsAt - a.startsAt)
+			.map(sale => describeSale(product, sale));
+
+		res.status(200).json({ success: true, sales });
+	} catch (error) {
+		console.log("Error in getProductSales controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// POST /product/:id/sales { name, type: percentage|fixed, value, startsAt, endsAt, variantId }
+// A fixed sale's value is the sale price itself
+export const createSale = async (req, res) => {
+	try {
+		const product = await loadProduct(req, res);
+		if (!product) return;
+
+		if (product.status === 'archived') {
+			return res.status(400).json({ message: "Restore the product before scheduling a sale" });
+		}
+
+		const { name, type, value, startsAt, endsAt, variantId } = req.body;
+		const start = startsAt ? new Date(startsAt) : new Date();
+		if (isNaN(start)) {
+			return res.status(400).json({ message: "Invalid startsAt date" });
+		}
+
+		const before = snapshotProduct(product);
+		product.sales.push({
+			name,
+			type,
+			value: Number(value),
+			startsAt: start,
+			endsAt: endsAt || null,
+			variant: variantId || null,
+		});
+		const sale = product.sales[product.sales.length - 1];
+		await saveSales(product, before, req);
+
+		res.status(201).json({ success: true, sale: describeSale(product, sale) });
+	} catch (error) {
+		console.log("Error in createSale controller", error.message);
+		if (error.name === "ValidationError" || error.name === "CastError") {
+			return res.status(400).json({ message: error.message });
+		}
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// PATCH /product/:id/sales/:saleId — a running sale can only be renamed or have
+// its end moved; past sales are kept as they were for the 30-day price reference
+export const updateSale = async (req, res) => {
+	try {
+		const product = await loadProduct(req, res);
+		if (!product) return;
+
+		const sale = product.sales.id(req.params.saleId);
+		if (!sale) {
+			return res.status(404).json({ message: "Sale not found" });
+		}
+
+		const status = saleStatus(sale);
+		if (status === 'ended') {
+			return res.status(400).json({ message: "This sale has ended and can no longer be changed" });
+		}
+
+		const { name, type, value, startsAt, endsAt, variantId } = req.body;
+		const pricingChange = [type, value, startsAt, variantId].some(field => field !== undefined);
+		if (status === 'active' && pricingChange) {
+			return res.status(400).json({ message: "A running sale's discount can't be changed — end it and schedule a new one" });
+		}
+
+		const before = snapshotProduct(product);
+		if (name !== undefined) sale.name = name;
+		if (type !== undefined) sale.type = type;
+		if (value !== undefined) sale.value = Number(value);
+		if (startsAt !== undefined) sale.startsAt = startsAt;
+		if (endsAt !== undefined) sale.endsAt = endsAt || null;
+		if (variantId !== undefined) sale.variant = variantId || null;
+
+		await saveSales(product, before, req);
+
+		res.status(200).json({ success: true, sale: describeSale(product, sale) });
+	} catch (error) {
+		console.log("Error in updateSale controller", error.message);
+		if (error.name === "ValidationError" || error.name === "CastError") {
+			return res.status(400).json({ message: error.message });
+		}
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// DELETE /product/:id/sales/:saleId — upcoming sales are removed, a running one
+// is ended now (it stays on record, as ended ones do)
+export const deleteSale = async (req, res) => {
+	try {
+		const product = await loadProduct(req, res);
+		if (!product) return;
+
+		const sale = product.sales.id(req.params.saleId);
+		if (!sale) {
+			return res.status(404).json({ message: "Sale not found" });
+		}
+
+		const status = saleStatus(sale);
+		if (status === 'ended') {
+			return res.status(400).json({ message: "This sale has already ended" });
+		}
+
+		const before = snapshotProduct(product);
+		if (status === 'upcoming') {
+			sale.deleteOne();
+		} else {
+			sale.endsAt = new Date();
+		}
+		await saveSales(product, before, req);
+
+		res.status(200).json({
+			success: true,
+			message: status === 'upcoming' ? "Sale cancelled" : "Sale ended",
+		});
+	} catch (error) {
+		console.log("Error in deleteSale controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// GET /product/:id/price-history?variantId= — public: regular price changes and
+// sales that have started, with today's price and the lowest price in 30 days
+export const getPriceHistory = async (req, res) => {
+	try {
+		if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+			return res.status(400).json({ message: "Invalid product ID" });
+		}
+
+		const product = await Product.findOne({ _id: req.params.id, ...Product.visibleFilter() });
+		if (!product) {
+			return res.status(404).json({ message: "Product not found" });
+		}
+
+		const { variantId } = req.query;
+		const variant = variantId ? product.variants.id(variantId) : null;
+		if (variantId && !variant) {
+			return res.status(404).json({ message: "Selected option not found" });
+		}
+
+		const targetId = variant?._id.toString() || null;
+		const now = new Date();
+		const { price, regularPrice, salePrice, sale, lowestPrice30d } = priceFor(product, variant, now);
+
+		const history = product.priceHistory
+			.filter(entry => (entry.variant?.toString() || null) === targetId)
+			.map(({ price, at }) => ({ price, at }));
+
+		const sales = product.sales
+			.filter(s => s.startsAt <= now && (!s.variant || s.variant.toString() === targetId))
+			.sort((a, b) => b.startsAt - a.startsAt)
+			.map(s => ({
+				name: s.name,
+				type: s.type,
+				value: s.value,
+				startsAt: s.startsAt,
+				endsAt: s.endsAt,
+				salePrice: discountedPrice(variant ? variant.price : product.price, s),
+			}));
+
+		res.status(200).json({
+			success: true,
+			variantId: targetId,
+			price,
+			regularPrice,
+			salePrice,
+			sale,
+			lowestPrice30d,
+			lowestPriceWindowDays: LOWEST_PRICE_WINDOW_DAYS,
+			history,
+			sales,
+		});
+	} catch (error) {
+		console.log("Error in getPriceHistory controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
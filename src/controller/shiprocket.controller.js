@@ -36,9 +36,9 @@ export const createShipmentForOrder = async (orderId) => {
         shippingAddress: order.shippingAddress,
         shippingIsBilling: JSON.stringify(order.billingAddress) === JSON.stringify(order.shippingAddress),
         items: order.products.map(item => ({
-            name: item.product.name,
+            name: shipmentItemName(item),
             productId: item.product._id.toString(),
-            sku: item.product.sku || item.product._id.toString(),
+            sku: item.sku || item.product.sku || item.product._id.toString(),
             quantity: item.quantity,
             price: item.price,
             discount: 0,
@@ -638,6 +638,14 @@ export const shiprocketWebhook = async (req, res) => {
 
                     logger.success(`Order ${order._id} updated with status: ${finalStatus}`);
                     console.log('✅ Order updated successfully:', order._id);
+                } else if (shipment_id && (order = await Order.findOne({ 'returns.reversePickup.shipmentId': String(shipment_id) }))) {
+                    // Reverse pickup for a return — track it, admin marks it received after QC
+                    const returnRequest = order.returns.find(r => r.reversePickup?.shipmentId === String(shipment_id));
+                    const finalStatus = current_status || shipment_status;
+                    if (finalStatus) returnRequest.reversePickup.currentStatus = finalStatus;
+                    if (awb && !returnRequest.reversePickup.awbCode) returnRequest.reversePickup.awbCode = String(awb);
+                    await order.save();
+                    console.log('↩️ Return pickup updated:', returnRequest._id, finalStatus);
                 } else {
                     const searchCriteria = { shipment_id, order_id, awb };
                     logger.warn(`Order not found for webhook`, searchCriteria);
@@ -654,6 +662,13 @@ export const shiprocketWebhook = async (req, res) => {
     }
 };
 
+// Line item name for Shiprocket (and so its invoice): variant label, and a bundle's components
+function shipmentItemName(item) {
+    const name = item.variantLabel ? `${item.product.name} - ${item.variantLabel}` : item.product.name;
+    if (!item.bundleComponents?.length) return name;
+    return `${name} (Includes: ${item.bundleComponents.map(c => `${c.quantity}x ${c.name}`).join(', ')})`;
+}
+
 // Helper function to calculate total weight
 function calculateTotalWeight(products) {
     // Default weight per product is 0.5 kg
@@ -684,9 +699,9 @@ export const autoCreateShipment = async (orderId) => {
             shippingAddress: order.shippingAddress,
             shippingIsBilling: JSON.stringify(order.billingAddress) === JSON.stringify(order.shippingAddress),
             items: order.products.map(item => ({
-                name: item.product.name,
+                name: shipmentItemName(item),
                 productId: item.product._id.toString(),
-                sku: item.product.sku || item.product._id.toString(),
+                sku: item.sku || item.product.sku || item.product._id.toString(),
                 quantity: item.quantity,
                 price: item.price,
                 discount: 0,
@@ -0,0 +1,126 @@
+import mongoose from "mongoose";
+import { Product } from "../models/Product.model.js";
+import { StockMovement, MOVEMENT_TYPES } from "../models/StockMovement.model.js";
+import { getLedgerBalances, reconcileStock, lineKey } from "../services/stockLedger.service.js";
+
+const listMovements = async (query, { page = 1, limit = 50 }) => {
+	const safeLimit = Math.min(parseInt(limit), 100);
+	const safePage = Math.max(parseInt(page), 1);
+
+	const [movements, total] = await Promise.all([
+		StockMovement.find(query)
+			.sort({ createdAt: -1, _id: -1 })
+			.skip((safePage - 1) * safeLimit)
+			.limit(safeLimit)
+			.populate("product", "name sku")
+			.populate("order", "orderStatus totalAmount"),
+		StockMovement.countDocuments(query),
+	]);
+
+	return { movements, totalPages: Math.ceil(total / safeLimit), currentPage: safePage, total };
+};
+
+// GET /product/:id/stock-movements?variantId=&type= — one product's ledger with each line's balance
+export const getStockMovements = async (req, res) => {
+	try {
+		if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+			return res.status(400).json({ message: "Invalid product ID" });
+		}
+
+		const product = await Product.findById(req.params.id).select("name sku stock variants isBundle");
+		if (!product) {
+			return res.status(404).json({ message: "Product not found" });
+		}
+
+		const { variantId, type } = req.query;
+		const query = { product: product._id };
+		if (variantId) {
+			if (!mongoose.Types.ObjectId.isValid(variantId)) {
+				return res.status(400).json({ message: "Invalid variant ID" });
+			}
+			query.variant = variantId;
+		}
+		if (type && MOVEMENT_TYPES.includes(type)) query.type = type;
+
+		const balances = await getLedgerBalances([product._id]);
+		const lines = (product.variants.length > 0 ? product.variants : [null]).map(variant => {
+			const ledger = balances.get(lineKey(product._id, variant?._id));
+			const stock = variant ? variant.stock : product.stock;
+			return {
+				variantId: variant?._id || null,
+				sku: variant?.sku || product.sku || null,
+				stock,
+				ledger: ledger ? ledger.balance : null,
+				drift: ledger ? stock - ledger.balance : null,
+			};
+		});
+
+		const result = await listMovements(query, req.query);
+		res.status(200).json({ success: true, lines: product.isBundle ? [] : lines, ...result });
+	} catch (error) {
+		console.log("Error in getStockMovements controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// GET /product/admin/stock-movements?type=&order=&from=&to= — ledger across the catalog
+export const getAllStockMovements = async (req, res) => {
+	try {
+		const { type, order, from, to } = req.query;
+		const query = {};
+		if (type && MOVEMENT_TYPES.includes(type)) query.type = type;
+		if (order) {
+			if (!mongoose.Types.ObjectId.isValid(order)) {
+				return res.status(400).json({ message: "Invalid order ID" });
+			}
+			query.order = order;
+		}
+		if (from || to) {
+			query.createdAt = {};
+			if (from) query.createdAt.$gte = new Date(from);
+			if (to) query.createdAt.$lte = new Date(to);
+		}
+
+		const result = await listMovements(query, req.query);
+		res.status(200).json({ success: true, ...result });
+	} catch (error) {
+		console.log("Error in getAllStockMovements controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// GET /product/admin/stock-reconciliation — lines whose stock and ledger disagree
+export const getStockReconciliation = async (req, res) => {
+	try {
+		const report = await reconcileStock();
+		res.status(200).json({ success: true, ...report });
+	} catch (error) {
+		console.log("Error in getStockReconciliation controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// POST /product/admin/stock-reconciliation { trust: ledger|stock, productIds, reason }
+export const applyStockReconciliation = async (req, res) => {
+	try {
+		const { trust = 'ledger', productIds, reason } = req.body;
+		if (!['ledger', 'stock'].includes(trust)) {
+			return res.status(400).json({ message: "trust must be 'ledger' or 'stock'" });
+		}
+		if (productIds !== undefined && (!Array.isArray(productIds) || !productIds.every(id => mongoose.Types.ObjectId.isValid(id)))) {
+			return res.status(400).json({ message: "productIds must be an array of product IDs" });
+		}
+
+		const report = await reconcileStock({
+			productIds: productIds?.map(id => new mongoose.Types.ObjectId(id)) || null,
+			apply: true,
+			trust,
+			actor: req.user,
+			reason,
+		});
+		res.status(200).json({ success: true, ...report });
+	} catch (error) {
+		console.log("Error in applyStockReconciliation controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
@@ -0,0 +1,339 @@
+import mongoose from "mongoose";
+import { Product } from "../models/Product.model.js";
+import { Wishlist } from "../models/Wishlist.model.js";
+import { checkCartLine } from "../services/cartValidation.service.js";
+
+const MAX_WISHLISTS = 20;
+const MAX_WISHLIST_ITEMS = 100;
+const DEFAULT_WISHLIST_NAME = "My Wishlist";
+
+const frontendUrl = () =>
+	process.env.FRONTEND_URL?.split(',').find(u => u.startsWith('https://'))?.trim() || 'https://xrobofly.com';
+
+// Only public lists have a working link
+const shareUrlFor = (list) => list.isPublic ? `${frontendUrl()}/wishlist/shared/${list.shareId}` : null;
+
+const findOwnWishlist = async (req) => {
+	if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+	return Wishlist.findOne({ _id: req.params.id, user: req.user._id });
+};
+
+const sameLine = (item, productId, variantId) =>
+	item.product.toString() === productId.toString() &&
+	(item.variant?.toString() || null) === (variantId?.toString() || null);
+
+// Wishlist items with live price and stock. Products that are gone or hidden
+// stay on the list, marked unavailable, so the owner can decide what to do.
+const describeItems = async (items, { owner = true } = {}) => {
+	const products = await Product.find({ _id: { $in: items.map(item => item.product) } });
+
+	return items.map(item => {
+		const product = products.find(p => p._id.equals(item.product));
+		let resolved = null;
+		try {
+			if (product && Product.isVisible(product)) resolved = product.resolveVariant(item.variant);
+		} catch {
+			// Variant was removed from the product since it was saved
+		}
+
+		const line = {
+			_id: item._id,
+			productId: item.product,
+			variantId: item.variant || null,
+			name: resolved?.displayName || product?.name || null,
+			image: resolved?.image || product?.coverImage || null,
+			available: Boolean(resolved && product.isAvailable),
+			price: resolved?.price ?? null,
+			regularPrice: resolved?.regularPrice ?? null,
+			sale: resolved?.sale || null,
+			inStock: Boolean(resolved && resolved.stock > 0),
+			note: item.note || null,
+			addedAt: item.addedAt,
+		};
+		if (!owner) return line;
+
+		return {
+			...line,
+			priceWhenAdded: item.priceWhenAdded ?? null,
+			priceDrop: resolved && item.priceWhenAdded > resolved.price ? item.priceWhenAdded - resolved.price : 0,
+			notifyPriceDrop: item.notifyPriceDrop,
+			notifyBackInStock: item.notifyBackInStock,
+		};
+	});
+};
+
+const describeList = (list) => ({
+	_id: list._id,
+	name: list.name,
+	isPublic: list.isPublic,
+	shareUrl: shareUrlFor(list),
+	itemCount: list.items.length,
+	createdAt: list.createdAt,
+	updatedAt: list.updatedAt,
+});
+
+// GET /wishlist — my lists, oldest (the default) first
+export const getMyWishlists = async (req, res) => {
+	try {
+		const lists = await Wishlist.find({ user: req.user._id }).sort({ createdAt: 1 });
+		res.status(200).json({ success: true, wishlists: lists.map(describeList) });
+	} catch (error) {
+		console.log("Error in getMyWishlists controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// POST /wishlist { name, isPublic } — start a new named list
+export const createWishlist = async (req, res) => {
+	try {
+		const count = await Wishlist.countDocuments({ user: req.user._id });
+		if (count >= MAX_WISHLISTS) {
+			return res.status(400).json({ message: `You can have up to ${MAX_WISHLISTS} wishlists` });
+		}
+
+		const list = await Wishlist.create({
+			user: req.user._id,
+			name: req.body.name || DEFAULT_WISHLIST_NAME,
+			isPublic: Boolean(req.body.isPublic),
+		});
+
+		res.status(201).json({ success: true, wishlist: describeList(list) });
+	} catch (error) {
+		console.log("Error in createWishlist controller", error.message);
+		if (error.name === "ValidationError") {
+			return res.status(400).json({ message: error.message });
+		}
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// GET /wishlist/:id — one of my lists with live prices and stock
+export const getWishlist = async (req, res) => {
+	try {
+		const list = await findOwnWishlist(req);
+		if (!list) {
+			return res.status(404).json({ message: "Wishlist not found" });
+		}
+
+		res.status(200).json({ success: true, wishlist: describeList(list), items: await describeItems(list.items) });
+	} catch (error) {
+		console.log("Error in getWishlist controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// PUT /wishlist/:id { name, isPublic } — rename, or turn the share link on/off
+export const updateWishlist = async (req, res) => {
+	try {
+		const list = await findOwnWishlist(req);
+		if (!list) {
+			return res.status(404).json({ message: "Wishlist not found" });
+		}
+
+		if (req.body.name !== undefined) list.name = req.body.name;
+		if (req.body.isPublic !== undefined) list.isPublic = Boolean(req.body.isPublic);
+		await list.save();
+
+		res.status(200).json({ success: true, wishlist: describeList(list) });
+	} catch (error) {
+		console.log("Error in updateWishlist controller", error.message);
+		if (error.name === "ValidationError") {
+			return res.status(400).json({ message: error.message });
+		}
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// DELETE /wishlist/:id
+export const deleteWishlist = async (req, res) => {
+	try {
+		const list = await findOwnWishlist(req);
+		if (!list) {
+			return res.status(404).json({ message: "Wishlist not found" });
+		}
+
+		await list.deleteOne();
+		res.status(200).json({ success: true, message: "Wishlist deleted successfully" });
+	} catch (error) {
+		console.log("Error in deleteWishlist controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// POST /wishlist/items { productId, variantId, listId, note } — save a product.
+// Without a listId it goes on my first list, which is created if I have none.
+export const addToWishlist = async (req, res) => {
+	try {
+		const { productId, variantId, listId, note } = req.body;
+		if (!mongoose.Types.ObjectId.isValid(productId)) {
+			return res.status(400).json({ message: "Invalid product ID" });
+		}
+
+		const product = await Product.findById(productId);
+		if (!product || !Product.isVisible(product)) {
+			return res.status(404).json({ message: "Product not found" });
+		}
+
+		let resolved;
+		try {
+			resolved = product.resolveVariant(variantId);
+		} catch (variantError) {
+			return res.status(400).json({ message: variantError.message });
+		}
+
+		let list;
+		if (listId) {
+			list = mongoose.Types.ObjectId.isValid(listId)
+				? await Wishlist.findOne({ _id: listId, user: req.user._id })
+				: null;
+			if (!list) {
+				return res.status(404).json({ message: "Wishlist not found" });
+			}
+		} else {
+			list = await Wishlist.findOne({ user: req.user._id }).sort({ createdAt: 1 })
+				|| new Wishlist({ user: req.user._id, name: DEFAULT_WISHLIST_NAME });
+		}
+
+		const variant = resolved.variant?._id || null;
+		const existing = list.items.find(item => sameLine(item, product._id, variant));
+		if (existing) {
+			return res.status(200).json({ success: true, message: "Already on this wishlist", wishlist: describeList(list), item: existing });
+		}
+		if (list.items.length >= MAX_WISHLIST_ITEMS) {
+			return res.status(400).json({ message: `A wishlist can hold up to ${MAX_WISHLIST_ITEMS} items` });
+		}
+
+		list.items.push({ product: product._id, variant, note, priceWhenAdded: resolved.price });
+		await list.save();
+
+		res.status(201).json({ success: true, wishlist: describeList(list), item: list.items[list.items.length - 1] });
+	} catch (error) {
+		console.log("Error in addToWishlist controller", error.message);
+		if (error.name === "ValidationError") {
+			return res.status(400).json({ message: error.message });
+		}
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// PATCH /wishlist/:id/items/:itemId { note, notifyPriceDrop, notifyBackInStock, listId }
+// — change an item's note or alerts, or move it to another of my lists
+export const updateWishlistItem = async (req, res) => {
+	try {
+		const list = await findOwnWishlist(req);
+		const item = list?.items.id(req.params.itemId);
+		if (!item) {
+			return res.status(404).json({ message: "Wishlist item not found" });
+		}
+
+		const { note, notifyPriceDrop, notifyBackInStock, listId } = req.body;
+		if (note !== undefined) item.note = note;
+		if (notifyPriceDrop !== undefined) item.notifyPriceDrop = Boolean(notifyPriceDrop);
+		if (notifyBackInStock !== undefined) item.notifyBackInStock = Boolean(notifyBackInStock);
+
+		if (listId !== undefined && listId !== list._id.toString()) {
+			const target = mongoose.Types.ObjectId.isValid(listId)
+				? await Wishlist.findOne({ _id: listId, user: req.user._id })
+				: null;
+			if (!target) {
+				return res.status(404).json({ message: "Wishlist not found" });
+			}
+			if (!target.items.some(other => sameLine(other, item.product, item.variant))) {
+				if (target.items.length >= MAX_WISHLIST_ITEMS) {
+					return res.status(400).json({ message: `A wishlist can hold up to ${MAX_WISHLIST_ITEMS} items` });
+				}
+				target.items.push(item.toObject());
+				await target.save();
+			}
+			item.deleteOne();
+			await list.save();
+			return res.status(200).json({ success: true, message: `Moved to ${target.name}`, wishlist: describeList(target) });
+		}
+
+		await list.save();
+		res.status(200).json({ success: true, item });
+	} catch (error) {
+		console.log("Error in updateWishlistItem controller", error.message);
+		if (error.name === "ValidationError") {
+			return res.status(400).json({ message: error.message });
+		}
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// DELETE /wishlist/:id/items/:itemId
+export const removeWishlistItem = async (req, res) => {
+	try {
+		const list = await findOwnWishlist(req);
+		const item = list?.items.id(req.params.itemId);
+		if (!item) {
+			return res.status(404).json({ message: "Wishlist item not found" });
+		}
+
+		item.deleteOne();
+		await list.save();
+		res.status(200).json({ success: true, wishlist: describeList(list) });
+	} catch (error) {
+		console.log("Error in removeWishlistItem controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// POST /wishlist/:id/items/:itemId/cart { keep } — add one to my cart and,
+// unless keep is set, take it off the list
+export const moveWishlistItemToCart = async (req, res) => {
+	try {
+		const list = await findOwnWishlist(req);
+		const item = list?.items.id(req.params.itemId);
+		if (!item) {
+			return res.status(404).json({ message: "Wishlist item not found" });
+		}
+
+		const product = await Product.findById(item.product);
+		const inCart = req.user.cartItems.find(line => sameLine(line, item.product, item.variant));
+		const { resolved, warnings } = checkCartLine(
+			{ product: item.product, variant: item.variant, quantity: (inCart?.quantity || 0) + 1 },
+			product
+		);
+		const stockIssue = warnings.find(warning => warning.type !== 'price_changed');
+		if (stockIssue) {
+			return res.status(400).json({ message: stockIssue.message, warning: stockIssue });
+		}
+
+		req.user.addCartItem(item.product, item.variant, 1, resolved.price);
+		await req.user.save();
+		if (!req.body?.keep) {
+			item.deleteOne();
+			await list.save();
+		}
+
+		res.status(200).json({
+			success: true,
+			message: "Added to cart",
+			cartItems: req.user.cartItems,
+			wishlist: describeList(list),
+		});
+	} catch (error) {
+		console.log("Error in moveWishlistItemToCart controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
+
+// GET /wishlist/shared/:shareId — public view of a list its owner has shared
+export const getSharedWishlist = async (req, res) => {
+	try {
+		const list = await Wishlist.findOne({ shareId: req.params.shareId, isPublic: true });
+		if (!list) {
+			return res.status(404).json({ message: "Wishlist not found" });
+		}
+
+		res.status(200).json({
+			success: true,
+			wishlist: { name: list.name, shareId: list.shareId, updatedAt: list.updatedAt },
+			items: await describeItems(list.items, { owner: false }),
+		});
+	} catch (error) {
+		console.log("Error in getSharedWishlist controller", error.message);
+		res.status(500).json({ message: "Server error", error: error.message });
+	}
+};
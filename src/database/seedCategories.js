@@ -33,6 +33,8 @@ const seedCategories = async () => {
                     { id: 'antennas', name: 'Antennas & Receivers', description: 'Video receivers and antennas', order: 10, isActive: true },
                     { id: 'goggles', name: 'Goggles', description: 'FPV goggles and headsets', order: 11, isActive: true },
                     { id: 'rc-controllers', name: 'RC Controllers', description: 'Radio controllers and transmitters', order: 12, isActive: true },
+                    { id: 'vtx', name: 'Video Transmitters', description: 'Analog and digital VTX modules', order: 13, isActive: true },
+                    { id: 'receivers', name: 'RC Receivers', description: 'ELRS, Crossfire and other radio receivers', order: 14, isActive: true },
                 ],
             },
             {
@@ -0,0 +1,36 @@
+import cron from 'node-cron';
+import { findAbandonedCarts, sendCartReminder, reminderSettings } from '../services/cartRecovery.service.js';
+
+// Reminders per run; the rest go out next hour
+const MAX_REMINDERS_PER_RUN = 200;
+
+export const sendAbandonedCartReminders = async (now = new Date()) => {
+    const settings = reminderSettings();
+    const users = await findAbandonedCarts({ idleHours: settings.idleHours, limit: MAX_REMINDERS_PER_RUN }, now);
+
+    let sent = 0;
+    for (const user of users) {
+        try {
+            if (await sendCartReminder(user, settings, now)) sent++;
+        } catch (error) {
+            console.error(`Error sending cart reminder to ${user.email}:`, error.message);
+        }
+    }
+    return sent;
+};
+
+// Run every hour at :30, so a cart is reminded within an hour of going idle
+export const startAbandonedCartJob = () => {
+    cron.schedule('30 * * * *', async () => {
+        try {
+            const count = await sendAbandonedCartReminders();
+            if (count > 0) {
+                console.log(`🛒 Sent ${count} abandoned-cart reminder(s)`);
+            }
+        } catch (error) {
+            console.error('Error in abandoned-cart job:', error);
+        }
+    });
+
+    console.log('✅ Abandoned-cart job scheduled - runs hourly');
+};
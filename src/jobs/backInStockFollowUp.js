@@ -0,0 +1,56 @@
+import cron from 'node-cron';
+import { Product } from '../models/Product.model.js';
+import { StockSubscription } from '../models/StockSubscription.model.js';
+import { sendPendingSubscriptions } from '../services/backInStock.service.js';
+
+/**
+ * Restock emails are capped per restock and a failed send leaves its
+ * subscription pending, so this picks up anyone still waiting on a line
+ * that is in stock now.
+ */
+export const sendRemainingBackInStock = async () => {
+    const lines = await StockSubscription.aggregate([
+        { $match: { status: 'pending' } },
+        { $group: { _id: { product: '$product', variant: '$variant' } } },
+    ]);
+    if (lines.length === 0) return 0;
+
+    const products = await Product.find({ _id: { $in: lines.map(line => line._id.product) } });
+
+    let sent = 0;
+    for (const { _id: { product: productId, variant: variantId } } of lines) {
+        const product = products.find(p => p._id.equals(productId));
+        if (!product || !product.isAvailable || !Product.isVisible(product)) continue;
+
+        let stock = 0;
+        try {
+            ({ stock } = product.resolveVariant(variantId));
+        } catch {
+            continue; // variant was removed from the product
+        }
+        if (stock <= 0) continue;
+
+        try {
+            sent += (await sendPendingSubscriptions(product, variantId)).sent;
+        } catch (error) {
+            console.error(`Error sending back-in-stock follow-ups for ${product.name}:`, error.message);
+        }
+    }
+    return sent;
+};
+
+// Run every 15 minutes, so nobody waits long after the first batch went out
+export const startBackInStockFollowUpJob = () => {
+    cron.schedule('*/15 * * * *', async () => {
+        try {
+            const count = await sendRemainingBackInStock();
+            if (count > 0) {
+                console.log(`📬 Sent ${count} follow-up back-in-stock email(s)`);
+            }
+        } catch (error) {
+            console.error('Error in back-in-stock follow-up job:', error);
+        }
+    });
+
+    console.log('✅ Back-in-stock follow-up job scheduled - runs every 15 minutes');
+};
@@ -0,0 +1,46 @@
+import cron from 'node-cron';
+import { User } from '../models/User.model.js';
+import { sendMail } from '../services/mailer.services.js';
+import { findLowStock, VELOCITY_WINDOW_DAYS } from '../services/lowStock.service.js';
+
+// Rows in the email; the admin endpoint has the full list
+const DIGEST_ITEMS = 50;
+
+export const sendLowStockDigest = async () => {
+    const lines = await findLowStock();
+    if (lines.length === 0) return 0;
+
+    const admins = await User.find({ role: 'admin' }).select('name email');
+    const frontendUrl = process.env.FRONTEND_URL?.split(',').find(u => u.startsWith('https://'))?.trim() || 'https://xrobofly.com';
+
+    for (const admin of admins) {
+        try {
+            await sendMail(admin.email, `Low stock: ${lines.length} item(s) to reorder`, 'lowStockDigest', {
+                items: lines.slice(0, DIGEST_ITEMS),
+                total: lines.length,
+                outOfStock: lines.filter(line => line.status === 'out_of_stock').length,
+                windowDays: VELOCITY_WINDOW_DAYS,
+                adminUrl: `${frontendUrl}/admin`,
+            });
+        } catch (error) {
+            console.error(`Error sending low-stock digest to ${admin.email}:`, error.message);
+        }
+    }
+    return lines.length;
+};
+
+// Run every morning at 9 so reorders can go out the same day
+export const startLowStockJob = () => {
+    cron.schedule('0 9 * * *', async () => {
+        try {
+            const count = await sendLowStockDigest();
+            if (count > 0) {
+                console.log(`📉 Sent low-stock digest for ${count} item(s)`);
+            }
+        } catch (error) {
+            console.error('Error in low-stock job:', error);
+        }
+    });
+
+    console.log('✅ Low-stock job scheduled - runs daily at 9am');
+};
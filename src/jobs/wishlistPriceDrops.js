@@ -0,0 +1,33 @@
+import cron from 'node-cron';
+import { Product } from '../models/Product.model.js';
+import { notifyWishlistPriceDrop } from '../services/wishlistAlerts.service.js';
+
+const HOUR = 60 * 60 * 1000;
+
+// Sales scheduled ahead start without anything being saved, so look for
+// products whose sale began since the last run and check their wishlists
+export const checkStartedSales = async (now = new Date()) => {
+    const products = await Product.find({
+        sales: { $elemMatch: { startsAt: { $gt: new Date(now.getTime() - HOUR), $lte: now } } },
+    });
+    for (const product of products) {
+        await notifyWishlistPriceDrop(product);
+    }
+    return products.length;
+};
+
+// Run at the top of every hour
+export const startWishlistPriceDropJob = () => {
+    cron.schedule('0 * * * *', async () => {
+        try {
+            const count = await checkStartedSales();
+            if (count > 0) {
+                console.log(`💸 Checked wishlist price drops for ${count} product(s) with a sale starting`);
+            }
+        } catch (error) {
+            console.error('Error in wishlist price-drop job:', error);
+        }
+    });
+
+    console.log('✅ Wishlist price-drop job scheduled - runs hourly');
+};
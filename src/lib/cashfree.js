@@ -1,25 +1,35 @@
 import { Cashfree, CFEnvironment } from 'cashfree-pg';
+import cashfreeStub from './cashfreeStub.js';
 
 const appId = process.env.CASHFREE_APP_ID;
 const secretKey = process.env.CASHFREE_SECRET_KEY;
 const isProduction = process.env.CASHFREE_ENVIRONMENT === 'production' ||
                      process.env.CASHFREE_ENVIRONMENT === 'PRODUCTION';
+const isStub = process.env.CASHFREE_ENVIRONMENT === 'stub' && !isProduction;
 
-if (!appId || !secretKey) {
-  console.error('❌ Cashfree credentials missing');
-  throw new Error('Cashfree credentials not found. Please set CASHFREE_APP_ID and CASHFREE_SECRET_KEY in environment variables.');
-}
+let cashfreeInstance;
+
+if (isStub) {
+  // Local development / testing only — no real payments or refunds
+  cashfreeInstance = cashfreeStub;
+  console.warn("⚠️ Cashfree running in STUB mode — payments and refunds are simulated");
+} else {
+  if (!appId || !secretKey) {
+    console.error('❌ Cashfree credentials missing');
+    throw new Error('Cashfree credentials not found. Please set CASHFREE_APP_ID and CASHFREE_SECRET_KEY in environment variables.');
+  }
 
-// v5: pass environment, appId, secretKey directly to constructor
-const cashfreeInstance = new Cashfree(
-  isProduction ? CFEnvironment.PRODUCTION : CFEnvironment.SANDBOX,
-  appId,
-  secretKey
-);
+  // v5: pass environment, appId, secretKey directly to constructor
+  cashfreeInstance = new Cashfree(
+    isProduction ? CFEnvironment.PRODUCTION : CFEnvironment.SANDBOX,
+    appId,
+    secretKey
+  );
 
-console.log("✅ Cashfree SDK initialized:", {
-  appId: appId ? "Set" : "Missing",
-  environment: isProduction ? "🚀 PRODUCTION" : "🧪 SANDBOX"
-});
+  console.log("✅ Cashfree SDK initialized:", {
+    appId: appId ? "Set" : "Missing",
+    environment: isProduction ? "🚀 PRODUCTION" : "🧪 SANDBOX"
+  });
+}
 
 export default cashfreeInstance;
@@ -0,0 +1,85 @@
+// In-memory stand-in for the Cashfree PG SDK, enabled with CASHFREE_ENVIRONMENT=stub.
+// Implements only the calls this app makes so checkout and refunds can be exercised
+// locally without sandbox credentials. Every order is treated as paid.
+
+const orders = new Map();   // order_id -> { order_amount, cf_payment_id }
+const refunds = new Map();  // `${order_id}:${refund_id}` -> RefundEntity
+
+const randomId = () => Math.floor(Math.random() * 1e10).toString();
+
+const gatewayError = (status, message) => {
+    const error = new Error(message);
+    error.response = { status, data: { message, code: 'stub_error', type: 'invalid_request_error' } };
+    return error;
+};
+
+const cashfreeStub = {
+    async PGCreateOrder(orderRequest) {
+        orders.set(orderRequest.order_id, {
+            order_amount: orderRequest.order_amount,
+            cf_payment_id: randomId(),
+        });
+        return {
+            data: {
+                order_id: orderRequest.order_id,
+                order_amount: orderRequest.order_amount,
+                order_status: 'ACTIVE',
+                payment_session_id: `stub_session_${orderRequest.order_id}`,
+            },
+        };
+    },
+
+    async PGOrderFetchPayments(orderId) {
+        const order = orders.get(orderId);
+        if (!order) return { data: [] };
+        return {
+            data: [{
+                cf_payment_id: order.cf_payment_id,
+                order_id: orderId,
+                payment_amount: order.order_amount,
+                payment_status: 'SUCCESS',
+                payment_group: 'upi',
+            }],
+        };
+    },
+
+    async PGOrderCreateRefund(orderId, refundRequest) {
+        const order = orders.get(orderId);
+        if (!order) throw gatewayError(404, 'order not found');
+
+        const key = `${orderId}:${refundRequest.refund_id}`;
+        if (refunds.has(key)) return { data: refunds.get(key) };
+
+        const alreadyRefunded = [...refunds.values()]
+            .filter(r => r.order_id === orderId)
+            .reduce((sum, r) => sum + r.refund_amount, 0);
+        if (alreadyRefunded + refundRequest.refund_amount > order.order_amount) {
+            throw gatewayError(400, 'refund amount exceeds order amount');
+        }
+
+        const refund = {
+            cf_refund_id: randomId(),
+            cf_payment_id: order.cf_payment_id,
+            refund_id: refundRequest.refund_id,
+            order_id: orderId,
+            refund_amount: refundRequest.refund_amount,
+            refund_currency: 'INR',
+            refund_note: refundRequest.refund_note,
+            refund_status: 'PENDING',
+            created_at: new Date().toISOString(),
+        };
+        refunds.set(key, refund);
+        return { data: refund };
+    },
+
+    // Refunds settle on the first status check
+    async PGOrderFetchRefund(orderId, refundId) {
+        const refund = refunds.get(`${orderId}:${refundId}`);
+        if (!refund) throw gatewayError(404, 'refund not found');
+        refund.refund_status = 'SUCCESS';
+        refund.processed_at = new Date().toISOString();
+        return { data: refund };
+    },
+};
+
+export default cashfreeStub;
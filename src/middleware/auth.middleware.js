@@ -31,6 +31,14 @@ export const protectRoute = async (req, res, next) => {
     }
 };
 
+// Signed-in users get req.user; visitors with no session cookies pass through
+// as guests. A session whose access token expired still gets a 401, so the
+// client refreshes instead of silently falling back to a guest cart.
+export const optionalAuth = (req, res, next) => {
+    if (!req.cookies.accessToken && !req.cookies.refreshToken) return next();
+    return protectRoute(req, res, next);
+};
+
 export const adminRoute = (req, res, next) => {
     if (req.user && req.user.role === "admin") {
         next();
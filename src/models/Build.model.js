@@ -0,0 +1,55 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+
+// One configurator step's choice (see BUILD_STEPS in services/buildConfigurator.service.js)
+const buildItemSchema = new mongoose.Schema({
+    step: {
+        type: String,
+        required: true,
+    },
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Product",
+        required: true,
+    },
+    variant: {
+        type: mongoose.Schema.Types.ObjectId,
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1,
+        default: 1,
+    },
+}, { _id: false });
+
+const buildSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100,
+        default: "My Quad",
+    },
+    items: {
+        type: [buildItemSchema],
+        default: [],
+    },
+    // Public link token: /build/shared/:shareId
+    shareId: {
+        type: String,
+        unique: true,
+        default: () => crypto.randomBytes(8).toString("base64url"),
+    },
+}, {
+    timestamps: true,
+});
+
+buildSchema.index({ user: 1, updatedAt: -1 });
+
+export const Build = mongoose.model("Build", buildSchema);
@@ -0,0 +1,71 @@
+import mongoose from "mongoose";
+
+export const CART_REMINDER_STATUSES = ['sent', 'converted'];
+
+// One abandoned-cart reminder email, and the order it led to (if any)
+const cartReminderSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+    },
+    email: {
+        type: String,
+        required: true,
+    },
+    // The user's cartUpdatedAt when this was sent: one reminder per version of a cart
+    cartUpdatedAt: {
+        type: Date,
+        required: true,
+    },
+    // The lines the email listed
+    items: [
+        {
+            _id: false,
+            product: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "Product",
+            },
+            variant: {
+                type: mongoose.Schema.Types.ObjectId,
+            },
+            name: String,
+            quantity: Number,
+            price: Number,
+        }
+    ],
+    cartTotal: {
+        type: Number,
+        min: 0,
+    },
+    // One-time coupon offered in the email, if any
+    couponCode: {
+        type: String,
+    },
+    status: {
+        type: String,
+        enum: CART_REMINDER_STATUSES,
+        default: 'sent',
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Order",
+    },
+    orderAmount: {
+        type: Number,
+    },
+    couponRedeemed: {
+        type: Boolean,
+        default: false,
+    },
+    convertedAt: {
+        type: Date,
+    },
+}, {
+    timestamps: true,
+});
+
+cartReminderSchema.index({ user: 1, cartUpdatedAt: 1 }, { unique: true });
+cartReminderSchema.index({ createdAt: -1 });
+
+export const CartReminder = mongoose.model("CartReminder", cartReminderSchema);
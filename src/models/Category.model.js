@@ -1,5 +1,56 @@
 import mongoose from "mongoose";
 
+export const SPEC_TYPES = ['number', 'enum', 'boolean', 'text'];
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// One typed spec a subcategory's products carry, e.g. motors → { key: 'kv', type: 'number', unit: 'KV' }
+const specFieldSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true,
+        match: [/^[a-z0-9_]+$/, "Spec key may only contain letters, numbers and underscores"],
+    },
+    label: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    type: {
+        type: String,
+        enum: SPEC_TYPES,
+        default: 'text',
+    },
+    unit: {
+        type: String,
+        trim: true,
+    },
+    // Allowed values for enum specs
+    options: {
+        type: [String],
+        default: [],
+    },
+    min: Number,
+    max: Number,
+    required: {
+        type: Boolean,
+        default: false,
+    },
+    filterable: {
+        type: Boolean,
+        default: true,
+    },
+}, { _id: false });
+
+specFieldSchema.pre('validate', function(next) {
+    if (this.type === 'enum' && this.options.length === 0) {
+        return next(new Error(`Spec "${this.key}" is an enum and needs at least one option`));
+    }
+    next();
+});
+
 const categorySchema = new mongoose.Schema({
     id: {
         type: String,
@@ -33,6 +84,16 @@ const categorySchema = new mongoose.Schema({
         type: Boolean,
         default: true,
     },
+    // URL segment for category pages; defaults to the id
+    slug: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        match: [SLUG_PATTERN, "Slug may only contain lowercase letters, numbers and hyphens"],
+    },
+    // Every node below the root, at any depth. Nesting is by `parent` (a sibling
+    // subcategory's id, null = directly under this category); path and depth are
+    // derived on save, see the pre('validate') hook below.
     subcategories: [{
         id: {
             type: String,
@@ -45,6 +106,27 @@ const categorySchema = new mongoose.Schema({
             required: true,
             trim: true,
         },
+        parent: {
+            type: String,
+            trim: true,
+            lowercase: true,
+            default: null,
+        },
+        slug: {
+            type: String,
+            trim: true,
+            lowercase: true,
+            match: [SLUG_PATTERN, "Slug may only contain lowercase letters, numbers and hyphens"],
+        },
+        // Materialized path of ids from the root category, e.g. "fpv-gears/motors/5-inch-motors"
+        path: {
+            type: String,
+        },
+        // 1 = directly under the category
+        depth: {
+            type: Number,
+            default: 1,
+        },
         description: {
             type: String,
             trim: true,
@@ -61,13 +143,77 @@ const categorySchema = new mongoose.Schema({
             type: Boolean,
             default: true,
         },
+        // PC-builder step this subcategory (and everything nested below it)
+        // supplies parts for, e.g. 'motors'; see BUILD_STEPS in buildConfigurator.service.js
+        buildStep: {
+            type: String,
+            trim: true,
+            default: null,
+        },
+        specSchema: {
+            type: [specFieldSchema],
+            default: [],
+            validate: {
+                validator: function(fields) {
+                    const keys = fields.map(f => f.key);
+                    return new Set(keys).size === keys.length;
+                },
+                message: "Spec keys must be unique within a subcategory"
+            }
+        },
     }],
 }, {
     timestamps: true,
 });
 
+// Keep the tree consistent on every save: default slugs, check parents and
+// cycles, and recompute each node's path/depth from its chain of parents.
+// Moves and renames only need to change `parent`/`id`; paths follow.
+categorySchema.pre('validate', function(next) {
+    if (!this.slug) this.slug = this.id;
+
+    const byId = new Map(this.subcategories.map(sub => [sub.id, sub]));
+    for (const sub of this.subcategories) {
+        if (!sub.slug) sub.slug = sub.id;
+        if (!sub.parent) sub.parent = null;
+        if (sub.parent && !byId.has(sub.parent)) {
+            this.invalidate('subcategories', `Parent "${sub.parent}" of subcategory "${sub.id}" does not exist in this category`);
+            return next();
+        }
+    }
+
+    for (const sub of this.subcategories) {
+        const chain = [sub.id];
+        let node = sub;
+        while (node.parent) {
+            node = byId.get(node.parent);
+            if (chain.includes(node.id)) {
+                this.invalidate('subcategories', `Subcategory "${sub.id}" can't be nested inside itself`);
+                return next();
+            }
+            chain.unshift(node.id);
+        }
+        sub.path = [this.id, ...chain].join('/');
+        sub.depth = chain.length;
+    }
+
+    // Slugs only need to be unique among siblings: /fpv-gears/motors/5-inch
+    const siblingSlugs = new Set();
+    for (const sub of this.subcategories) {
+        const key = `${sub.parent}/${sub.slug}`;
+        if (siblingSlugs.has(key)) {
+            this.invalidate('subcategories', `Slug "${sub.slug}" is used twice under the same parent`);
+            return next();
+        }
+        siblingSlugs.add(key);
+    }
+
+    next();
+});
+
 // Add indexes (id already indexed via unique: true)
 categorySchema.index({ order: 1 });
+categorySchema.index({ slug: 1 }, { unique: true, sparse: true });
 categorySchema.index({ 'subcategories.id': 1 });
 
 export const Category = mongoose.model("Category", categorySchema);
@@ -0,0 +1,78 @@
+import mongoose from "mongoose";
+
+/*
+ * How a source spec value is compared with a target spec value:
+ *   equals   – same value (case-insensitive), e.g. battery connector = ESC connector
+ *   overlap  – lists share an entry, e.g. stack "20x20" vs frame "20x20, 30.5x30.5"
+ *   lte/gte  – numeric source <= / >= target, e.g. prop size <= frame max prop size
+ *   inRange  – numeric source within a target range, e.g. battery 6S within motor "4-6S"
+ */
+export const COMPATIBILITY_OPERATORS = ["equals", "overlap", "lte", "gte", "inRange"];
+
+const compatibilityRuleSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+        // Products in these subcategories provide sourceSpec...
+        sourceSubcategories: {
+            type: [String],
+            required: true,
+            validate: {
+                validator: (list) => list.length > 0,
+                message: "At least one source subcategory is required",
+            },
+        },
+        sourceSpec: {
+            type: String,
+            required: true,
+            trim: true,
+            lowercase: true,
+        },
+        // ...which is checked against targetSpec on products in these subcategories
+        targetSubcategories: {
+            type: [String],
+            required: true,
+            validate: {
+                validator: (list) => list.length > 0,
+                message: "At least one target subcategory is required",
+            },
+        },
+        targetSpec: {
+            type: String,
+            required: true,
+            trim: true,
+            lowercase: true,
+        },
+        operator: {
+            type: String,
+            enum: COMPATIBILITY_OPERATORS,
+            default: "equals",
+        },
+        // Shown in the cart; {source}, {sourceValue}, {target} and {targetValue} are filled in
+        message: {
+            type: String,
+            trim: true,
+            default: "{source} ({sourceValue}) may not be compatible with {target} ({targetValue})",
+        },
+        severity: {
+            type: String,
+            enum: ["error", "warning"],
+            default: "warning",
+        },
+        isActive: {
+            type: Boolean,
+            default: true,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+compatibilityRuleSchema.index({ isActive: 1, sourceSubcategories: 1 });
+compatibilityRuleSchema.index({ isActive: 1, targetSubcategories: 1 });
+
+export const CompatibilityRule = mongoose.model("CompatibilityRule", compatibilityRuleSchema);
@@ -27,6 +27,12 @@ const couponSchema = new mongoose.Schema(
 			required: true,
 			unique: true,
 		},
+		// Checkout holding the coupon while its payment is pending. A claim
+		// without expiresAt belongs to a paid order and is never released.
+		claim: {
+			orderId: String,
+			expiresAt: Date,
+		},
 	},
 	{
 		timestamps: true,
@@ -1,5 +1,128 @@
 import mongoose from "mongoose";
 
+// Cashfree refund, stored on the order (cancellation / stock rollback) or on a return
+const refundSchema = new mongoose.Schema({
+    refundId: {
+        type: String,
+    },
+    cfRefundId: {
+        type: String,
+    },
+    amount: {
+        type: Number,
+        min: 0,
+    },
+    status: {
+        type: String,
+        enum: ["PENDING", "SUCCESS", "CANCELLED", "ONHOLD", "FAILED"],
+    },
+    reason: {
+        type: String,
+    },
+    initiatedBy: {
+        type: String,
+        enum: ["system", "admin"],
+    },
+    // Bumped after Cashfree rejects a refund, so the retry gets a fresh idempotency key
+    attempt: {
+        type: Number,
+        default: 1,
+    },
+    error: {
+        type: String,
+    },
+    initiatedAt: {
+        type: Date,
+    },
+    processedAt: {
+        type: Date,
+    }
+}, { _id: false });
+
+export const RETURN_REASONS = ["defective", "damaged", "wrong_item", "wrong_size", "not_as_described", "other"];
+export const RETURN_STATUSES = ["requested", "approved", "rejected", "pickup_scheduled", "received", "refunded", "replaced"];
+
+// Customer return (RMA) for one line item of the order
+const returnSchema = new mongoose.Schema({
+    item: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        comment: '_id of the line in order.products',
+    },
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Product",
+        required: true,
+    },
+    variant: {
+        type: mongoose.Schema.Types.ObjectId,
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1,
+    },
+    reason: {
+        type: String,
+        enum: RETURN_REASONS,
+        required: true,
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: 1000,
+    },
+    images: {
+        type: [String],
+        default: [],
+    },
+    resolution: {
+        type: String,
+        enum: ["refund", "replacement"],
+        default: "refund",
+    },
+    status: {
+        type: String,
+        enum: RETURN_STATUSES,
+        default: "requested",
+    },
+    adminNote: {
+        type: String,
+        trim: true,
+    },
+    reversePickup: {
+        shiprocketOrderId: {
+            type: String,
+        },
+        shipmentId: {
+            type: String,
+        },
+        awbCode: {
+            type: String,
+        },
+        currentStatus: {
+            type: String,
+        },
+        error: {
+            type: String,
+        },
+        createdAt: {
+            type: Date,
+        },
+    },
+    refund: refundSchema,
+    replacementOrder: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Order",
+    },
+    requestedAt: {
+        type: Date,
+        default: Date.now,
+    },
+    resolvedAt: {
+        type: Date,
+    },
+});
 
 const orderSchema = new mongoose.Schema({
     user: {
@@ -14,6 +137,16 @@ const orderSchema = new mongoose.Schema({
                 ref: "Product",
                 required: true,
             },
+            // Chosen variant (subdocument _id of Product.variants), if any
+            variant: {
+                type: mongoose.Schema.Types.ObjectId,
+            },
+            sku: {
+                type: String,
+            },
+            variantLabel: {
+                type: String,
+            },
             quantity: {
                 type: Number,
                 required: true,
@@ -24,7 +157,26 @@ const orderSchema = new mongoose.Schema({
                 required: true,
 
                 min: 0,
-            }
+            },
+            // What a bundle line actually shipped, snapshotted at purchase (quantity is per bundle)
+            bundleComponents: [
+                {
+                    _id: false,
+                    product: {
+                        type: mongoose.Schema.Types.ObjectId,
+                        ref: "Product",
+                    },
+                    variant: {
+                        type: mongoose.Schema.Types.ObjectId,
+                    },
+                    sku: String,
+                    name: String,
+                    quantity: {
+                        type: Number,
+                        min: 1,
+                    },
+                }
+            ],
         }
     ],
     totalAmount: {
@@ -32,6 +184,15 @@ const orderSchema = new mongoose.Schema({
         required: true,
         min: 0,
     },
+    // Coupon applied at checkout and what it took off (already reflected in totalAmount)
+    couponCode: {
+        type: String,
+    },
+    discount: {
+        type: Number,
+        default: 0,
+        min: 0,
+    },
     shippingAddress: {
         fullName: {
             type: String,
@@ -102,7 +263,7 @@ const orderSchema = new mongoose.Schema({
     },
     orderStatus: {
         type: String,
-        enum: ["pending", "processing", "shipped", "delivered", "cancelled"],
+        enum: ["pending", "processing", "shipped", "delivered", "cancelled", "returned"],
         default: "pending",
     },
     razorpayOrderId: {
@@ -120,6 +281,16 @@ const orderSchema = new mongoose.Schema({
     trackingUrl: {
         type: String,
     },
+    refund: refundSchema,
+    returns: {
+        type: [returnSchema],
+        default: [],
+    },
+    // Set on zero-value orders created to ship a replacement for a return
+    replacementFor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Order",
+    },
     shipment: {
         shiprocketOrderId: {
             type: String,
@@ -172,5 +343,8 @@ const orderSchema = new mongoose.Schema({
 
 }, { timestamps: true, });
 
+orderSchema.index({ 'returns.status': 1 });
+orderSchema.index({ 'returns.reversePickup.shipmentId': 1 });
+
 const Order = mongoose.model("Order", orderSchema);
 export default Order;
\ No newline at end of file
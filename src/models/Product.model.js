@@ -1,4 +1,144 @@
 import mongoose from "mongoose";
+import { Category } from "./Category.model.js";
+import { buildSearchTerms } from "../utils/searchText.js";
+import { priceFor, applySalePricing } from "../utils/salePricing.js";
+import { StockMovement } from "./StockMovement.model.js";
+
+// draft: being prepared, scheduled: goes live at publishAt,
+// published: live (within publishAt/unpublishAt if set), archived: soft-deleted
+export const PRODUCT_STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+
+// Purchasable option of a product (e.g. 1950KV vs 2450KV motor, 4S vs 6S battery)
+const variantSchema = new mongoose.Schema({
+    sku: {
+        type: String,
+        required: [true, "Variant SKU is required"],
+        trim: true,
+        uppercase: true,
+    },
+    label: {
+        type: String,
+        required: [true, "Variant label is required"],
+        trim: true,
+    },
+    // Free-form option values, e.g. { color: 'Red', kv: '1950KV', connector: 'XT60' }
+    attributes: {
+        type: Map,
+        of: String,
+        default: {},
+    },
+    price: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+    originalPrice: {
+        type: Number,
+        min: 0,
+    },
+    stock: {
+        type: Number,
+        required: true,
+        min: 0,
+        default: 0,
+    },
+    // Falls back to the product's threshold
+    reorderThreshold: {
+        type: Number,
+        min: 0,
+        default: null,
+    },
+    weight: {
+        type: Number,
+        min: 0,
+        comment: 'Weight in grams, falls back to product weight',
+    },
+    images: {
+        type: [String],
+        default: [],
+    },
+});
+
+export const SALE_TYPES = ['percentage', 'fixed'];
+
+// Scheduled sale: `value` is a percentage off, or the fixed sale price.
+// A variant sale applies to that option only.
+const saleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        trim: true,
+        default: 'Sale',
+    },
+    type: {
+        type: String,
+        enum: SALE_TYPES,
+        required: true,
+    },
+    value: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+    startsAt: {
+        type: Date,
+        required: true,
+    },
+    // null = runs until removed
+    endsAt: {
+        type: Date,
+        default: null,
+    },
+    variant: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+    },
+});
+
+saleSchema.pre('validate', function(next) {
+    if (this.type === 'percentage' && (this.value <= 0 || this.value >= 100)) {
+        this.invalidate('value', "A percentage sale must be between 0 and 100");
+    }
+    if (this.endsAt && this.startsAt && this.endsAt <= this.startsAt) {
+        this.invalidate('endsAt', "A sale must end after it starts");
+    }
+    next();
+});
+
+// Regular price changes, for the "lowest price in 30 days" reference
+const priceHistorySchema = new mongoose.Schema({
+    variant: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+    },
+    price: {
+        type: Number,
+        required: true,
+    },
+    at: {
+        type: Date,
+        default: Date.now,
+    },
+}, { _id: false });
+
+const MAX_PRICE_HISTORY = 200;
+
+// Component of a bundle/kit product: quantity is per one bundle
+const bundleItemSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true,
+    },
+    variant: {
+        type: mongoose.Schema.Types.ObjectId,
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1,
+        default: 1,
+    },
+}, { _id: false });
 
 const productSchema = new mongoose.Schema({
     name: {
@@ -6,6 +146,12 @@ const productSchema = new mongoose.Schema({
         required: true,
         trim: true,
     },
+    // Catalog key used by the CSV/JSON import to upsert (variants have their own SKUs)
+    sku: {
+        type: String,
+        trim: true,
+        uppercase: true,
+    },
     description: {
         type: String,
         required: true,
@@ -20,24 +166,29 @@ const productSchema = new mongoose.Schema({
         type: Number,
         min: 0,
     },
+    // category/subcategory are Category.id / subcategories.id values, checked
+    // against the Category collection so admin-created categories can hold products
     category: {
         type: String,
         required: true,
         trim: true,
-        enum: ['fpv-gears', 'electronics'],
+        validate: {
+            validator: async function(value) {
+                return !!(await Category.exists({ id: value }));
+            },
+            message: props => `Category "${props.value}" does not exist`
+        }
     },
     subcategory: {
         type: String,
         required: true,
         trim: true,
-        enum: [
-            // FPV Gears subcategories
-            'frames', 'motors', 'esc', 'flight-controllers', 'stack', 
-            'propellers', 'batteries', 'gps', 'fpv-cameras', 'antennas', 
-            'goggles', 'rc-controllers',
-            // Electronics subcategories
-            'microcontrollers', 'sbc', 'sensors', 'displays', 'relays'
-        ],
+        validate: {
+            validator: async function(value) {
+                return !!(await Category.exists({ id: this.category, 'subcategories.id': value }));
+            },
+            message: props => `Subcategory "${props.value}" does not exist in this category`
+        }
     },
     brand: {
         type: String,
@@ -62,6 +213,7 @@ const productSchema = new mongoose.Schema({
             message: "Cannot upload more than 10 images"
         }
     },
+    // rating and reviewCount are derived from approved reviews (see Review.model.js)
     rating: {
         type: Number,
         default: 0,
@@ -79,10 +231,35 @@ const productSchema = new mongoose.Schema({
         min: 0,
         default: 0,
     },
+    // Stock at or below this shows up in low-stock alerts; null = the store default
+    reorderThreshold: {
+        type: Number,
+        min: 0,
+        default: null,
+    },
     isAvailable: {
         type: Boolean,
         default: true,
     },
+    // Lifecycle — what customers can see. isAvailable still toggles purchasing
+    // of a visible product; see visibleFilter() below.
+    status: {
+        type: String,
+        enum: PRODUCT_STATUSES,
+        default: 'published',
+    },
+    publishAt: {
+        type: Date,
+        default: null,
+    },
+    unpublishAt: {
+        type: Date,
+        default: null,
+    },
+    archivedAt: {
+        type: Date,
+        default: null,
+    },
     soldCount: {
         type: Number,
         default: 0,
@@ -93,6 +270,14 @@ const productSchema = new mongoose.Schema({
         of: String,
         default: {},
     },
+    // Typed copy of specs (numbers, booleans, canonical enum values) for range
+    // and enum filters — kept in sync by services/specSchema.service.js
+    specValues: {
+        type: Map,
+        of: mongoose.Schema.Types.Mixed,
+        default: {},
+        select: false,
+    },
     tags: {
         type: [String],
         default: [],
@@ -103,22 +288,323 @@ const productSchema = new mongoose.Schema({
         min: 0,
         comment: 'Weight in grams',
     },
+    variants: {
+        type: [variantSchema],
+        default: [],
+        validate: {
+            validator: function(variants) {
+                const skus = variants.map(v => v.sku);
+                return new Set(skus).size === skus.length;
+            },
+            message: "Variant SKUs must be unique within a product"
+        }
+    },
+    sales: {
+        type: [saleSchema],
+        default: [],
+    },
+    // Capped at the last MAX_PRICE_HISTORY changes
+    priceHistory: {
+        type: [priceHistorySchema],
+        default: [],
+    },
+    // Kits and multi-packs ("ready-to-fly" kit, 4x motor pack) sold as one product.
+    // A bundle's stock is derived from its components (see syncBundleStock) and
+    // checkout decrements the components, never the bundle itself.
+    isBundle: {
+        type: Boolean,
+        default: false,
+    },
+    bundleItems: {
+        type: [bundleItemSchema],
+        default: [],
+    },
+    bundleDiscountPercentage: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: 0,
+    },
+    // Set when syncBundleStock switched a sold-out bundle off, so a restock only
+    // switches back on bundles it turned off rather than ones an admin disabled
+    disabledWhenSoldOut: {
+        type: Boolean,
+        default: false,
+    },
+    // Normalized tokens for search (see utils/searchText.js), rebuilt on every save
+    searchTerms: {
+        type: [String],
+        default: [],
+        select: false,
+    },
 }, {
     timestamps: true,
+    toJSON: {
+        // API responses carry salePrice / lowestPrice30d instead of the raw schedule
+        transform: (doc, ret) => applySalePricing(ret),
+    },
 });
 
+productSchema.index(
+    { 'variants.sku': 1 },
+    { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+);
+
+productSchema.index(
+    { sku: 1 },
+    { unique: true, partialFilterExpression: { sku: { $type: 'string' } } }
+);
+
+productSchema.index(
+    { name: 'text', searchTerms: 'text', brand: 'text', tags: 'text', description: 'text' },
+    {
+        name: 'product_search',
+        weights: { name: 10, searchTerms: 8, brand: 5, tags: 5, description: 1 },
+    }
+);
+
+productSchema.index({ 'bundleItems.product': 1 });
+productSchema.index({ status: 1, publishAt: 1 });
+
+productSchema.pre('validate', function(next) {
+    // Moving to another category must re-check that the subcategory belongs to it
+    if (this.isModified('category') && !this.isModified('subcategory')) {
+        this.markModified('subcategory');
+    }
+
+    if (this.isBundle) {
+        if (this.bundleItems.length === 0) {
+            return next(new Error("A bundle needs at least one component"));
+        }
+        if (this.variants.length > 0) {
+            return next(new Error("Bundles cannot have variants"));
+        }
+    }
+    next();
+});
+
+productSchema.pre('validate', function(next) {
+    if (this.status === 'scheduled' && !this.publishAt) {
+        this.invalidate('publishAt', "A scheduled product needs a publishAt date");
+    }
+    if (this.publishAt && this.unpublishAt && this.unpublishAt <= this.publishAt) {
+        this.invalidate('unpublishAt', "unpublishAt must be after publishAt");
+    }
+    if (this.isModified('status')) {
+        this.archivedAt = this.status === 'archived' ? this.archivedAt || new Date() : null;
+    }
+    next();
+});
+
+// When variants exist, product-level stock mirrors their sum and price is the
+// cheapest option so listings, sorting and price filters keep working
+productSchema.pre('validate', function(next) {
+    if (this.variants && this.variants.length > 0) {
+        this.stock = this.variants.reduce((sum, v) => sum + (v.stock || 0), 0);
+        this.price = Math.min(...this.variants.map(v => v.price));
+    }
+    next();
+});
+
+productSchema.pre('save', function(next) {
+    this.searchTerms = buildSearchTerms(this);
+    next();
+});
+
+// Availability set on the document (by an admin, import or restock) overrides
+// the sold-out switch-off recorded by syncBundleStock
+productSchema.pre('save', function(next) {
+    if (this.isModified('isAvailable')) this.disabledWhenSoldOut = false;
+    next();
+});
+
+productSchema.pre('validate', function(next) {
+    if (this.variants.length > 0) {
+        for (const sale of this.sales) {
+            if (sale.variant && !this.variants.id(sale.variant)) {
+                this.invalidate('sales', `Sale "${sale.name}" is for an option this product doesn't have`);
+            }
+            if (!sale.variant && sale.type === 'fixed') {
+                this.invalidate('sales', "A fixed-price sale on a product with options must name the option");
+            }
+        }
+    }
+    next();
+});
+
+// Record regular price changes (product and per variant) for lowestPrice30d
+productSchema.pre('save', function(next) {
+    const at = new Date();
+    if (this.isNew || this.isModified('price')) {
+        this.priceHistory.push({ variant: null, price: this.price, at });
+    }
+    for (const variant of this.variants) {
+        const last = this.priceHistory.filter(entry => String(entry.variant) === String(variant._id)).pop();
+        if (!last || last.price !== variant.price) {
+            this.priceHistory.push({ variant: variant._id, price: variant.price, at });
+        }
+    }
+    if (this.priceHistory.length > MAX_PRICE_HISTORY) {
+        this.priceHistory = this.priceHistory.slice(-MAX_PRICE_HISTORY);
+    }
+    next();
+});
+
+// Query conditions for products customers can see right now. Products saved
+// before the lifecycle existed have no status and count as published.
+productSchema.statics.visibleFilter = function(now = new Date()) {
+    return {
+        status: { $nin: ['draft', 'archived'] },
+        $and: [
+            { $or: [{ publishAt: null }, { publishAt: { $lte: now } }] },
+            { $or: [{ unpublishAt: null }, { unpublishAt: { $gt: now } }] },
+        ],
+    };
+};
+
+// Same check for a loaded product (document, lean object or cached JSON)
+productSchema.statics.isVisible = function(product, now = new Date()) {
+    if (!product || ['draft', 'archived'].includes(product.status)) return false;
+    if (product.publishAt && new Date(product.publishAt) > now) return false;
+    if (product.unpublishAt && new Date(product.unpublishAt) <= now) return false;
+    return true;
+};
+
 // Virtual field to check if product is in stock
 productSchema.virtual('inStock').get(function() {
     return this.stock > 0;
 });
 
-// Method to decrease stock when product is purchased
-productSchema.methods.decreaseStock = async function(quantity) {
-    if (this.stock < quantity) {
-        throw new Error(`Insufficient stock. Only ${this.stock} items available`);
+// Resolve the price/stock/weight that apply to a purchase of this product.
+// Products with variants require a variantId; products without ignore it.
+// `price` is what is charged right now (the sale price while a sale runs).
+productSchema.methods.resolveVariant = function(variantId) {
+    if (!this.variants || this.variants.length === 0) {
+        const { price, regularPrice, sale, lowestPrice30d } = priceFor(this, null);
+        return {
+            variant: null,
+            price,
+            regularPrice,
+            sale,
+            lowestPrice30d,
+            originalPrice: this.originalPrice,
+            stock: this.stock,
+            weight: this.weight,
+            image: this.coverImage || this.images?.[0] || "",
+            displayName: this.name,
+        };
+    }
+
+    if (!variantId) {
+        throw new Error(`Please select an option for ${this.name}`);
+    }
+
+    const variant = this.variants.id(variantId);
+    if (!variant) {
+        throw new Error(`Selected option not found for ${this.name}`);
+    }
+
+    const { price, regularPrice, sale, lowestPrice30d } = priceFor(this, variant);
+    return {
+        variant,
+        price,
+        regularPrice,
+        sale,
+        lowestPrice30d,
+        originalPrice: variant.originalPrice,
+        stock: variant.stock,
+        weight: variant.weight ?? this.weight,
+        image: variant.images?.[0] || this.coverImage || this.images?.[0] || "",
+        displayName: `${this.name} - ${variant.label}`,
+    };
+};
+
+// Loaded component documents of a bundle, with the quantity each bundle uses
+productSchema.methods.getBundleComponents = async function() {
+    const ids = this.bundleItems.map(item => item.product);
+    const components = await this.constructor.find({ _id: { $in: ids } });
+    return this.bundleItems.map(item => ({
+        item,
+        product: components.find(c => c._id.toString() === item.product.toString()) || null,
+    }));
+};
+
+// Ledger entry for a stock change just saved on this product
+const recordMovement = (product, variant, quantity, { type, order, actor, reason }) =>
+    StockMovement.record([{
+        product: product._id,
+        variant: variant?._id || null,
+        sku: variant?.sku || product.sku,
+        type,
+        quantity,
+        balanceAfter: variant ? variant.stock : product.stock,
+    }], { order, actor, reason });
+
+// Method to decrease stock when product is purchased.
+// `movement` ({ type, order, actor, reason }) is what the stock ledger records;
+// anything other than a sale (damage, adjustment) doesn't count as sold.
+productSchema.methods.decreaseStock = async function(quantity, variantId, movement = {}) {
+    const type = movement.type || 'sale';
+    if (this.isBundle) {
+        // Selling a bundle sells its components; bundle stock follows via syncBundleStock.
+        // Each component is taken with a conditional $inc, and if one has run out
+        // the ones already taken are put back: the bundle sells whole or not at all.
+        const components = await this.getBundleComponents();
+        const taken = [];
+        for (const { item, product } of components) {
+            const amount = quantity * item.quantity;
+            const sold = type === 'sale' ? { soldCount: amount } : {};
+            const updated = !product ? null : item.variant
+                ? await this.constructor.findOneAndUpdate(
+                    { _id: product._id, variants: { $elemMatch: { _id: item.variant, stock: { $gte: amount } } } },
+                    { $inc: { 'variants.$.stock': -amount, stock: -amount, ...sold } },
+                    { new: true }
+                )
+                : await this.constructor.findOneAndUpdate(
+                    { _id: product._id, stock: { $gte: amount } },
+                    { $inc: { stock: -amount, ...sold } },
+                    { new: true }
+                );
+
+            if (!updated) {
+                for (const done of taken) {
+                    const unsold = type === 'sale' ? { soldCount: -done.amount } : {};
+                    await this.constructor.updateOne(
+                        done.variantId ? { _id: done.product._id, 'variants._id': done.variantId } : { _id: done.product._id },
+                        done.variantId
+                            ? { $inc: { 'variants.$.stock': done.amount, stock: done.amount, ...unsold } }
+                            : { $inc: { stock: done.amount, ...unsold } }
+                    );
+                }
+                throw new Error(product
+                    ? `Insufficient stock for ${product.name} in ${this.name}`
+                    : `A component of ${this.name} is no longer available`);
+            }
+            taken.push({ product: updated, variantId: item.variant, amount });
+        }
+
+        for (const { product, variantId, amount } of taken) {
+            // Auto mark as unavailable if out of stock
+            if (product.stock <= 0 && product.isAvailable) {
+                await this.constructor.updateOne({ _id: product._id }, { $set: { isAvailable: false } });
+            }
+            await recordMovement(product, variantId ? product.variants.id(variantId) : null, -amount, { ...movement, type });
+        }
+        if (type === 'sale') {
+            await this.constructor.updateOne({ _id: this._id }, { $inc: { soldCount: quantity } }, { skipBundleSync: true });
+        }
+        return this;
+    }
+
+    const { variant, stock } = this.resolveVariant(variantId);
+    if (stock < quantity) {
+        throw new Error(`Insufficient stock. Only ${stock} items available`);
+    }
+    if (variant) {
+        variant.stock -= quantity;
     }
     this.stock -= quantity;
-    this.soldCount += quantity;
+    if (type === 'sale') this.soldCount += quantity;
     
     // Auto mark as unavailable if out of stock
     if (this.stock === 0) {
@@ -126,11 +612,33 @@ productSchema.methods.decreaseStock = async function(quantity) {
     }
     
     await this.save();
+    await recordMovement(this, variant, -quantity, { ...movement, type });
     return this;
 };
 
-// Method to increase stock (for admin restocking)
-productSchema.methods.increaseStock = async function(quantity) {
+// Method to increase stock (for admin restocking, or returns with { type: 'return' }).
+// Back-in-stock emails are the caller's job: pass the stock from before the
+// change to notifyBackInStock. Other products this brought back (a bundle's
+// components, bundles of a restocked component) are listed in $locals.restocked.
+productSchema.methods.increaseStock = async function(quantity, variantId, movement = {}) {
+    const type = movement.type || 'restock';
+    if (this.isBundle) {
+        const components = await this.getBundleComponents();
+        const restocked = [];
+        for (const { item, product } of components) {
+            if (!product) continue;
+            const before = stockLevels(product);
+            await product.increaseStock(quantity * item.quantity, item.variant, movement);
+            restocked.push({ product, before }, ...takeRestocked(product));
+        }
+        this.$locals.restocked = [...(this.$locals.restocked || []), ...restocked];
+        return this;
+    }
+
+    const { variant } = this.resolveVariant(variantId);
+    if (variant) {
+        variant.stock += quantity;
+    }
     this.stock += quantity;
     
     // Auto mark as available if stock is added
@@ -139,7 +647,88 @@ productSchema.methods.increaseStock = async function(quantity) {
     }
     
     await this.save();
+    await recordMovement(this, variant, quantity, { ...movement, type });
     return this;
 };
 
+// Stock per line, in the shape notifyBackInStock compares against
+const stockLevels = (product) => ({
+    stock: product.stock,
+    variants: product.variants.map(v => ({ _id: v._id, stock: v.stock })),
+});
+
+const takeRestocked = (product) => {
+    const restocked = product.$locals.restocked || [];
+    product.$locals.restocked = [];
+    return restocked;
+};
+
+/**
+ * Recompute the derived stock of every bundle containing one of `componentIds`:
+ * the number of complete bundles the components can make.
+ * Returns [{ product, before }] for bundles that changed, for back-in-stock emails.
+ */
+productSchema.statics.syncBundleStock = async function(componentIds) {
+    const bundles = await this.find({ isBundle: true, 'bundleItems.product': { $in: componentIds } });
+    const changed = [];
+
+    for (const bundle of bundles) {
+        const components = await bundle.getBundleComponents();
+        const stock = Math.min(...components.map(({ item, product }) => {
+            if (!product || !product.isAvailable) return 0;
+            try {
+                return Math.floor(product.resolveVariant(item.variant).stock / item.quantity);
+            } catch {
+                return 0; // component variant was removed
+            }
+        }));
+
+        if (stock !== bundle.stock) {
+            // Unavailable when sold out, and available again once components are
+            // restocked — unless an admin had switched it off themselves
+            let { isAvailable, disabledWhenSoldOut } = bundle;
+            if (stock === 0 && isAvailable) {
+                isAvailable = false;
+                disabledWhenSoldOut = true;
+            } else if (stock > 0 && disabledWhenSoldOut) {
+                isAvailable = true;
+                disabledWhenSoldOut = false;
+            }
+            await this.updateOne({ _id: bundle._id }, { $set: { stock, isAvailable, disabledWhenSoldOut } }, { skipBundleSync: true });
+            const before = { stock: bundle.stock, variants: [] };
+            bundle.set({ stock, isAvailable, disabledWhenSoldOut });
+            changed.push({ product: bundle, before });
+        }
+    }
+    return changed;
+};
+
+// Keep bundle stock in step with component stock, whichever way the component changed
+const syncBundlesFor = async (Model, productIds) => {
+    if (productIds.length === 0) return [];
+    try {
+        return await Model.syncBundleStock(productIds);
+    } catch (error) {
+        console.log("Error syncing bundle stock", error.message);
+        return [];
+    }
+};
+
+// Bundles whose stock a saved component changed are left for the caller's notifyBackInStock
+productSchema.post('save', async function(doc) {
+    if (doc.isBundle) return;
+    const changed = await syncBundlesFor(doc.constructor, [doc._id]);
+    doc.$locals.restocked = [...(doc.$locals.restocked || []), ...changed];
+});
+
+productSchema.post('findOneAndUpdate', async function(doc) {
+    if (doc && !doc.isBundle) await syncBundlesFor(this.model, [doc._id]);
+});
+
+productSchema.post('updateOne', async function() {
+    if (this.getOptions().skipBundleSync) return;
+    const id = this.getFilter()._id;
+    await syncBundlesFor(this.model, id?.$in || (id ? [id] : []));
+});
+
 export const Product = mongoose.model("Product", productSchema);
\ No newline at end of file
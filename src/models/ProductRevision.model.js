@@ -0,0 +1,67 @@
+import mongoose from "mongoose";
+
+// 'baseline' is the state a product was in when its history started
+export const REVISION_ACTIONS = [
+    'baseline', 'create', 'update', 'stock', 'featured', 'images', 'archive', 'restore', 'import', 'revert', 'sale',
+];
+
+// One field that changed, e.g. { field: 'price', from: 1899, to: 1699 }
+// or { field: 'variants.XRM-2207-1950.stock', from: 4, to: 10 }
+const revisionChangeSchema = new mongoose.Schema({
+    field: {
+        type: String,
+        required: true,
+    },
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed,
+}, { _id: false });
+
+// Audit trail of admin changes to a product. Each revision keeps the full
+// product state after the change so the product can be reverted to it.
+const productRevisionSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Product",
+        required: true,
+    },
+    // 1, 2, 3... per product
+    revision: {
+        type: Number,
+        required: true,
+    },
+    action: {
+        type: String,
+        enum: REVISION_ACTIONS,
+        required: true,
+    },
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+    },
+    // Kept alongside the ref so history still reads right if the account goes away
+    actorName: String,
+    actorEmail: String,
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: 500,
+    },
+    changes: {
+        type: [revisionChangeSchema],
+        default: [],
+    },
+    snapshot: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true,
+        select: false,
+    },
+    // Set on 'revert' revisions
+    revertedTo: Number,
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+});
+
+productRevisionSchema.index({ product: 1, revision: -1 }, { unique: true });
+productRevisionSchema.index({ actor: 1, createdAt: -1 });
+
+export const ProductRevision = mongoose.model("ProductRevision", productRevisionSchema);
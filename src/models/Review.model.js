@@ -0,0 +1,103 @@
+import mongoose from "mongoose";
+import { Product } from "./Product.model.js";
+
+export const REVIEW_STATUSES = ["pending", "approved", "hidden"];
+
+const reviewSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Product",
+        required: true,
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Order",
+        required: true,
+    },
+    rating: {
+        type: Number,
+        required: [true, "Rating is required"],
+        min: 1,
+        max: 5,
+    },
+    title: {
+        type: String,
+        trim: true,
+        maxlength: 120,
+    },
+    comment: {
+        type: String,
+        trim: true,
+        maxlength: 2000,
+    },
+    images: {
+        type: [String],
+        default: [],
+        validate: {
+            validator: function(images) {
+                return images.length <= 5; // Max 5 photos per review
+            },
+            message: "Cannot upload more than 5 images"
+        }
+    },
+    status: {
+        type: String,
+        enum: REVIEW_STATUSES,
+        default: "pending",
+    },
+    adminReply: {
+        text: {
+            type: String,
+            trim: true,
+        },
+        repliedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+        },
+        repliedAt: {
+            type: Date,
+        },
+    },
+}, {
+    timestamps: true,
+});
+
+// One review per user per product
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+
+// Recompute Product.rating / reviewCount from approved reviews only
+reviewSchema.statics.recalculateProductRating = async function(productId) {
+    const [stats] = await this.aggregate([
+        { $match: { product: new mongoose.Types.ObjectId(productId.toString()), status: "approved" } },
+        {
+            $group: {
+                _id: "$product",
+                averageRating: { $avg: "$rating" },
+                reviewCount: { $sum: 1 },
+            },
+        },
+    ]);
+
+    await Product.findByIdAndUpdate(productId, {
+        rating: stats ? Math.round(stats.averageRating * 10) / 10 : 0,
+        reviewCount: stats ? stats.reviewCount : 0,
+    });
+};
+
+reviewSchema.post("save", async function(doc) {
+    await doc.constructor.recalculateProductRating(doc.product);
+});
+
+reviewSchema.post("findOneAndDelete", async function(doc) {
+    if (doc) {
+        await doc.constructor.recalculateProductRating(doc.product);
+    }
+});
+
+export const Review = mongoose.model("Review", reviewSchema);
@@ -0,0 +1,102 @@
+import mongoose from "mongoose";
+
+// 'opening' is the stock a product or variant had when its ledger started
+export const MOVEMENT_TYPES = ['opening', 'sale', 'restock', 'return', 'adjustment', 'damage'];
+
+// Append-only ledger of stock changes, one entry per product (or variant)
+// line. A line's balance is the sum of its quantities; Product.stock is the
+// running counter checkout works against and is reconciled with the ledger.
+const stockMovementSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Product",
+        required: true,
+    },
+    // null for products without variants
+    variant: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+    },
+    sku: String,
+    type: {
+        type: String,
+        enum: MOVEMENT_TYPES,
+        required: true,
+    },
+    // Signed: negative for sales and write-offs
+    quantity: {
+        type: Number,
+        required: true,
+    },
+    // Product/variant stock right after this movement
+    balanceAfter: Number,
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Order",
+    },
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+    },
+    actorName: String,
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: 500,
+    },
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+});
+
+stockMovementSchema.index({ product: 1, variant: 1, createdAt: -1 });
+stockMovementSchema.index({ order: 1 });
+stockMovementSchema.index({ type: 1, createdAt: -1 });
+
+const rejectChange = function(next) {
+    next(new Error("Stock movements are append-only — record a correcting movement instead"));
+};
+stockMovementSchema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+    rejectChange
+);
+
+/**
+ * Append movements: [{ product, variant, sku, type, quantity, balanceAfter }]
+ * plus shared { order, actor, reason }. A line with no ledger yet first gets
+ * an 'opening' entry for the stock it had before the movement.
+ * Never throws: a failed ledger write is logged and shows up as drift in the
+ * reconciliation report.
+ */
+stockMovementSchema.statics.record = async function(movements, { order, actor, reason } = {}) {
+    try {
+        const entries = [];
+        const opened = new Set();
+        for (const movement of movements) {
+            // An opening of 0 still matters: it marks the line as tracked
+            if (!movement.quantity && movement.type !== 'opening') continue;
+            const variant = movement.variant || null;
+            const line = `${movement.product}:${variant}`;
+
+            const started = opened.has(line) || await this.exists({ product: movement.product, variant });
+            opened.add(line);
+            if (started && movement.type === 'opening') continue;
+            if (!started && movement.type !== 'opening') {
+                const opening = movement.balanceAfter - movement.quantity;
+                entries.push({ ...movement, variant, type: 'opening', quantity: opening, balanceAfter: opening, reason: undefined });
+            }
+            entries.push({
+                ...movement,
+                variant,
+                order: order?._id || order,
+                actor: actor?._id,
+                actorName: actor?.name,
+                reason: movement.reason || reason || undefined,
+            });
+        }
+        if (entries.length > 0) await this.insertMany(entries);
+    } catch (error) {
+        console.log("Error recording stock movement", error.message);
+    }
+};
+
+export const StockMovement = mongoose.model("StockMovement", stockMovementSchema);
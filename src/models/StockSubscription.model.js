@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+
+export const SUBSCRIPTION_STATUSES = ['pending', 'notified', 'cancelled'];
+
+// "Notify me when it's back" on an out-of-stock product (or one option of
+// it). One-shot: once the email has gone out the subscription is done.
+const stockSubscriptionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+    },
+    email: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true,
+    },
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Product",
+        required: true,
+    },
+    variant: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+    },
+    status: {
+        type: String,
+        enum: SUBSCRIPTION_STATUSES,
+        default: 'pending',
+    },
+    notifiedAt: Date,
+}, {
+    timestamps: true,
+});
+
+// One open subscription per user and product/option
+stockSubscriptionSchema.index(
+    { user: 1, product: 1, variant: 1 },
+    { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+stockSubscriptionSchema.index({ product: 1, variant: 1, status: 1, createdAt: 1 });
+
+export const StockSubscription = mongoose.model("StockSubscription", stockSubscriptionSchema);
@@ -30,9 +30,49 @@ const userSchema = new mongoose.Schema(
                 product: {
                     type: mongoose.Schema.Types.ObjectId,
                     ref: "Product",
-                }
+                },
+                variant: {
+                    type: mongoose.Schema.Types.ObjectId,
+                },
+                // Unit price when the line was added, so the cart can flag price changes
+                priceAtAdd: {
+                    type: Number,
+                },
             }
         ],
+        // "Save for later": lines moved out of the cart, same shape as cartItems
+        savedItems: [
+            {
+                quantity: {
+                    type: Number,
+                    default: 1,
+                },
+                product: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: "Product",
+                },
+                variant: {
+                    type: mongoose.Schema.Types.ObjectId,
+                },
+                // Carried over from the cart line, so price changes are still flagged
+                priceAtAdd: {
+                    type: Number,
+                },
+                savedAt: {
+                    type: Date,
+                    default: Date.now,
+                },
+            }
+        ],
+        // Last time cartItems changed; abandoned-cart reminders key off it
+        cartUpdatedAt: {
+            type: Date,
+        },
+        // Abandoned-cart reminder emails (turned off from the link in the email)
+        cartReminders: {
+            type: Boolean,
+            default: true,
+        },
         role: {
             type: String,
             enum: ["user", "admin"],
@@ -150,6 +190,11 @@ const userSchema = new mongoose.Schema(
 
     }
 )
+userSchema.pre("save", function (next) {
+    if (this.isModified("cartItems")) this.cartUpdatedAt = new Date();
+    next();
+});
+
 // Hashing 
 userSchema.pre("save", async function (next) {
     if (!this.isModified("password")) {
@@ -170,5 +215,18 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
     return await bcrypt.compare(candidatePassword, this.password);
 }
 
+// Add to the matching cart line (same product + variant) or start a new one. Caller saves.
+userSchema.methods.addCartItem = function (productId, variantId, quantity = 1, price = null) {
+    const existingItem = this.cartItems.find(item =>
+        item.product.toString() === productId.toString() &&
+        (item.variant?.toString() || null) === (variantId?.toString() || null)
+    );
+    if (existingItem) {
+        existingItem.quantity += quantity;
+    } else {
+        this.cartItems.push({ product: productId, variant: variantId || null, quantity, priceAtAdd: price ?? undefined });
+    }
+}
+
 
 export const User = mongoose.model("User", userSchema);
@@ -0,0 +1,79 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+
+const wishlistItemSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Product",
+        required: true,
+    },
+    // Chosen variant (subdocument _id of Product.variants), if the product has any
+    variant: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+    },
+    note: {
+        type: String,
+        trim: true,
+        maxlength: 200,
+    },
+    // Effective price when saved; price-drop emails compare against the lower
+    // of this and the last price we emailed about
+    priceWhenAdded: {
+        type: Number,
+        min: 0,
+    },
+    lastNotifiedPrice: {
+        type: Number,
+        min: 0,
+    },
+    notifyPriceDrop: {
+        type: Boolean,
+        default: true,
+    },
+    notifyBackInStock: {
+        type: Boolean,
+        default: true,
+    },
+    addedAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+const wishlistSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100,
+        default: "My Wishlist",
+    },
+    items: {
+        type: [wishlistItemSchema],
+        default: [],
+    },
+    // Anyone with the link can view the list while it's public
+    isPublic: {
+        type: Boolean,
+        default: false,
+    },
+    // Public link token: /wishlist/shared/:shareId
+    shareId: {
+        type: String,
+        unique: true,
+        default: () => crypto.randomBytes(8).toString("base64url"),
+    },
+}, {
+    timestamps: true,
+});
+
+wishlistSchema.index({ user: 1, createdAt: 1 });
+wishlistSchema.index({ 'items.product': 1 });
+
+export const Wishlist = mongoose.model("Wishlist", wishlistSchema);
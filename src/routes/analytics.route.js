@@ -7,6 +7,7 @@ import {
     updateOrderStatus,
     updateTrackingUrl,
     getAllUsers,
+    getCartRecoveryStats,
 } from "../controller/analytics.controller.js";
 
 const router = express.Router();
@@ -16,6 +17,7 @@ router.get("/", protectRoute, adminRoute, getAnalyticsData);
 router.get("/sales", protectRoute, adminRoute, getDailySalesData);
 router.get("/orders", protectRoute, adminRoute, getAllOrders);
 router.get("/users", protectRoute, adminRoute, getAllUsers);
+router.get("/cart-recovery", protectRoute, adminRoute, getCartRecoveryStats);
 router.put("/orders/:orderId/status", protectRoute, adminRoute, updateOrderStatus);
 router.put("/orders/:orderId/tracking", protectRoute, adminRoute, updateTrackingUrl);
 
@@ -0,0 +1,38 @@
+import express from "express";
+import { protectRoute } from "../middleware/auth.middleware.js";
+import {
+	getBuildSteps,
+	getBuildStepOptions,
+	previewBuild,
+	addBuildToCart,
+	addSavedBuildToCart,
+	addSharedBuildToCart,
+	getMyBuilds,
+	saveBuild,
+	getBuild,
+	updateBuild,
+	deleteBuild,
+	getSharedBuild,
+} from "../controller/build.controller.js";
+
+const buildRouter = express.Router();
+
+// Configurator (public)
+buildRouter.get("/steps", getBuildSteps);
+buildRouter.get("/steps/:step/options", getBuildStepOptions);
+buildRouter.post("/preview", previewBuild);
+buildRouter.get("/shared/:shareId", getSharedBuild);
+
+// Cart
+buildRouter.post("/cart", protectRoute, addBuildToCart);
+buildRouter.post("/shared/:shareId/cart", protectRoute, addSharedBuildToCart);
+
+// Saved builds
+buildRouter.get("/", protectRoute, getMyBuilds);
+buildRouter.post("/", protectRoute, saveBuild);
+buildRouter.get("/:id", protectRoute, getBuild);
+buildRouter.put("/:id", protectRoute, updateBuild);
+buildRouter.delete("/:id", protectRoute, deleteBuild);
+buildRouter.post("/:id/cart", protectRoute, addSavedBuildToCart);
+
+export default buildRouter;
@@ -1,12 +1,27 @@
 import express from "express";
-import { protectRoute } from "../middleware/auth.middleware.js";
-import { addToCart, getCartProducts, removeAllFromCart, updateQuantity } from "../controller/cart.controller.js";
+import { optionalAuth, protectRoute } from "../middleware/auth.middleware.js";
+import { addToCart, getCartProducts, getCartSummary, removeAllFromCart, updateQuantity, validateCartItems, fixCartItems, unsubscribeCartReminders, updateCartReminders, getSavedItems, saveForLater, moveSavedToCart, removeSavedItem } from "../controller/cart.controller.js";
 
 const cartRoute = express.Router();
 
-cartRoute.get("/", protectRoute, getCartProducts);
-cartRoute.post("/", protectRoute, addToCart);
-cartRoute.delete("/", protectRoute, removeAllFromCart);
-cartRoute.put("/:id", protectRoute, updateQuantity);
+// Guests get a cart too, kept in Redis until they sign in (see guestCart.service.js)
+cartRoute.get("/", optionalAuth, getCartProducts);
+cartRoute.get("/summary", optionalAuth, getCartSummary);
+cartRoute.get("/validate", optionalAuth, validateCartItems);
+cartRoute.post("/validate/fix", optionalAuth, fixCartItems);
+cartRoute.post("/", optionalAuth, addToCart);
+cartRoute.delete("/", optionalAuth, removeAllFromCart);
+
+// Saved for later (signed-in customers only)
+cartRoute.get("/saved", protectRoute, getSavedItems);
+cartRoute.post("/saved", protectRoute, saveForLater);
+cartRoute.post("/saved/restore", protectRoute, moveSavedToCart);
+cartRoute.delete("/saved", protectRoute, removeSavedItem);
+
+// Abandoned-cart reminder emails (before /:id, which would swallow "reminders")
+cartRoute.post("/reminders/unsubscribe", unsubscribeCartReminders);
+cartRoute.put("/reminders", protectRoute, updateCartReminders);
+
+cartRoute.put("/:id", optionalAuth, updateQuantity);
 
 export default cartRoute;
\ No newline at end of file
@@ -3,12 +3,17 @@ import {
     getAllCategories,
     getAllCategoriesAdmin,
     getCategory,
+    getCategoryTree,
+    getCategoryByPath,
     createCategory,
     updateCategory,
     deleteCategory,
     addSubcategory,
     updateSubcategory,
     deleteSubcategory,
+    moveSubcategory,
+    reorderCategories,
+    reorderSubcategories,
 } from "../controller/category.controller.js";
 import { protectRoute, adminRoute } from "../middleware/auth.middleware.js";
 
@@ -16,11 +21,14 @@ const router = express.Router();
 
 // Public routes
 router.get("/", getAllCategories);
+router.get("/tree", getCategoryTree);
+router.get("/path/*slugs", getCategoryByPath);
 router.get("/:id", getCategory);
 
 // Admin routes
 router.get("/admin/all", protectRoute, adminRoute, getAllCategoriesAdmin);
 router.post("/", protectRoute, adminRoute, createCategory);
+router.put("/reorder", protectRoute, adminRoute, reorderCategories);
 router.put("/:id", protectRoute, adminRoute, updateCategory);
 router.delete("/:id", protectRoute, adminRoute, deleteCategory);
 
@@ -28,5 +36,7 @@ router.delete("/:id", protectRoute, adminRoute, deleteCategory);
 router.post("/:id/subcategory", protectRoute, adminRoute, addSubcategory);
 router.put("/:categoryId/subcategory/:subcategoryId", protectRoute, adminRoute, updateSubcategory);
 router.delete("/:categoryId/subcategory/:subcategoryId", protectRoute, adminRoute, deleteSubcategory);
+router.put("/:categoryId/subcategory/:subcategoryId/move", protectRoute, adminRoute, moveSubcategory);
+router.put("/:id/reorder", protectRoute, adminRoute, reorderSubcategories);
 
 export default router;
@@ -0,0 +1,12 @@
+import express from "express";
+import { protectRoute, adminRoute } from "../middleware/auth.middleware.js";
+import { getRules, createRule, updateRule, deleteRule } from "../controller/compatibility.controller.js";
+
+const compatibilityRouter = express.Router();
+
+compatibilityRouter.get("/rules", protectRoute, adminRoute, getRules);
+compatibilityRouter.post("/rules", protectRoute, adminRoute, createRule);
+compatibilityRouter.put("/rules/:id", protectRoute, adminRoute, updateRule);
+compatibilityRouter.delete("/rules/:id", protectRoute, adminRoute, deleteRule);
+
+export default compatibilityRouter;
@@ -12,6 +12,9 @@ import shiprocketRoutes from "./shiprocket.route.js";
 import userRoutes from "./user.route.js";
 import categoryRoutes from "./category.route.js";
 import bannerRouter from "./banner.route.js";
+import compatibilityRouter from "./compatibility.route.js";
+import buildRouter from "./build.route.js";
+import wishlistRouter from "./wishlist.route.js";
 
 const router = Router();
 
@@ -28,6 +31,9 @@ router.use("/shipping", shiprocketRoutes);
 router.use("/user", userRoutes);
 router.use("/category", categoryRoutes);
 router.use("/banner", bannerRouter);
+router.use("/compatibility", compatibilityRouter);
+router.use("/build", buildRouter);
+router.use("/wishlist", wishlistRouter);
 
 export default router;
 
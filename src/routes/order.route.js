@@ -6,7 +6,16 @@ import {
 	getAllOrders,
 	updateOrderStatus,
 	createOrder,
+	getOrderRefund,
 } from "../controller/order.controller.js";
+import {
+	requestReturn,
+	getAllReturns,
+	approveReturn,
+	rejectReturn,
+	receiveReturn,
+	updateReturnResolution,
+} from "../controller/return.controller.js";
 
 const orderRouter = express.Router();
 
@@ -14,9 +23,18 @@ const orderRouter = express.Router();
 orderRouter.post("/", protectRoute, createOrder);
 orderRouter.get("/", protectRoute, getUserOrders);
 orderRouter.get("/:orderId", protectRoute, getOrderById);
+orderRouter.post("/:orderId/returns", protectRoute, requestReturn);
 
 // Admin routes
 orderRouter.get("/admin/all", protectRoute, adminRoute, getAllOrders);
 orderRouter.patch("/:orderId/status", protectRoute, adminRoute, updateOrderStatus);
+orderRouter.get("/:orderId/refund", protectRoute, adminRoute, getOrderRefund);
+
+// Admin return (RMA) routes
+orderRouter.get("/admin/returns", protectRoute, adminRoute, getAllReturns);
+orderRouter.patch("/:orderId/returns/:returnId/approve", protectRoute, adminRoute, approveReturn);
+orderRouter.patch("/:orderId/returns/:returnId/reject", protectRoute, adminRoute, rejectReturn);
+orderRouter.patch("/:orderId/returns/:returnId/receive", protectRoute, adminRoute, receiveReturn);
+orderRouter.patch("/:orderId/returns/:returnId/resolution", protectRoute, adminRoute, updateReturnResolution);
 
 export default orderRouter;
@@ -8,7 +8,6 @@ import {
 	getProductsByCategory,
 	getProductsBySubcategory,
 	getProductsByCategoryAndSubcategory,
-	getAllCategories,
 	getRecommendedProducts, 
 	toggleFeaturedProduct,
 	updateProduct,
@@ -17,32 +16,91 @@ import {
 	removeProductImage,
 	updateCoverImage,
 	searchProducts,
+	suggestProducts,
+	compareProducts,
 	getProductById,
-	bulkUpdateStock
+	getAdminProducts,
+	getAdminProductById,
+	restoreProduct,
+	bulkUpdateStock,
+	getInventory,
+	getLowStockProducts
 } from "../controller/product.controller.js";
+import { getAllCategories } from "../controller/category.controller.js";
+import { getAllReviews } from "../controller/review.controller.js";
+import { getCompatibleProducts } from "../controller/compatibility.controller.js";
+import { importProducts, exportProducts } from "../controller/catalog.controller.js";
+import { getProductHistory, getProductRevision, revertProduct } from "../controller/productHistory.controller.js";
+import { getProductSales, createSale, updateSale, deleteSale, getPriceHistory } from "../controller/sale.controller.js";
+import {
+	getStockMovements,
+	getAllStockMovements,
+	getStockReconciliation,
+	applyStockReconciliation
+} from "../controller/stockLedger.controller.js";
+import {
+	subscribeBackInStock,
+	unsubscribeBackInStock,
+	getMySubscriptions,
+	getStockAlertDemand
+} from "../controller/backInStock.controller.js";
+import reviewRoute from "./review.route.js";
 
 const prodRoute = express.Router();
 
 prodRoute.get("/", getAllProducts);
 prodRoute.get("/search", searchProducts);
+prodRoute.get("/suggest", suggestProducts);
+prodRoute.get("/compare", compareProducts);
 prodRoute.get("/featured", getFeaturedProducts);
 prodRoute.get("/categories", getAllCategories);
 prodRoute.get("/category/:category", getProductsByCategory);
 prodRoute.get("/subcategory/:subcategory", getProductsBySubcategory);
 prodRoute.get("/category/:category/:subcategory", getProductsByCategoryAndSubcategory);
 prodRoute.get("/recommendations", getRecommendedProducts);
+prodRoute.get("/notify-me", protectRoute, getMySubscriptions);
+prodRoute.get("/reviews/admin/all", protectRoute, adminRoute, getAllReviews);
+prodRoute.get("/admin/inventory", protectRoute, adminRoute, getInventory);
+prodRoute.get("/admin/low-stock", protectRoute, adminRoute, getLowStockProducts);
+prodRoute.get("/admin/stock-alerts", protectRoute, adminRoute, getStockAlertDemand);
+prodRoute.get("/admin/export", protectRoute, adminRoute, exportProducts);
+prodRoute.get("/admin/stock-movements", protectRoute, adminRoute, getAllStockMovements);
+prodRoute.get("/admin/stock-reconciliation", protectRoute, adminRoute, getStockReconciliation);
+prodRoute.get("/admin/all", protectRoute, adminRoute, getAdminProducts);
+prodRoute.get("/admin/:id", protectRoute, adminRoute, getAdminProductById);
 prodRoute.get("/:id", getProductById);
+prodRoute.get("/:id/compatible", getCompatibleProducts);
+prodRoute.get("/:id/price-history", getPriceHistory);
+prodRoute.get("/:id/sales", protectRoute, adminRoute, getProductSales);
+prodRoute.get("/:id/stock-movements", protectRoute, adminRoute, getStockMovements);
+prodRoute.get("/:id/history", protectRoute, adminRoute, getProductHistory);
+prodRoute.get("/:id/history/:revision", protectRoute, adminRoute, getProductRevision);
 
 prodRoute.post("/", protectRoute, adminRoute, createProduct);
 prodRoute.patch("/:id", protectRoute, adminRoute, updateProduct);
 prodRoute.delete("/:id", protectRoute, adminRoute, deleteProduct);
 prodRoute.patch("/:id/featured", protectRoute, adminRoute, toggleFeaturedProduct);
+prodRoute.patch("/:id/restore", protectRoute, adminRoute, restoreProduct);
+prodRoute.post("/:id/revert", protectRoute, adminRoute, revertProduct);
+
+prodRoute.post("/:id/sales", protectRoute, adminRoute, createSale);
+prodRoute.patch("/:id/sales/:saleId", protectRoute, adminRoute, updateSale);
+prodRoute.delete("/:id/sales/:saleId", protectRoute, adminRoute, deleteSale);
+
+prodRoute.post("/:id/notify-me", protectRoute, subscribeBackInStock);
+prodRoute.delete("/:id/notify-me", protectRoute, unsubscribeBackInStock);
 
 prodRoute.patch("/:id/stock", protectRoute, adminRoute, updateStock);
 prodRoute.post("/bulk-stock", protectRoute, adminRoute, bulkUpdateStock);
+prodRoute.post("/admin/stock-reconciliation", protectRoute, adminRoute, applyStockReconciliation);
+
+// Catalog import: CSV arrives as raw text, JSON through the app-wide parser
+prodRoute.post("/admin/import", protectRoute, adminRoute, express.text({ type: "text/csv", limit: "20mb" }), importProducts);
 
 prodRoute.post("/:id/images", protectRoute, adminRoute, addProductImages);
 prodRoute.delete("/:id/images", protectRoute, adminRoute, removeProductImage);
 prodRoute.patch("/:id/cover-image", protectRoute, adminRoute, updateCoverImage);
 
+prodRoute.use("/:id/reviews", reviewRoute);
+
 export default prodRoute;
\ No newline at end of file
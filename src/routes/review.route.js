@@ -0,0 +1,24 @@
+import express from "express";
+import { protectRoute, adminRoute } from "../middleware/auth.middleware.js";
+import {
+	getProductReviews,
+	createReview,
+	deleteReview,
+	approveReview,
+	hideReview,
+	replyToReview
+} from "../controller/review.controller.js";
+
+// Mounted at /product/:id/reviews
+const reviewRoute = express.Router({ mergeParams: true });
+
+reviewRoute.get("/", getProductReviews);
+reviewRoute.post("/", protectRoute, createReview);
+reviewRoute.delete("/:reviewId", protectRoute, deleteReview);
+
+// Admin moderation
+reviewRoute.patch("/:reviewId/approve", protectRoute, adminRoute, approveReview);
+reviewRoute.patch("/:reviewId/hide", protectRoute, adminRoute, hideReview);
+reviewRoute.patch("/:reviewId/reply", protectRoute, adminRoute, replyToReview);
+
+export default reviewRoute;
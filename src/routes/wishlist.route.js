@@ -0,0 +1,34 @@
+import express from "express";
+import { protectRoute } from "../middleware/auth.middleware.js";
+import {
+	getMyWishlists,
+	createWishlist,
+	getWishlist,
+	updateWishlist,
+	deleteWishlist,
+	addToWishlist,
+	updateWishlistItem,
+	removeWishlistItem,
+	moveWishlistItemToCart,
+	getSharedWishlist,
+} from "../controller/wishlist.controller.js";
+
+const wishlistRouter = express.Router();
+
+// Shared lists (public)
+wishlistRouter.get("/shared/:shareId", getSharedWishlist);
+
+// Items
+wishlistRouter.post("/items", protectRoute, addToWishlist);
+wishlistRouter.patch("/:id/items/:itemId", protectRoute, updateWishlistItem);
+wishlistRouter.delete("/:id/items/:itemId", protectRoute, removeWishlistItem);
+wishlistRouter.post("/:id/items/:itemId/cart", protectRoute, moveWishlistItemToCart);
+
+// Lists
+wishlistRouter.get("/", protectRoute, getMyWishlists);
+wishlistRouter.post("/", protectRoute, createWishlist);
+wishlistRouter.get("/:id", protectRoute, getWishlist);
+wishlistRouter.put("/:id", protectRoute, updateWishlist);
+wishlistRouter.delete("/:id", protectRoute, deleteWishlist);
+
+export default wishlistRouter;
@@ -10,6 +10,10 @@ import router from "./routes/index.js";
 import { connectDb } from "./database/db.js";
 import envConfig from './config/env.config.js';
 import { startCleanupJob } from './jobs/cleanupUnverified.js';
+import { startLowStockJob } from './jobs/lowStockDigest.js';
+import { startWishlistPriceDropJob } from './jobs/wishlistPriceDrops.js';
+import { startAbandonedCartJob } from './jobs/abandonedCart.js';
+import { startBackInStockFollowUpJob } from './jobs/backInStockFollowUp.js';
 dotenv.config();
 
 
@@ -85,7 +89,8 @@ app.use(bodyParser.urlencoded({ extended: true, limit: '50mb' }));
 // Prevent HTTP Parameter Pollution
 app.use(hpp());
 
-app.use(cookieParser());
+// The secret signs the guest cart cookie
+app.use(cookieParser(process.env.COOKIE_SECRET || process.env.ACCESS_TOKEN_SECRET));
 
 // CORS Configuration - Allow Shiprocket webhooks
 
@@ -167,8 +172,12 @@ app.use("/api/v1", router);
 
 
 connectDb().then(() => {
-    // Start cleanup job after database connection
+    // Start scheduled jobs after database connection
     startCleanupJob();
+    startLowStockJob();
+    startWishlistPriceDropJob();
+    startAbandonedCartJob();
+    startBackInStockFollowUpJob();
     
     app.listen(PORT, () => {
         console.log(`Server running : http://localhost:${PORT}`);
@@ -0,0 +1,129 @@
+import { redis } from "../lib/redis.js";
+import { StockSubscription } from "../models/StockSubscription.model.js";
+import { sendMail } from "./mailer.services.js";
+import { notifyWishlistBackInStock } from "./wishlistAlerts.service.js";
+
+// A line that sells out and comes back within the cooldown doesn't email again
+const RESTOCK_COOLDOWN_SECONDS = 60 * 60;
+// Oldest subscribers first; the follow-up job sends to the rest while the line is in stock
+const MAX_EMAILS_PER_RESTOCK = 200;
+
+const COOLDOWN_KEY = (productId, variantId) => `back_in_stock:${productId}:${variantId || 'base'}`;
+
+// Stock per product/variant line, from a document or snapshotProduct()
+const stockByLine = (product) => new Map(product.variants?.length > 0
+    ? product.variants.map(variant => [variant._id.toString(), variant.stock || 0])
+    : [[null, product.stock || 0]]);
+
+// Lines that were at zero in `before` and have stock now
+export const restockedLines = (product, before) => {
+    if (!before) return [];
+    const previous = stockByLine(before);
+    return [...stockByLine(product)]
+        .filter(([variantId, stock]) => stock > 0 && previous.get(variantId) === 0)
+        .map(([variantId]) => variantId);
+};
+
+/**
+ * Email pending notify-me subscribers of a line that is in stock, oldest
+ * first and at most MAX_EMAILS_PER_RESTOCK. Each subscription is marked
+ * notified before its email goes out, so overlapping runs never send one
+ * twice, and goes back to pending if the send fails.
+ * Returns { sent, failed, emailedUsers }.
+ */
+export const sendPendingSubscriptions = async (product, variantId) => {
+    const subscriptions = await StockSubscription.find({ product: product._id, variant: variantId, status: 'pending' })
+        .sort({ createdAt: 1 })
+        .limit(MAX_EMAILS_PER_RESTOCK)
+        .populate('user', 'name');
+
+    const variant = variantId ? product.variants.id(variantId) : null;
+    const frontendUrl = process.env.FRONTEND_URL?.split(',').find(u => u.startsWith('https://'))?.trim() || 'https://xrobofly.com';
+    const { price } = product.resolveVariant(variantId);
+
+    let sent = 0;
+    let failed = 0;
+    const emailedUsers = new Set();
+    for (const subscription of subscriptions) {
+        const taken = await StockSubscription.updateOne(
+            { _id: subscription._id, status: 'pending' },
+            { $set: { status: 'notified', notifiedAt: new Date() } }
+        );
+        if (taken.modifiedCount === 0) continue; // cancelled, or another run has it
+
+        try {
+            await sendMail(subscription.email, `Back in stock: ${product.name}`, 'backInStock', {
+                name: subscription.user?.name || 'there',
+                productName: product.name,
+                variantLabel: variant?.label,
+                image: variant?.images?.[0] || product.coverImage,
+                price: price.toLocaleString('en-IN'),
+                productUrl: `${frontendUrl}/product/${product._id}`,
+            });
+            emailedUsers.add(subscription.user?._id.toString());
+            sent++;
+        } catch (error) {
+            // Back to pending; the follow-up job retries while the line is in stock
+            console.log(`Error sending back-in-stock email to ${subscription.email}`, error.message);
+            failed++;
+            try {
+                await StockSubscription.updateOne(
+                    { _id: subscription._id, status: 'notified' },
+                    { $set: { status: 'pending' }, $unset: { notifiedAt: 1 } }
+                );
+            } catch (revertError) {
+                // The user has subscribed again meanwhile; that subscription stands in for this one
+                console.log("Error reopening back-in-stock subscription", revertError.message);
+            }
+        }
+    }
+    return { sent, failed, emailedUsers };
+};
+
+const notifyLine = async (product, variantId) => {
+    // NX: only one restock per line per cooldown sends anything
+    const cooldownKey = COOLDOWN_KEY(product._id, variantId);
+    const claimed = await redis.set(cooldownKey, '1', 'EX', RESTOCK_COOLDOWN_SECONDS, 'NX');
+    if (!claimed) return 0;
+
+    let sent = 0;
+    try {
+        const subscribers = await sendPendingSubscriptions(product, variantId);
+        // People with the line on a wishlist, unless they were just emailed above
+        sent = subscribers.sent + await notifyWishlistBackInStock(product, variantId, subscribers.emailedUsers);
+    } finally {
+        // Nothing went out (failed sends or an error): give the claim back so
+        // the next restock isn't held up by the cooldown
+        if (sent === 0) await redis.del(cooldownKey);
+    }
+    return sent;
+};
+
+/**
+ * Email everyone waiting on a line of `product` that just came back in stock
+ * (zero in `before`, positive now): notify-me subscribers, then anyone with
+ * it on a wishlist. Products the change brought back along with it (bundles
+ * of a restocked component, components of a returned bundle — the model lists
+ * them in $locals.restocked) are notified too. Call after the product is
+ * saved; it never throws, so callers needn't wait for it.
+ */
+export const notifyBackInStock = async (product, before) => {
+    const others = product.$locals?.restocked || [];
+    if (product.$locals) product.$locals.restocked = [];
+
+    for (const { product: restocked, before: previous } of [{ product, before }, ...others]) {
+        try {
+            const lines = restockedLines(restocked, previous);
+            if (lines.length === 0 || !restocked.isAvailable || !restocked.constructor.isVisible(restocked)) continue;
+
+            for (const variantId of lines) {
+                const sent = await notifyLine(restocked, variantId);
+                if (sent > 0) {
+                    console.log(`📬 Sent ${sent} back-in-stock email(s) for ${restocked.name}`);
+                }
+            }
+        } catch (error) {
+            console.log("Error sending back-in-stock notifications", error.message);
+        }
+    }
+};
@@ -0,0 +1,219 @@
+import mongoose from "mongoose";
+import { Product } from "../models/Product.model.js";
+import { Category } from "../models/Category.model.js";
+import { subtreeIds } from "./categoryTree.service.js";
+import { applySalePricing } from "../utils/salePricing.js";
+import { getActiveRules, evaluatePair, findCartConflicts } from "./compatibility.service.js";
+
+// Configurator steps in the order customers walk them. quantity is the default
+// per build (4 motors); optional steps can be skipped (e.g. VTX built into the camera).
+// Which products a step offers is data: subcategories tagged with its key (buildStep).
+export const BUILD_STEPS = [
+    { key: 'frame', label: 'Frame', quantity: 1, required: true },
+    { key: 'stack', label: 'Flight stack (FC + ESC)', quantity: 1, required: true },
+    { key: 'motors', label: 'Motors', quantity: 4, required: true },
+    { key: 'propellers', label: 'Propellers', quantity: 1, required: true },
+    { key: 'camera', label: 'FPV camera', quantity: 1, required: false },
+    { key: 'vtx', label: 'Video transmitter', quantity: 1, required: false },
+    { key: 'receiver', label: 'Receiver', quantity: 1, required: false },
+    { key: 'battery', label: 'Battery', quantity: 1, required: false },
+];
+
+const MAX_OPTIONS_SCANNED = 500;
+
+export const getStep = (key) => BUILD_STEPS.find(step => step.key === key);
+
+/**
+ * Where each step's parts come from, as a Map of step key →
+ * [{ category, subcategories }]: every subcategory tagged with the step plus
+ * everything nested below it. Renames and moves carry the tag along.
+ */
+export const getStepBindings = async () => {
+    const categories = await Category.find({ 'subcategories.buildStep': { $in: BUILD_STEPS.map(step => step.key) } })
+        .select('id subcategories.id subcategories.path subcategories.buildStep')
+        .lean();
+
+    const bindings = new Map(BUILD_STEPS.map(step => [step.key, []]));
+    for (const category of categories) {
+        for (const sub of category.subcategories) {
+            if (!bindings.has(sub.buildStep)) continue;
+            bindings.get(sub.buildStep).push({ category: category.id, subcategories: subtreeIds(category, sub.id) });
+        }
+    }
+    return bindings;
+};
+
+// Product query for a step's bindings (null when nothing is tagged with it)
+const stepFilter = (branches) => branches.length === 0 ? null : {
+    $or: branches.map(branch => ({ category: branch.category, subcategory: { $in: branch.subcategories } })),
+};
+
+const fitsStep = (branches, product) => branches.some(branch =>
+    branch.category === product.category && branch.subcategories.includes(product.subcategory));
+
+/**
+ * Validate request items ([{ step, productId, variantId, quantity }]) into
+ * Build.items shape. Returns { items } or { error }.
+ */
+export const normalizeBuildItems = (rawItems) => {
+    if (!Array.isArray(rawItems)) {
+        return { error: "items must be an array" };
+    }
+
+    const items = [];
+    for (const raw of rawItems) {
+        const step = getStep(raw.step);
+        if (!step) {
+            return { error: `Unknown build step: ${raw.step}` };
+        }
+        if (items.some(item => item.step === step.key)) {
+            return { error: `Only one ${step.label} can be selected` };
+        }
+
+        const productId = raw.productId || raw.product;
+        if (!mongoose.Types.ObjectId.isValid(productId)) {
+            return { error: `Invalid product for ${step.label}` };
+        }
+
+        const variantId = raw.variantId || raw.variant || undefined;
+        if (variantId && !mongoose.Types.ObjectId.isValid(variantId)) {
+            return { error: `Invalid option for ${step.label}` };
+        }
+
+        const quantity = raw.quantity === undefined ? step.quantity : parseInt(raw.quantity);
+        if (!quantity || quantity < 1) {
+            return { error: `Invalid quantity for ${step.label}` };
+        }
+
+        items.push({
+            step: step.key,
+            product: productId,
+            variant: variantId,
+            quantity,
+        });
+    }
+
+    return { items };
+};
+
+/**
+ * Resolve a build into steps with priced selections, totals, missing steps,
+ * per-line problems and compatibility conflicts between the chosen parts.
+ */
+export const summarizeBuild = async (items) => {
+    const [products, bindings] = await Promise.all([
+        Product.find({ _id: { $in: items.map(item => item.product) } }),
+        getStepBindings(),
+    ]);
+
+    const steps = [];
+    const errors = [];
+    const selectedProducts = [];
+    let totalPrice = 0;
+    let totalWeight = 0;
+
+    for (const step of BUILD_STEPS) {
+        const item = items.find(i => i.step === step.key);
+        if (!item) {
+            steps.push({ ...step, selection: null });
+            continue;
+        }
+
+        const product = products.find(p => p._id.toString() === item.product.toString());
+        if (!product || !product.isAvailable || !Product.isVisible(product)) {
+            errors.push({ step: step.key, message: `The selected ${step.label} is no longer available` });
+            steps.push({ ...step, selection: null });
+            continue;
+        }
+        if (!fitsStep(bindings.get(step.key), product)) {
+            errors.push({ step: step.key, message: `${product.name} can't be used as the ${step.label}` });
+            steps.push({ ...step, selection: null });
+            continue;
+        }
+
+        let resolved;
+        try {
+            resolved = product.resolveVariant(item.variant);
+        } catch (variantError) {
+            errors.push({ step: step.key, message: variantError.message });
+            steps.push({ ...step, selection: null });
+            continue;
+        }
+
+        const lineTotal = resolved.price * item.quantity;
+        const lineWeight = (resolved.weight || 0) * item.quantity;
+        totalPrice += lineTotal;
+        totalWeight += lineWeight;
+        selectedProducts.push(product);
+
+        if (resolved.stock < item.quantity) {
+            errors.push({ step: step.key, message: `Only ${resolved.stock} of ${resolved.displayName} in stock` });
+        }
+
+        steps.push({
+            ...step,
+            selection: {
+                productId: product._id,
+                variantId: resolved.variant?._id || null,
+                name: resolved.displayName,
+                brand: product.brand,
+                image: resolved.image,
+                price: resolved.price,
+                weight: resolved.weight,
+                stock: resolved.stock,
+                quantity: item.quantity,
+                lineTotal,
+                lineWeight,
+            },
+        });
+    }
+
+    const missingSteps = steps.filter(step => step.required && !step.selection).map(step => step.key);
+    const conflicts = await findCartConflicts(selectedProducts);
+
+    return {
+        steps,
+        totalPrice,
+        totalWeight,
+        missingSteps,
+        errors,
+        conflicts,
+        complete: missingSteps.length === 0 && errors.length === 0 &&
+            !conflicts.some(conflict => conflict.severity === 'error'),
+    };
+};
+
+/**
+ * Products for one step that are compatible with every part already chosen.
+ * `compatibilityChecked` is false when no rule could compare the option with
+ * the build (missing specs) — it's listed, but unverified.
+ */
+export const getStepOptions = async (stepKey, selectedIds, { page = 1, limit = 20, sort = { soldCount: -1 } } = {}) => {
+    const step = getStep(stepKey);
+    const filter = stepFilter((await getStepBindings()).get(step.key));
+    if (!filter) return { step, products: [], total: 0 };
+
+    const [selected, rules, candidates] = await Promise.all([
+        // Parts already picked for other steps; a second option for this step isn't one of them
+        Product.find({ _id: { $in: selectedIds }, $nor: [filter] }).lean(),
+        getActiveRules(),
+        Product.find({ ...filter, isAvailable: true, ...Product.visibleFilter() })
+            .select('name brand price originalPrice coverImage category subcategory rating reviewCount stock weight specs variants sales priceHistory')
+            .sort(sort)
+            .limit(MAX_OPTIONS_SCANNED)
+            .lean(),
+    ]);
+
+    const options = [];
+    for (const candidate of candidates) {
+        const results = selected.flatMap(part => evaluatePair(part, candidate, rules));
+        if (results.some(result => !result.compatible)) continue;
+        options.push({ ...applySalePricing(candidate), compatibilityChecked: results.length > 0 });
+    }
+
+    return {
+        step,
+        products: options.slice((page - 1) * limit, page * limit),
+        total: options.length,
+    };
+};
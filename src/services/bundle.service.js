@@ -0,0 +1,107 @@
+import mongoose from "mongoose";
+import { Product } from "../models/Product.model.js";
+
+/**
+ * Validate admin input for a bundle's components ([{ productId, variantId, quantity }])
+ * and work out the numbers the bundle product is built from.
+ * Returns { bundleItems, componentsTotal, weight, stock } or { error }.
+ */
+export const buildBundle = async (rawItems) => {
+    if (!Array.isArray(rawItems) || rawItems.length === 0) {
+        return { error: "A bundle needs at least one component" };
+    }
+
+    const ids = rawItems.map(item => item.productId || item.product);
+    if (!ids.every(id => mongoose.Types.ObjectId.isValid(id))) {
+        return { error: "Invalid component product ID" };
+    }
+
+    const components = await Product.find({ _id: { $in: ids } });
+    const bundleItems = [];
+    let componentsTotal = 0;
+    let weight = 0;
+    let stock = Infinity;
+
+    for (const raw of rawItems) {
+        const productId = (raw.productId || raw.product).toString();
+        const product = components.find(c => c._id.toString() === productId);
+        if (!product) {
+            return { error: `Component not found: ${productId}` };
+        }
+        if (product.isBundle) {
+            return { error: `${product.name} is itself a bundle — bundles can't be nested` };
+        }
+        if (product.status === 'archived') {
+            return { error: `${product.name} has been archived` };
+        }
+
+        const quantity = parseInt(raw.quantity) || 1;
+        if (quantity < 1) {
+            return { error: `Invalid quantity for ${product.name}` };
+        }
+
+        let resolved;
+        try {
+            resolved = product.resolveVariant(raw.variantId || raw.variant);
+        } catch (variantError) {
+            return { error: variantError.message };
+        }
+
+        const variantId = resolved.variant?._id || null;
+        if (bundleItems.some(item => item.product.toString() === productId && (item.variant?.toString() || null) === (variantId?.toString() || null))) {
+            return { error: `${resolved.displayName} is listed twice — use quantity instead` };
+        }
+
+        bundleItems.push({ product: product._id, variant: variantId, quantity });
+        // Regular prices: a running sale shouldn't be baked into the bundle's price
+        componentsTotal += resolved.regularPrice * quantity;
+        weight += (resolved.weight || 0) * quantity;
+        stock = Math.min(stock, product.isAvailable ? Math.floor(resolved.stock / quantity) : 0);
+    }
+
+    return { bundleItems, componentsTotal, weight, stock };
+};
+
+// Bundle price: an explicit price wins, otherwise the components' total less the bundle discount
+export const bundlePrice = (componentsTotal, { price, discountPercentage = 0 }) => {
+    if (price !== undefined && price !== null && price !== '') return Number(price);
+    return Math.round(componentsTotal * (1 - discountPercentage / 100));
+};
+
+/**
+ * Components of a bundle as order lines (per one bundle), with live stock.
+ * Throws if a component is gone, like resolveVariant does for variants.
+ */
+export const getBundleLines = async (bundle) => {
+    const components = await bundle.getBundleComponents();
+    return components.map(({ item, product }) => {
+        if (!product || !product.isAvailable || product.status === 'archived') {
+            throw new Error(`A component of ${bundle.name} is no longer available`);
+        }
+        const resolved = product.resolveVariant(item.variant);
+        return {
+            productId: product._id,
+            variantId: resolved.variant?._id || null,
+            sku: resolved.variant?.sku || null,
+            name: resolved.displayName,
+            quantity: item.quantity,
+            stock: resolved.stock,
+        };
+    });
+};
+
+/**
+ * Order lines → the product/variant stock they actually consume: bundle lines
+ * are replaced by their components (multiplied by the bundle quantity).
+ */
+export const toStockLines = (lines) =>
+    lines.flatMap(line => line.bundleComponents?.length
+        ? line.bundleComponents.map(component => ({
+            productId: component.productId,
+            variantId: component.variantId || null,
+            name: component.name,
+            quantity: component.quantity * line.quantity,
+            stock: component.stock,
+        }))
+        : [line]
+    );
@@ -0,0 +1,202 @@
+import crypto from "crypto";
+import Coupon from "../models/Coupon.model.js";
+import Order from "../models/Order.model.js";
+import { User } from "../models/User.model.js";
+import { CartReminder } from "../models/CartReminder.model.js";
+import { validateCart } from "./cartValidation.service.js";
+import { priceItems } from "./pricing.service.js";
+import { sendMail } from "./mailer.services.js";
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Carts idle longer than this are left alone — the moment has passed
+const MAX_CART_AGE_DAYS = 7;
+// An order placed within this many days of the email counts as recovered
+export const ATTRIBUTION_DAYS = 7;
+const COUPON_VALID_DAYS = 7;
+// A user is offered at most one reminder coupon in this many days
+const COUPON_COOLDOWN_DAYS = 30;
+// Saved-for-later items shown under the cart in a reminder
+const SAVED_ITEMS_IN_EMAIL = 4;
+
+/**
+ * Reminder settings, from the environment:
+ * - CART_REMINDER_AFTER_HOURS: how long a cart sits untouched before the email (default 24);
+ * - CART_REMINDER_COUPON_PERCENT: one-time coupon offered with it (default 0, no coupon).
+ */
+export const reminderSettings = () => ({
+    idleHours: Number(process.env.CART_REMINDER_AFTER_HOURS) || 24,
+    couponPercent: Math.min(Math.max(Number(process.env.CART_REMINDER_COUPON_PERCENT) || 0, 0), 100),
+});
+
+const frontendUrl = () =>
+    process.env.FRONTEND_URL?.split(',').find(u => u.startsWith('https://'))?.trim() || 'https://xrobofly.com';
+
+const signUserId = (userId) => crypto
+    .createHmac('sha256', process.env.UNSUBSCRIBE_SECRET || process.env.ACCESS_TOKEN_SECRET)
+    .update(`cart-reminders:${userId}`)
+    .digest('base64url');
+
+// Token for the unsubscribe link, so it works without signing in
+export const unsubscribeToken = (userId) => `${userId}.${signUserId(userId)}`;
+
+// The user id an unsubscribe token was issued for, or null if it isn't genuine
+export const verifyUnsubscribeToken = (token) => {
+    const [userId, signature] = String(token || '').split('.');
+    if (!userId || !signature) return null;
+    const expected = signUserId(userId);
+    if (signature.length !== expected.length) return null;
+    return crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected)) ? userId : null;
+};
+
+/**
+ * Users whose cart has sat untouched for `idleHours` (but not longer than a
+ * week), who haven't ordered since and haven't been reminded about this
+ * version of it yet. Oldest carts first, at most `limit`.
+ */
+export const findAbandonedCarts = async ({ idleHours, limit = 200 }, now = new Date()) => {
+    const candidates = await User.find({
+        isVerified: true,
+        cartReminders: { $ne: false },
+        'cartItems.0': { $exists: true },
+        cartUpdatedAt: {
+            $lte: new Date(now.getTime() - idleHours * HOUR),
+            $gte: new Date(now.getTime() - MAX_CART_AGE_DAYS * DAY),
+        },
+    }).select('_id cartUpdatedAt').sort({ cartUpdatedAt: 1 }).lean();
+    if (candidates.length === 0) return [];
+
+    const reminded = await CartReminder.find({ user: { $in: candidates.map(user => user._id) } })
+        .select('user cartUpdatedAt')
+        .lean();
+    const sent = new Set(reminded.map(reminder => `${reminder.user}:${reminder.cartUpdatedAt.getTime()}`));
+
+    // Someone who checked out after last touching their cart has already bought it
+    const lastOrders = await Order.aggregate([
+        { $match: { user: { $in: candidates.map(user => user._id) }, orderStatus: { $ne: 'cancelled' } } },
+        { $group: { _id: "$user", lastOrderAt: { $max: "$createdAt" } } },
+    ]);
+    const lastOrderAt = new Map(lastOrders.map(entry => [entry._id.toString(), entry.lastOrderAt]));
+
+    const due = candidates
+        .filter(user => !sent.has(`${user._id}:${user.cartUpdatedAt.getTime()}`))
+        .filter(user => !(lastOrderAt.get(user._id.toString()) >= user.cartUpdatedAt))
+        .slice(0, limit);
+
+    return User.find({ _id: { $in: due.map(user => user._id) } }).sort({ cartUpdatedAt: 1 });
+};
+
+// A one-time coupon to offer, or null. Coupons are one per user, so an
+// unused one is offered again, and a user who already has any other coupon
+// (spent, expired or held by a checkout) isn't offered one: it's theirs to keep.
+const reminderCoupon = async (user, percent, now) => {
+    if (percent <= 0) return null;
+
+    const existing = await Coupon.findOne({ userId: user._id });
+    if (existing) return existing.isActive && existing.expirationDate > now ? existing : null;
+
+    const recentlyOffered = await CartReminder.exists({
+        user: user._id,
+        couponCode: { $exists: true },
+        createdAt: { $gte: new Date(now.getTime() - COUPON_COOLDOWN_DAYS * DAY) },
+    });
+    if (recentlyOffered) return null;
+
+    return Coupon.create({
+        code: "COMEBACK" + crypto.randomBytes(3).toString('hex').toUpperCase(),
+        discountPercentage: percent,
+        expirationDate: new Date(now.getTime() + COUPON_VALID_DAYS * DAY),
+        userId: user._id,
+    });
+};
+
+/**
+ * Email `user` the buyable lines of their cart (and a few of their buyable
+ * saved-for-later items), with a coupon when the offer is on. The reminder is recorded before sending, so a cart is never
+ * emailed twice; a failed send removes the record to retry next run.
+ * Returns the CartReminder, or null when nothing in the cart can be bought.
+ */
+export const sendCartReminder = async (user, { couponPercent = 0 } = {}, now = new Date()) => {
+    const { lines } = await validateCart(user.cartItems, now);
+    const buyable = lines.filter(line => line.purchasable);
+    if (buyable.length === 0) return null;
+
+    const pricing = priceItems(buyable.map(({ item, resolved }) => ({ resolved, quantity: item.quantity })));
+    const saved = user.savedItems?.length > 0
+        ? (await validateCart(user.savedItems, now)).lines.filter(line => line.purchasable).slice(0, SAVED_ITEMS_IN_EMAIL)
+        : [];
+    const coupon = await reminderCoupon(user, couponPercent, now);
+
+    const reminder = await CartReminder.create({
+        user: user._id,
+        email: user.email,
+        cartUpdatedAt: user.cartUpdatedAt,
+        items: buyable.map(({ item, resolved }) => ({
+            product: item.product,
+            variant: item.variant || undefined,
+            name: resolved.displayName,
+            quantity: item.quantity,
+            price: resolved.price,
+        })),
+        cartTotal: pricing.subtotal,
+        couponCode: coupon?.code,
+    });
+
+    try {
+        await sendMail(user.email, "You left something in your cart 🛒", 'abandonedCart', {
+            name: user.name,
+            items: buyable.map(({ item, resolved }) => ({
+                name: resolved.displayName,
+                image: resolved.image,
+                quantity: item.quantity,
+                price: resolved.price.toLocaleString('en-IN'),
+            })),
+            subtotal: pricing.subtotal.toLocaleString('en-IN'),
+            savedItems: saved.map(({ resolved }) => ({
+                name: resolved.displayName,
+                image: resolved.image,
+                price: resolved.price.toLocaleString('en-IN'),
+            })),
+            coupon: coupon && {
+                code: coupon.code,
+                discountPercentage: coupon.discountPercentage,
+                expires: coupon.expirationDate.toLocaleDateString('en-IN', { day: 'numeric', month: 'long' }),
+            },
+            cartUrl: `${frontendUrl()}/cart`,
+            unsubscribeUrl: `${frontendUrl()}/unsubscribe?token=${encodeURIComponent(unsubscribeToken(user._id.toString()))}`,
+        });
+    } catch (error) {
+        await reminder.deleteOne();
+        throw error;
+    }
+    return reminder;
+};
+
+/**
+ * Credit a new order to the latest reminder its buyer got in the
+ * attribution window. Never throws; returns the converted reminder or null.
+ */
+export const recordCartConversion = async (order) => {
+    try {
+        if (!order?.user) return null;
+        const placedAt = order.createdAt || new Date();
+        const reminder = await CartReminder.findOne({
+            user: order.user,
+            status: 'sent',
+            createdAt: { $gte: new Date(placedAt.getTime() - ATTRIBUTION_DAYS * DAY), $lte: placedAt },
+        }).sort({ createdAt: -1 });
+        if (!reminder) return null;
+
+        reminder.status = 'converted';
+        reminder.order = order._id;
+        reminder.orderAmount = order.totalAmount;
+        reminder.couponRedeemed = Boolean(reminder.couponCode && reminder.couponCode === order.couponCode);
+        reminder.convertedAt = new Date();
+        await reminder.save();
+        return reminder;
+    } catch (error) {
+        console.log("Error recording cart reminder conversion", error.message);
+        return null;
+    }
+};
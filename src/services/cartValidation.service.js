@@ -0,0 +1,115 @@
+import { Product } from "../models/Product.model.js";
+
+// What can be wrong with a cart line, most serious first
+export const CART_WARNING_TYPES = ['archived', 'unavailable', 'out_of_stock', 'quantity_exceeds_stock', 'price_changed'];
+
+// Lines with these warnings can't be bought at all
+const BLOCKING_WARNINGS = ['archived', 'unavailable', 'out_of_stock'];
+
+const warning = (type, item, name, message, details = {}) => ({
+    type,
+    productId: item.product.toString(),
+    variantId: item.variant?.toString() || null,
+    name,
+    message,
+    ...details,
+});
+
+/**
+ * Check one cart line against the live product. Returns { resolved, warnings,
+ * purchasable }; resolved is null when the product or its variant is gone.
+ * Price changes are only detected for lines that remember their priceAtAdd.
+ */
+export const checkCartLine = (item, product, now = new Date()) => {
+    if (!product) {
+        return {
+            resolved: null,
+            purchasable: false,
+            warnings: [warning('archived', item, null, "This product is no longer sold")],
+        };
+    }
+
+    let resolved;
+    try {
+        resolved = product.resolveVariant(item.variant);
+    } catch (error) {
+        // The variant was removed since the line was added
+        return {
+            resolved: null,
+            purchasable: false,
+            warnings: [warning('unavailable', item, product.name, error.message)],
+        };
+    }
+
+    const name = resolved.displayName;
+    const warnings = [];
+    if (product.status === 'archived') {
+        warnings.push(warning('archived', item, name, `${name} is no longer sold`));
+    } else if (!Product.isVisible(product, now)) {
+        warnings.push(warning('unavailable', item, name, `${name} is currently unavailable`));
+    } else if (resolved.stock <= 0) {
+        warnings.push(warning('out_of_stock', item, name, `${name} is out of stock`, { available: 0 }));
+    } else if (!product.isAvailable) {
+        warnings.push(warning('unavailable', item, name, `${name} is currently unavailable`));
+    } else if (item.quantity > resolved.stock) {
+        warnings.push(warning('quantity_exceeds_stock', item, name, `Only ${resolved.stock} of ${name} left in stock`, {
+            requested: item.quantity,
+            available: resolved.stock,
+        }));
+    }
+    if (item.priceAtAdd != null && item.priceAtAdd !== resolved.price) {
+        const direction = resolved.price < item.priceAtAdd ? "dropped" : "gone up";
+        warnings.push(warning('price_changed', item, name, `The price of ${name} has ${direction} to ₹${resolved.price}`, {
+            previousPrice: item.priceAtAdd,
+            currentPrice: resolved.price,
+        }));
+    }
+
+    return {
+        resolved,
+        purchasable: !warnings.some(w => BLOCKING_WARNINGS.includes(w.type)),
+        warnings,
+    };
+};
+
+/**
+ * Check every line of a cart. Returns { products, lines, warnings } where
+ * each line is { item, product, resolved, purchasable, warnings } in cart order.
+ */
+export const validateCart = async (items, now = new Date()) => {
+    const products = await Product.find({ _id: { $in: items.map(item => item.product) } });
+    const lines = items.map(item => {
+        const product = products.find(p => p._id.toString() === item.product.toString()) || null;
+        return { item, product, ...checkCartLine(item, product, now) };
+    });
+    return { products, lines, warnings: lines.flatMap(line => line.warnings) };
+};
+
+/**
+ * Auto-fix validated lines: drop what can't be bought, clamp quantities to
+ * stock and accept current prices. Returns { items, changes } — the cart
+ * lines to keep and what was done to each line that changed.
+ */
+export const fixCartLines = (lines) => {
+    const items = [];
+    const changes = [];
+
+    for (const { item, resolved, purchasable, warnings } of lines) {
+        const base = { productId: item.product.toString(), variantId: item.variant?.toString() || null, name: warnings[0]?.name || null };
+        if (!purchasable) {
+            changes.push({ ...base, action: 'removed', reason: warnings[0].type });
+            continue;
+        }
+        if (item.quantity > resolved.stock) {
+            changes.push({ ...base, action: 'clamped', from: item.quantity, to: resolved.stock });
+            item.quantity = resolved.stock;
+        }
+        if (item.priceAtAdd != null && item.priceAtAdd !== resolved.price) {
+            changes.push({ ...base, action: 'repriced', from: item.priceAtAdd, to: resolved.price });
+            item.priceAtAdd = resolved.price;
+        }
+        items.push(item);
+    }
+
+    return { items, changes };
+};
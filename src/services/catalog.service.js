@@ -0,0 +1,372 @@
+import mongoose from "mongoose";
+import { redis } from "../lib/redis.js";
+import cloudinary from "../lib/cloudinary.js";
+import { Product } from "../models/Product.model.js";
+import { getSpecFields, normalizeSpecs } from "./specSchema.service.js";
+import { buildBundle, bundlePrice } from "./bundle.service.js";
+import { invalidateSearchCache } from "./search.service.js";
+import { snapshotProduct, recordRevision } from "./productHistory.service.js";
+import { recordStockChanges } from "./stockLedger.service.js";
+import { notifyWishlistPriceDrop } from "./wishlistAlerts.service.js";
+import { notifyBackInStock } from "./backInStock.service.js";
+
+/**
+ * Catalog file format shared by import and export, so an export can be edited
+ * and imported back. JSON files are an array of these objects; CSV files have
+ * one column each, with lists joined by "|" and specs/variants/bundleItems as
+ * JSON text. Rows are matched to products by sku (then id); empty cells leave
+ * an existing product's value alone.
+ */
+export const CATALOG_COLUMNS = [
+    'id', 'sku', 'name', 'description', 'brand', 'category', 'subcategory',
+    'price', 'originalPrice', 'stock', 'weight', 'isAvailable', 'isFeatured',
+    'coverImage', 'images', 'tags', 'specs', 'variants', 'bundleItems', 'bundleDiscountPercentage',
+    'status', 'publishAt', 'unpublishAt', 'reorderThreshold',
+];
+
+const NUMBER_COLUMNS = ['price', 'originalPrice', 'stock', 'weight', 'bundleDiscountPercentage', 'reorderThreshold'];
+const BOOLEAN_COLUMNS = ['isAvailable', 'isFeatured'];
+const LIST_COLUMNS = ['images', 'tags'];
+const JSON_COLUMNS = { specs: 'object', variants: 'array', bundleItems: 'array' };
+const LIST_SEPARATOR = '|';
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+export const MAX_IMPORT_ROWS = 5000;
+
+const isEmpty = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+const isCloudinaryUrl = (url) => /^https:\/\/res\.cloudinary\.com\//.test(url);
+
+// Typed fields from one CSV record or JSON object. Returns { fields, errors }.
+export const parseRow = (raw) => {
+    const fields = {};
+    const errors = [];
+
+    for (const column of CATALOG_COLUMNS) {
+        const value = raw[column];
+        if (isEmpty(value)) continue;
+
+        if (NUMBER_COLUMNS.includes(column)) {
+            const number = typeof value === 'number' ? value : Number(String(value).trim());
+            if (Number.isNaN(number)) {
+                errors.push({ field: column, message: `${column} must be a number` });
+            } else {
+                fields[column] = number;
+            }
+        } else if (BOOLEAN_COLUMNS.includes(column)) {
+            const text = String(value).trim().toLowerCase();
+            if (typeof value === 'boolean') fields[column] = value;
+            else if (TRUE_VALUES.includes(text)) fields[column] = true;
+            else if (FALSE_VALUES.includes(text)) fields[column] = false;
+            else errors.push({ field: column, message: `${column} must be true or false` });
+        } else if (LIST_COLUMNS.includes(column)) {
+            const list = Array.isArray(value) ? value : String(value).split(LIST_SEPARATOR);
+            fields[column] = list.map(item => String(item).trim()).filter(Boolean);
+        } else if (JSON_COLUMNS[column]) {
+            let parsed = value;
+            if (typeof value === 'string') {
+                try {
+                    parsed = JSON.parse(value);
+                } catch {
+                    errors.push({ field: column, message: `${column} is not valid JSON` });
+                    continue;
+                }
+            }
+            const isArray = Array.isArray(parsed);
+            if (JSON_COLUMNS[column] === 'array' ? !isArray : (isArray || typeof parsed !== 'object' || parsed === null)) {
+                errors.push({ field: column, message: `${column} must be a JSON ${JSON_COLUMNS[column]}` });
+                continue;
+            }
+            // variants and bundleItems are lists of objects ({ sku, ... })
+            const badIndex = isArray ? parsed.findIndex(item => typeof item !== 'object' || item === null || Array.isArray(item)) : -1;
+            if (badIndex !== -1) {
+                errors.push({ field: column, message: `${column} entry ${badIndex + 1} must be a JSON object` });
+                continue;
+            }
+            fields[column] = parsed;
+        } else {
+            fields[column] = String(value).trim();
+        }
+    }
+
+    if (fields.sku) fields.sku = fields.sku.toUpperCase();
+
+    const imageFields = [['coverImage', fields.coverImage], ...(fields.images || []).map(url => ['images', url])];
+    for (const [field, url] of imageFields.filter(([, url]) => url)) {
+        if (!/^https?:\/\//.test(url)) {
+            errors.push({ field, message: `Image must be an http(s) URL: ${url}` });
+        }
+    }
+
+    return { fields, errors };
+};
+
+// Variants replace the product's list; a variant whose SKU already exists keeps its _id (carts and orders point at it)
+const mergeVariants = (current, rows) => rows.map(row => {
+    const sku = String(row.sku || '').trim().toUpperCase();
+    const existing = current.find(variant => variant.sku === sku);
+    return {
+        ...(existing && { _id: existing._id }),
+        sku,
+        label: row.label,
+        attributes: row.attributes || {},
+        price: row.price,
+        originalPrice: row.originalPrice,
+        stock: row.stock || 0,
+        reorderThreshold: row.reorderThreshold ?? null,
+        weight: row.weight,
+        images: Array.isArray(row.images) ? row.images : [],
+    };
+});
+
+// bundleItems rows ({ sku | id, variantSku, quantity }) → buildBundle input
+const resolveBundleItems = async (items) => {
+    const skus = items.map(item => item.sku && String(item.sku).toUpperCase()).filter(Boolean);
+    const ids = items.map(item => item.id).filter(id => mongoose.Types.ObjectId.isValid(id));
+    const components = await Product.find({ $or: [{ sku: { $in: skus } }, { _id: { $in: ids } }] })
+        .select('sku variants._id variants.sku');
+
+    const resolved = [];
+    for (const item of items) {
+        const sku = item.sku && String(item.sku).toUpperCase();
+        const component = components.find(c => (sku && c.sku === sku) || c._id.toString() === String(item.id));
+        if (!component) {
+            return { error: `Bundle component not found: ${item.sku || item.id}` };
+        }
+        let variantId = null;
+        if (item.variantSku) {
+            const variant = component.variants.find(v => v.sku === String(item.variantSku).toUpperCase());
+            if (!variant) {
+                return { error: `Variant ${item.variantSku} not found on bundle component ${item.sku || item.id}` };
+            }
+            variantId = variant._id;
+        }
+        resolved.push({ productId: component._id, variantId, quantity: item.quantity });
+    }
+    return { items: resolved };
+};
+
+const validationErrors = (error) => error.name === 'ValidationError'
+    ? Object.values(error.errors).map(e => ({ field: e.path, message: e.message }))
+    : [{ field: null, message: error.message }];
+
+// Apply parsed fields to a (new or existing) product document. Returns a list of errors.
+const applyFields = async (product, fields) => {
+    const { id, specs, variants, bundleItems, bundleDiscountPercentage, ...rest } = fields;
+    const errors = [];
+
+    product.set(rest);
+    if (variants) product.variants = mergeVariants(product.variants, variants);
+
+    // Specs are checked against the (possibly new) subcategory's schema
+    if (specs || fields.category || fields.subcategory) {
+        const specFields = await getSpecFields(product.category, product.subcategory);
+        const result = normalizeSpecs(specs || product.specs, specFields);
+        errors.push(...result.errors.map(e => ({ field: `specs.${e.key}`, message: e.message })));
+        product.specs = result.specs;
+        product.specValues = result.values;
+    }
+
+    if (bundleItems) {
+        const resolved = await resolveBundleItems(bundleItems);
+        const bundle = resolved.error ? resolved : await buildBundle(resolved.items);
+        if (bundle.error) {
+            errors.push({ field: 'bundleItems', message: bundle.error });
+        } else {
+            const discountPercentage = bundleDiscountPercentage ?? product.bundleDiscountPercentage ?? 0;
+            product.isBundle = true;
+            product.bundleItems = bundle.bundleItems;
+            product.bundleDiscountPercentage = discountPercentage;
+            product.price = bundlePrice(bundle.componentsTotal, { price: fields.price, discountPercentage });
+            product.originalPrice = fields.originalPrice ?? bundle.componentsTotal;
+            product.stock = bundle.stock;
+            if (fields.weight === undefined) product.weight = bundle.weight;
+        }
+    }
+
+    try {
+        await product.validate();
+    } catch (error) {
+        errors.push(...validationErrors(error));
+    }
+    return errors;
+};
+
+const uploadImage = async (url, folder) => {
+    if (isCloudinaryUrl(url)) return url;
+    const result = await cloudinary.uploader.upload(url, {
+        folder,
+        transformation: [
+            { width: 1000, height: 1000, crop: "limit" },
+            { quality: "auto" },
+            { fetch_format: "auto" }
+        ]
+    });
+    return result.secure_url;
+};
+
+// Fetch any non-Cloudinary image URLs into Cloudinary
+const uploadProductImages = async (product) => {
+    if (product.coverImage) product.coverImage = await uploadImage(product.coverImage, "products");
+    product.images = await Promise.all(product.images.map(url => uploadImage(url, "products")));
+    for (const variant of product.variants) {
+        variant.images = await Promise.all(variant.images.map(url => uploadImage(url, "products/variants")));
+    }
+};
+
+/**
+ * Validate and upsert catalog rows (CSV records or JSON objects), one at a time
+ * so later rows can use products created by earlier ones (bundle components).
+ * Invalid rows are skipped and reported; with dryRun nothing is written and
+ * no images are uploaded.
+ */
+export const importCatalog = async (records, { dryRun = false, actor = null } = {}) => {
+    const entries = records.map((raw, index) => ({ row: index + 1, ...parseRow(raw) }));
+
+    // The same SKU twice would upsert one product twice
+    const firstRowBySku = new Map();
+    for (const entry of entries) {
+        const { sku } = entry.fields;
+        if (!sku) continue;
+        if (firstRowBySku.has(sku)) {
+            entry.errors.push({ field: 'sku', message: `Duplicate SKU, also on row ${firstRowBySku.get(sku)}` });
+        } else {
+            firstRowBySku.set(sku, entry.row);
+        }
+    }
+
+    const report = { dryRun, total: entries.length, created: 0, updated: 0, failed: 0, rows: [] };
+    let changed = false;
+
+    for (const { row, fields, errors } of entries) {
+        const result = { row, sku: fields.sku || null, name: fields.name || null };
+
+        let product = null;
+        if (fields.sku) product = await Product.findOne({ sku: fields.sku });
+        if (fields.id && mongoose.Types.ObjectId.isValid(fields.id)) {
+            const byId = await Product.findById(fields.id);
+            if (product && byId && !product._id.equals(byId._id)) {
+                errors.push({ field: 'sku', message: `SKU ${fields.sku} belongs to another product` });
+            }
+            product = product || byId;
+        }
+        if (!product && !fields.sku) {
+            errors.push({ field: 'sku', message: "SKU is required for new products" });
+        }
+
+        result.action = product ? 'update' : 'create';
+        const before = product ? snapshotProduct(product) : null;
+        product = product || new Product();
+        result.name = result.name || product.name || null;
+
+        if (errors.length === 0) {
+            errors.push(...await applyFields(product, fields));
+        }
+
+        if (errors.length === 0 && !dryRun) {
+            try {
+                await uploadProductImages(product);
+                await product.save();
+                await recordRevision(product, before, { action: 'import', actor, reason: `Catalog import, row ${row}` });
+                await recordStockChanges(product, before, { actor, reason: `Catalog import, row ${row}` });
+                notifyBackInStock(product, before);
+                notifyWishlistPriceDrop(product);
+                result.productId = product._id;
+                changed = true;
+            } catch (error) {
+                errors.push(...(error.code === 11000
+                    ? [{ field: 'sku', message: "SKU or variant SKU is already used by another product" }]
+                    : validationErrors(error)));
+            }
+        }
+
+        if (errors.length > 0) {
+            report.failed++;
+            report.rows.push({ ...result, status: 'error', errors });
+        } else {
+            report[result.action === 'create' ? 'created' : 'updated']++;
+            report.rows.push({ ...result, status: 'ok' });
+        }
+    }
+
+    if (changed) {
+        await invalidateSearchCache();
+        await redis.del("featured_products");
+    }
+
+    return report;
+};
+
+/**
+ * One product (lean) as a catalog row. Bundle components are referenced by
+ * SKU (and id, for products that have none) so the row imports back.
+ */
+export const productToRow = async (product) => {
+    let bundleItems;
+    if (product.isBundle) {
+        const components = await Product.find({ _id: { $in: product.bundleItems.map(item => item.product) } })
+            .select('sku variants._id variants.sku')
+            .lean();
+        bundleItems = product.bundleItems.map(item => {
+            const component = components.find(c => c._id.toString() === item.product.toString());
+            const variant = item.variant && component?.variants.find(v => v._id.toString() === item.variant.toString());
+            return {
+                sku: component?.sku || undefined,
+                id: item.product.toString(),
+                variantSku: variant?.sku || undefined,
+                quantity: item.quantity,
+            };
+        });
+    }
+
+    return {
+        id: product._id.toString(),
+        sku: product.sku || '',
+        name: product.name,
+        description: product.description,
+        brand: product.brand,
+        category: product.category,
+        subcategory: product.subcategory,
+        price: product.price,
+        originalPrice: product.originalPrice,
+        stock: product.stock,
+        weight: product.weight,
+        isAvailable: product.isAvailable,
+        isFeatured: product.isFeatured,
+        coverImage: product.coverImage,
+        images: product.images || [],
+        tags: product.tags || [],
+        specs: product.specs || {},
+        variants: product.isBundle ? [] : (product.variants || []).map(variant => ({
+            sku: variant.sku,
+            label: variant.label,
+            attributes: variant.attributes || {},
+            price: variant.price,
+            originalPrice: variant.originalPrice,
+            stock: variant.stock,
+            reorderThreshold: variant.reorderThreshold ?? undefined,
+            weight: variant.weight,
+            images: variant.images || [],
+        })),
+        bundleItems: bundleItems || [],
+        bundleDiscountPercentage: product.isBundle ? product.bundleDiscountPercentage : undefined,
+        status: product.status || 'published',
+        publishAt: product.publishAt ? new Date(product.publishAt).toISOString() : undefined,
+        unpublishAt: product.unpublishAt ? new Date(product.unpublishAt).toISOString() : undefined,
+        reorderThreshold: product.reorderThreshold ?? undefined,
+    };
+};
+
+// A catalog row as CSV cell values, in CATALOG_COLUMNS order
+export const rowToCsvCells = (row) => CATALOG_COLUMNS.map(column => {
+    const value = row[column];
+    if (value === undefined || value === null) return '';
+    if (LIST_COLUMNS.includes(column)) return value.join(LIST_SEPARATOR);
+    if (JSON_COLUMNS[column]) {
+        const isBlank = Array.isArray(value) ? value.length === 0 : Object.keys(value).length === 0;
+        return isBlank ? '' : JSON.stringify(value);
+    }
+    return value;
+});
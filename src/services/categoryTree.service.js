@@ -0,0 +1,143 @@
+import { Category } from "../models/Category.model.js";
+
+// Work on Category documents or lean objects alike. Categories saved before
+// nesting existed have no path/parent yet: they're all direct children.
+const nodePath = (category, sub) => sub.path || `${category.id}/${sub.id}`;
+
+const byOrder = (a, b) => (a.order || 0) - (b.order || 0) || a.name.localeCompare(b.name);
+
+/**
+ * Ids of a subcategory and everything below it ([] if it isn't in this category).
+ */
+export const subtreeIds = (category, subcategoryId) => {
+    const root = category.subcategories.find(sub => sub.id === subcategoryId);
+    if (!root) return [];
+    const prefix = `${nodePath(category, root)}/`;
+    return [
+        root.id,
+        ...category.subcategories
+            .filter(sub => nodePath(category, sub).startsWith(prefix))
+            .map(sub => sub.id),
+    ];
+};
+
+// Root first, then each ancestor down to the subcategory itself
+export const buildBreadcrumbs = (category, subcategoryId) => {
+    const crumbs = [{ id: category.id, name: category.name, slug: category.slug || category.id, slugPath: category.slug || category.id }];
+    const node = category.subcategories.find(sub => sub.id === subcategoryId);
+    if (!node) return crumbs;
+
+    for (const id of nodePath(category, node).split('/').slice(1)) {
+        const sub = category.subcategories.find(s => s.id === id);
+        if (!sub) break;
+        const slug = sub.slug || sub.id;
+        crumbs.push({ id: sub.id, name: sub.name, slug, slugPath: `${crumbs[crumbs.length - 1].slugPath}/${slug}` });
+    }
+    return crumbs;
+};
+
+/**
+ * Nested view of a category: each node gets `children`, sorted by order.
+ * counts (from the category controller) are summed up the tree so a node's
+ * count includes its descendants, matching what its listing shows.
+ */
+export const buildTree = (category, { counts, activeOnly = false } = {}) => {
+    const subcategories = activeOnly ? category.subcategories.filter(sub => sub.isActive) : category.subcategories;
+
+    const toNode = (sub, parentSlugPath) => {
+        const slugPath = `${parentSlugPath}/${sub.slug || sub.id}`;
+        const children = subcategories
+            .filter(child => (child.parent || null) === sub.id)
+            .sort(byOrder)
+            .map(child => toNode(child, slugPath));
+        const node = {
+            id: sub.id,
+            name: sub.name,
+            slug: sub.slug || sub.id,
+            slugPath,
+            path: nodePath(category, sub),
+            depth: sub.depth || 1,
+            description: sub.description,
+            coverImage: sub.coverImage,
+            order: sub.order,
+            isActive: sub.isActive,
+            children,
+        };
+        if (counts) {
+            node.count = (counts.get(`${category.id}/${sub.id}`) || 0) +
+                children.reduce((sum, child) => sum + child.count, 0);
+        }
+        return node;
+    };
+
+    const rootSlug = category.slug || category.id;
+    return {
+        id: category.id,
+        name: category.name,
+        slug: rootSlug,
+        slugPath: rootSlug,
+        description: category.description,
+        icon: category.icon,
+        coverImage: category.coverImage,
+        order: category.order,
+        isActive: category.isActive,
+        ...(counts && { count: counts.get(category.id) || 0 }),
+        children: subcategories
+            .filter(sub => !sub.parent)
+            .sort(byOrder)
+            .map(sub => toNode(sub, rootSlug)),
+    };
+};
+
+/**
+ * Resolve a category page URL ("fpv-gears/motors/5-inch") to its category and
+ * node (null node = the category itself). Returns null if any segment is
+ * unknown or, with activeOnly, hidden along the way.
+ */
+export const findBySlugPath = async (slugs, { activeOnly = true } = {}) => {
+    const [rootSlug, ...rest] = slugs.map(slug => String(slug).toLowerCase());
+    const category = await Category.findOne({
+        $or: [{ slug: rootSlug }, { slug: { $exists: false }, id: rootSlug }],
+        ...(activeOnly && { isActive: true }),
+    }).lean();
+    if (!category) return null;
+
+    let node = null;
+    for (const slug of rest) {
+        node = category.subcategories.find(sub =>
+            (sub.parent || null) === (node?.id || null) && (sub.slug || sub.id) === slug
+        );
+        if (!node || (activeOnly && !node.isActive)) return null;
+    }
+    return { category, node };
+};
+
+/**
+ * Product query for a category/subcategory listing. A subcategory matches
+ * its own products and those of every subcategory below it; without a
+ * category it's looked up in every category that has it.
+ */
+export const categoryFilter = async (categoryId, subcategoryId) => {
+    if (!subcategoryId) return categoryId ? { category: categoryId } : {};
+
+    const categories = await Category.find(
+        categoryId ? { id: categoryId } : { 'subcategories.id': subcategoryId }
+    ).select('id subcategories.id subcategories.path').lean();
+
+    const branches = categories
+        .map(category => ({ category: category.id, subcategory: { $in: subtreeIds(category, subcategoryId) } }))
+        .filter(branch => branch.subcategory.$in.length > 0);
+
+    if (branches.length === 0) {
+        return categoryId ? { category: categoryId, subcategory: subcategoryId } : { subcategory: subcategoryId };
+    }
+    return branches.length === 1 ? branches[0] : { $or: branches };
+};
+
+// Breadcrumbs for a product page
+export const getProductBreadcrumbs = async (product) => {
+    const category = await Category.findOne({ id: product.category })
+        .select('id name slug subcategories.id subcategories.name subcategories.slug subcategories.path')
+        .lean();
+    return category ? buildBreadcrumbs(category, product.subcategory) : [];
+};
@@ -0,0 +1,201 @@
+import { CompatibilityRule } from "../models/CompatibilityRule.model.js";
+import { Product } from "../models/Product.model.js";
+import { Category } from "../models/Category.model.js";
+import { subtreeIds } from "./categoryTree.service.js";
+import { applySalePricing } from "../utils/salePricing.js";
+
+const MAX_CANDIDATES = 500;
+
+// Spec display value by key, ignoring key case ("Mount_Pattern" vs "mount_pattern")
+const specOf = (product, key) => {
+    const entries = product.specs instanceof Map ? [...product.specs] : Object.entries(product.specs || {});
+    const entry = entries.find(([k]) => k.toLowerCase() === key);
+    return entry ? entry[1] : null;
+};
+
+// "30.5 x 30.5 mm" and "30.5x30.5" should compare equal
+const normalizeValue = (value) => String(value).toLowerCase().replace(/\s+/g, '').replace(/mm$/, '');
+
+const toNumber = (value) => {
+    const number = parseFloat(String(value));
+    return Number.isNaN(number) ? null : number;
+};
+
+const toList = (value) => String(value).split(/[,/|;]/).map(normalizeValue).filter(Boolean);
+
+// "4-6S" → [4, 6], "6S" → [6, 6]
+const toRange = (value) => {
+    const numbers = (String(value).match(/\d+(?:\.\d+)?/g) || []).map(Number);
+    if (numbers.length === 0) return null;
+    return [Math.min(...numbers), Math.max(...numbers)];
+};
+
+// true/false, or null when a value can't be read for this operator
+const compare = (operator, sourceValue, targetValue) => {
+    switch (operator) {
+        case 'overlap': {
+            const targets = toList(targetValue);
+            return toList(sourceValue).some(value => targets.includes(value));
+        }
+        case 'lte':
+        case 'gte': {
+            const source = toNumber(sourceValue);
+            const target = toNumber(targetValue);
+            if (source === null || target === null) return null;
+            return operator === 'lte' ? source <= target : source >= target;
+        }
+        case 'inRange': {
+            const source = toNumber(sourceValue);
+            const range = toRange(targetValue);
+            if (source === null || !range) return null;
+            return source >= range[0] && source <= range[1];
+        }
+        default:
+            return normalizeValue(sourceValue) === normalizeValue(targetValue);
+    }
+};
+
+const formatMessage = (rule, source, target, sourceValue, targetValue) =>
+    rule.message
+        .replace(/\{source\}/g, source.name)
+        .replace(/\{target\}/g, target.name)
+        .replace(/\{sourceValue\}/g, sourceValue)
+        .replace(/\{targetValue\}/g, targetValue);
+
+const loadCategoryTrees = () => Category.find().select('id subcategories.id subcategories.path').lean();
+
+// Subcategory ids plus everything nested below them, in whichever category has them
+const expandSubcategories = (ids, categories) => [...new Set(ids.flatMap(id =>
+    [id, ...categories.flatMap(category => subtreeIds(category, id))]
+))];
+
+/**
+ * Active rules, with their source and target subcategories widened to the
+ * subcategories nested below them, so a rule for "motors" also checks
+ * products filed under "motors/5-inch".
+ */
+export const getActiveRules = async () => {
+    const [rules, categories] = await Promise.all([
+        CompatibilityRule.find({ isActive: true }).lean(),
+        loadCategoryTrees(),
+    ]);
+    return rules.map(rule => ({
+        ...rule,
+        sourceSubcategories: expandSubcategories(rule.sourceSubcategories, categories),
+        targetSubcategories: expandSubcategories(rule.targetSubcategories, categories),
+    }));
+};
+
+/**
+ * Every rule that applies to a pair of products, in either direction, with its
+ * outcome. Rules where either product lacks the spec are skipped — unknown is
+ * not a conflict.
+ */
+export const evaluatePair = (a, b, rules) => {
+    const results = [];
+
+    for (const rule of rules) {
+        const directions = [];
+        if (rule.sourceSubcategories.includes(a.subcategory) && rule.targetSubcategories.includes(b.subcategory)) {
+            directions.push([a, b]);
+        }
+        if (rule.sourceSubcategories.includes(b.subcategory) && rule.targetSubcategories.includes(a.subcategory)) {
+            directions.push([b, a]);
+        }
+
+        for (const [source, target] of directions) {
+            const sourceValue = specOf(source, rule.sourceSpec);
+            const targetValue = specOf(target, rule.targetSpec);
+            if (sourceValue === null || targetValue === null) continue;
+
+            const compatible = compare(rule.operator, sourceValue, targetValue);
+            if (compatible === null) continue;
+
+            results.push({
+                rule,
+                compatible,
+                message: compatible ? null : formatMessage(rule, source, target, sourceValue, targetValue),
+            });
+        }
+    }
+
+    return results;
+};
+
+/**
+ * Products that fit with `product`: everything in a subcategory linked to it by
+ * a rule where every applicable rule passes. Grouped by subcategory.
+ */
+export const findCompatibleProducts = async (product, { subcategory, limit = 20 } = {}) => {
+    const rules = (await getActiveRules()).filter(rule =>
+        rule.sourceSubcategories.includes(product.subcategory) ||
+        rule.targetSubcategories.includes(product.subcategory)
+    );
+
+    const related = new Set();
+    rules.forEach(rule => {
+        if (rule.sourceSubcategories.includes(product.subcategory)) rule.targetSubcategories.forEach(s => related.add(s));
+        if (rule.targetSubcategories.includes(product.subcategory)) rule.sourceSubcategories.forEach(s => related.add(s));
+    });
+    if (subcategory) {
+        const wanted = expandSubcategories([subcategory], await loadCategoryTrees());
+        [...related].forEach(s => !wanted.includes(s) && related.delete(s));
+    }
+    if (related.size === 0) return [];
+
+    const candidates = await Product.find({
+        _id: { $ne: product._id },
+        isAvailable: true,
+        ...Product.visibleFilter(),
+        subcategory: { $in: [...related] },
+    })
+        .select('name brand price originalPrice coverImage category subcategory rating stock specs sales priceHistory')
+        .sort({ soldCount: -1 })
+        .limit(MAX_CANDIDATES)
+        .lean();
+    candidates.forEach(candidate => applySalePricing(candidate));
+
+    const groups = new Map();
+    for (const candidate of candidates) {
+        const results = evaluatePair(product, candidate, rules);
+        // Only list products we could actually check, and that pass every check
+        if (results.length === 0 || results.some(r => !r.compatible)) continue;
+
+        if (!groups.has(candidate.subcategory)) {
+            groups.set(candidate.subcategory, { subcategory: candidate.subcategory, total: 0, products: [] });
+        }
+        const group = groups.get(candidate.subcategory);
+        group.total++;
+        if (group.products.length < limit) {
+            group.products.push({ ...candidate, matchedRules: [...new Set(results.map(r => r.rule.name))] });
+        }
+    }
+
+    return [...groups.values()];
+};
+
+/**
+ * Conflicts between products in a cart, as { productIds, rule, severity, message }.
+ */
+export const findCartConflicts = async (products) => {
+    const distinct = [...new Map(products.map(p => [p._id.toString(), p])).values()];
+    if (distinct.length < 2) return [];
+
+    const rules = await getActiveRules();
+    const conflicts = [];
+
+    for (let i = 0; i < distinct.length; i++) {
+        for (let j = i + 1; j < distinct.length; j++) {
+            evaluatePair(distinct[i], distinct[j], rules)
+                .filter(result => !result.compatible)
+                .forEach(result => conflicts.push({
+                    productIds: [distinct[i]._id.toString(), distinct[j]._id.toString()],
+                    rule: result.rule.name,
+                    severity: result.rule.severity,
+                    message: result.message,
+                }));
+        }
+    }
+
+    return conflicts;
+};
@@ -0,0 +1,117 @@
+import crypto from "crypto";
+import { redis } from "../lib/redis.js";
+import { Product } from "../models/Product.model.js";
+
+// Anonymous carts live in Redis under a random id carried in a signed cookie
+export const GUEST_CART_COOKIE = "guestCart";
+const GUEST_CART_TTL = 30 * 24 * 60 * 60; // 30 days, renewed on every change
+const MAX_GUEST_CART_LINES = 50;
+
+const CART_KEY = (cartId) => `guest_cart:${cartId}`;
+
+const isSecure = process.env.NODE_ENV === "production" || process.env.COOKIE_SECURE === "true";
+
+const cookieOptions = () => ({
+    httpOnly: true,
+    secure: isSecure,
+    sameSite: isSecure ? "none" : "lax",
+    signed: true,
+    maxAge: GUEST_CART_TTL * 1000,
+});
+
+// The visitor's cart id, if they have a validly signed cookie
+export const getGuestCartId = (req) => {
+    const cartId = req.signedCookies?.[GUEST_CART_COOKIE];
+    return typeof cartId === "string" && /^[a-f0-9]{32}$/.test(cartId) ? cartId : null;
+};
+
+// Reuse the visitor's cart id or issue a new one (sets the cookie either way, renewing it)
+export const ensureGuestCartId = (req, res) => {
+    const cartId = getGuestCartId(req) || crypto.randomBytes(16).toString("hex");
+    res.cookie(GUEST_CART_COOKIE, cartId, cookieOptions());
+    return cartId;
+};
+
+// [{ product, variant, quantity, priceAtAdd }] with ids as strings
+export const getGuestCart = async (cartId) => {
+    if (!cartId) return [];
+    const raw = await redis.get(CART_KEY(cartId));
+    return raw ? JSON.parse(raw) : [];
+};
+
+export const saveGuestCart = async (cartId, items) => {
+    const lines = items.slice(0, MAX_GUEST_CART_LINES).map(item => ({
+        product: item.product.toString(),
+        variant: item.variant?.toString() || null,
+        quantity: item.quantity,
+        priceAtAdd: item.priceAtAdd ?? null,
+    }));
+    if (lines.length === 0) {
+        await redis.del(CART_KEY(cartId));
+    } else {
+        await redis.set(CART_KEY(cartId), JSON.stringify(lines), "EX", GUEST_CART_TTL);
+    }
+    return lines;
+};
+
+export const sameCartLine = (a, b) =>
+    a.product.toString() === b.product.toString() &&
+    (a.variant?.toString() || null) === (b.variant?.toString() || null);
+
+/**
+ * Fold the visitor's guest cart into the user's cartItems after they sign in,
+ * then drop the guest cart. Conflict rules:
+ * - a line in both carts keeps the larger quantity (not the sum — it's
+ *   usually the same intent from two devices);
+ * - quantities are capped at what's in stock;
+ * - lines for products that are gone, hidden or sold out are dropped.
+ * Returns { added, updated, dropped }. Never throws: a failed merge leaves
+ * the guest cart in place for the next sign-in.
+ */
+export const mergeGuestCart = async (req, res, user) => {
+    const result = { added: 0, updated: 0, dropped: 0 };
+    try {
+        const cartId = getGuestCartId(req);
+        const guestItems = await getGuestCart(cartId);
+        if (guestItems.length === 0) {
+            if (cartId) res.clearCookie(GUEST_CART_COOKIE, cookieOptions());
+            return result;
+        }
+
+        const products = await Product.find({ _id: { $in: guestItems.map(item => item.product) } });
+        for (const item of guestItems) {
+            const product = products.find(p => p._id.toString() === item.product);
+            let resolved;
+            try {
+                if (!product || !product.isAvailable || !Product.isVisible(product)) throw new Error("unavailable");
+                resolved = product.resolveVariant(item.variant);
+            } catch {
+                result.dropped++;
+                continue;
+            }
+            if (resolved.stock <= 0) {
+                result.dropped++;
+                continue;
+            }
+
+            const existing = user.cartItems.find(line => sameCartLine(line, item));
+            const quantity = Math.min(Math.max(item.quantity, existing?.quantity || 0), resolved.stock);
+            if (existing) {
+                if (existing.quantity !== quantity) {
+                    existing.quantity = quantity;
+                    result.updated++;
+                }
+            } else {
+                user.cartItems.push({ product: item.product, variant: item.variant, quantity, priceAtAdd: item.priceAtAdd ?? undefined });
+                result.added++;
+            }
+        }
+
+        await user.save();
+        await redis.del(CART_KEY(cartId));
+        res.clearCookie(GUEST_CART_COOKIE, cookieOptions());
+    } catch (error) {
+        console.log("Error merging guest cart", error.message);
+    }
+    return result;
+};
@@ -0,0 +1,102 @@
+import { Product } from "../models/Product.model.js";
+import { StockMovement } from "../models/StockMovement.model.js";
+import { lineKey } from "./stockLedger.service.js";
+
+// Used for products (and variants) without their own reorderThreshold
+export const DEFAULT_REORDER_THRESHOLD = 5;
+export const VELOCITY_WINDOW_DAYS = 30;
+// Suggested reorders aim to cover this many days of sales
+const REORDER_COVER_DAYS = 30;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Cheap pre-filter: products with any line at or below its threshold
+const lowStockMatch = () => {
+    const productThreshold = { $ifNull: ['$reorderThreshold', DEFAULT_REORDER_THRESHOLD] };
+    return {
+        isBundle: { $ne: true },
+        status: { $ne: 'archived' },
+        $expr: {
+            $or: [
+                { $and: [{ $eq: [{ $size: { $ifNull: ['$variants', []] } }, 0] }, { $lte: ['$stock', productThreshold] }] },
+                {
+                    $anyElementTrue: [{
+                        $map: {
+                            input: { $ifNull: ['$variants', []] },
+                            as: 'variant',
+                            in: { $lte: ['$$variant.stock', { $ifNull: ['$$variant.reorderThreshold', productThreshold] }] },
+                        },
+                    }],
+                },
+            ],
+        },
+    };
+};
+
+// Units sold per product/variant line over the velocity window, from the stock ledger
+const getSalesByLine = async (productIds, now) => {
+    const rows = await StockMovement.aggregate([
+        {
+            $match: {
+                product: { $in: productIds },
+                type: 'sale',
+                createdAt: { $gte: new Date(now.getTime() - VELOCITY_WINDOW_DAYS * DAY) },
+            },
+        },
+        { $group: { _id: { product: '$product', variant: '$variant' }, sold: { $sum: { $multiply: ['$quantity', -1] } } } },
+    ]);
+    return new Map(rows.map(row => [lineKey(row._id.product, row._id.variant), row.sold]));
+};
+
+const toLine = (product, variant, sold) => {
+    const stock = variant ? variant.stock : product.stock;
+    const threshold = variant?.reorderThreshold ?? product.reorderThreshold ?? DEFAULT_REORDER_THRESHOLD;
+    const dailyVelocity = sold / VELOCITY_WINDOW_DAYS;
+    const target = Math.max(Math.ceil(dailyVelocity * REORDER_COVER_DAYS), threshold + 1);
+
+    return {
+        productId: product._id,
+        name: variant ? `${product.name} - ${variant.label}` : product.name,
+        coverImage: product.coverImage,
+        category: product.category,
+        subcategory: product.subcategory,
+        variantId: variant?._id || null,
+        sku: variant?.sku || product.sku || null,
+        stock,
+        threshold,
+        status: stock === 0 ? 'out_of_stock' : 'low',
+        soldLastWindow: sold,
+        dailyVelocity: Math.round(dailyVelocity * 100) / 100,
+        // Days until it runs out at the current rate; null when it isn't selling
+        daysOfCover: dailyVelocity > 0 ? Math.floor(stock / dailyVelocity) : (stock === 0 ? 0 : null),
+        suggestedReorder: Math.max(target - stock, 0),
+    };
+};
+
+/**
+ * Every product/variant line at or below its reorder threshold, most urgent
+ * first: fewest days of cover, then fastest selling. Bundles are left out —
+ * their stock is their components'.
+ */
+export const findLowStock = async (now = new Date()) => {
+    const products = await Product.find(lowStockMatch())
+        .select('name sku coverImage category subcategory stock reorderThreshold variants')
+        .lean();
+    const sales = await getSalesByLine(products.map(product => product._id), now);
+
+    const lines = [];
+    for (const product of products) {
+        const threshold = product.reorderThreshold ?? DEFAULT_REORDER_THRESHOLD;
+        if (product.variants?.length > 0) {
+            for (const variant of product.variants) {
+                if (variant.stock > (variant.reorderThreshold ?? threshold)) continue;
+                lines.push(toLine(product, variant, sales.get(lineKey(product._id, variant._id)) || 0));
+            }
+        } else if (product.stock <= threshold) {
+            lines.push(toLine(product, null, sales.get(lineKey(product._id, null)) || 0));
+        }
+    }
+
+    const cover = line => line.daysOfCover ?? Infinity;
+    return lines.sort((a, b) => cover(a) - cover(b) || b.dailyVelocity - a.dailyVelocity);
+};
@@ -119,7 +119,8 @@ const templates = {
           <tbody>
             ${(products || []).map(p => `
             <tr style="border-top:1px solid #eee;">
-              <td style="padding:8px;">${p.name}</td>
+              <td style="padding:8px;">${p.name}${p.components?.length ? `
+                <div style="font-size:12px;color:#888;margin-top:4px;">Includes: ${p.components.map(c => `${c.quantity} × ${c.name}`).join(', ')}</div>` : ''}</td>
               <td style="padding:8px;text-align:center;">${p.quantity}</td>
               <td style="padding:8px;text-align:right;">₹${p.price}</td>
             </tr>`).join('')}
@@ -182,6 +183,120 @@ const templates = {
           <a href="${frontendUrl}/orders" class="btn" style="background:#111;">View My Orders</a>
         </div>
         <p style="color:#888;font-size:13px;margin-top:24px;">If you have any questions, feel free to reply to this email.</p>`),
+
+    refundInitiated: ({ customerName, orderId, refundId, amount, reason, frontendUrl = 'https://xrobofly.com' }) => baseLayout(`
+        <h2>Your Refund Is On Its Way 💸</h2>
+        <p>Hi <strong>${customerName}</strong>, we've initiated a refund for your order.</p>
+        <div class="info">
+          📦 Order ID: <strong>${orderId}</strong><br/>
+          🧾 Refund Ref: ${refundId}<br/>
+          💰 Amount: <strong>₹${amount}</strong>
+        </div>
+        ${reason ? `<p><strong>Reason:</strong> ${reason}</p>` : ''}
+        <p>The amount will be credited to your original payment method within 5–7 business days, depending on your bank.</p>
+        <div style="text-align:center;margin-top:28px;">
+          <a href="${frontendUrl}/orders" class="btn">View My Orders</a>
+        </div>
+        <p style="color:#888;font-size:13px;margin-top:24px;">If you have any questions, feel free to reply to this email.</p>`),
+
+    backInStock: ({ name, productName, variantLabel, image, price, productUrl, note = "You're receiving this because you asked to be notified. We won't email you about this item again." }) => baseLayout(`
+        <h2>It's Back in Stock! 🎉</h2>
+        <p>Hi <strong>${name}</strong>, good news — something you asked us to watch is available again.</p>
+        <div style="text-align:center;margin:24px 0;">
+          ${image ? `<img src="${image}" alt="${productName}" style="max-width:200px;border-radius:8px;"/>` : ''}
+          <h3 style="color:#111;margin:12px 0 4px;">${productName}</h3>
+          ${variantLabel ? `<div style="color:#888;font-size:14px;">${variantLabel}</div>` : ''}
+          <div style="color:#f97316;font-size:18px;font-weight:bold;margin-top:8px;">&#8377;${price}</div>
+        </div>
+        <p>Stock is limited, so grab it before it sells out again.</p>
+        <div style="text-align:center;">
+          <a href="${productUrl}" class="btn">Shop Now</a>
+        </div>
+        <p style="color:#888;font-size:13px;margin-top:24px;">${note}</p>`),
+
+    wishlistPriceDrop: ({ name, productName, variantLabel, image, oldPrice, price, percentOff, saleName, listName, productUrl }) => baseLayout(`
+        <h2>Price Drop on Your Wishlist 💸</h2>
+        <p>Hi <strong>${name}</strong>, something on your wishlist just got cheaper.</p>
+        <div style="text-align:center;margin:24px 0;">
+          ${image ? `<img src="${image}" alt="${productName}" style="max-width:200px;border-radius:8px;"/>` : ''}
+          <h3 style="color:#111;margin:12px 0 4px;">${productName}</h3>
+          ${variantLabel ? `<div style="color:#888;font-size:14px;">${variantLabel}</div>` : ''}
+          <div style="margin-top:8px;">
+            <span style="color:#888;text-decoration:line-through;">&#8377;${oldPrice}</span>
+            <span style="color:#f97316;font-size:18px;font-weight:bold;margin-left:8px;">&#8377;${price}</span>
+            <span style="color:#16a34a;font-size:14px;margin-left:8px;">${percentOff}% off</span>
+          </div>
+          ${saleName ? `<div style="color:#555;font-size:14px;margin-top:4px;">${saleName}</div>` : ''}
+        </div>
+        <div style="text-align:center;">
+          <a href="${productUrl}" class="btn">Shop Now</a>
+        </div>
+        <p style="color:#888;font-size:13px;margin-top:24px;">You're receiving this because it's on your wishlist "${listName}". You can turn off price alerts for it in your wishlist.</p>`),
+
+    abandonedCart: ({ name, items = [], subtotal, savedItems = [], coupon, cartUrl = 'https://xrobofly.com/cart', unsubscribeUrl }) => baseLayout(`
+        <h2>Still Thinking It Over? 🛒</h2>
+        <p>Hi <strong>${name}</strong>, you left a few things in your cart. We've saved them for you:</p>
+        <table style="width:100%;border-collapse:collapse;font-size:14px;">
+          <tbody>
+            ${items.map(item => `
+            <tr style="border-top:1px solid #eee;">
+              <td style="padding:8px;width:64px;">${item.image ? `<img src="${item.image}" alt="${item.name}" style="width:56px;border-radius:6px;"/>` : ''}</td>
+              <td style="padding:8px;">${item.name}<div style="font-size:12px;color:#888;">Qty ${item.quantity}</div></td>
+              <td style="padding:8px;text-align:right;">&#8377;${item.price}</td>
+            </tr>`).join('')}
+          </tbody>
+        </table>
+        <p style="text-align:right;font-weight:bold;">Subtotal: &#8377;${subtotal}</p>
+        ${savedItems.length > 0 ? `
+        <p style="margin-top:24px;">Also saved for later:</p>
+        <table style="width:100%;border-collapse:collapse;font-size:14px;">
+          <tbody>
+            ${savedItems.map(item => `
+            <tr style="border-top:1px solid #eee;">
+              <td style="padding:8px;width:64px;">${item.image ? `<img src="${item.image}" alt="${item.name}" style="width:56px;border-radius:6px;"/>` : ''}</td>
+              <td style="padding:8px;">${item.name}</td>
+              <td style="padding:8px;text-align:right;">&#8377;${item.price}</td>
+            </tr>`).join('')}
+          </tbody>
+        </table>` : ''}
+        ${coupon ? `
+        <div style="background:#fff7ed;border:1px dashed #f97316;border-radius:8px;padding:16px;text-align:center;margin:24px 0;">
+          <div>Take <strong>${coupon.discountPercentage}% off</strong> with code</div>
+          <div style="font-size:22px;font-weight:bold;letter-spacing:2px;color:#f97316;margin:8px 0;">${coupon.code}</div>
+          <div style="font-size:12px;color:#888;">One use, valid until ${coupon.expires}</div>
+        </div>` : ''}
+        <p>Stock is limited and prices can change, so don't wait too long.</p>
+        <div style="text-align:center;">
+          <a href="${cartUrl}" class="btn">Return to Cart</a>
+        </div>
+        ${unsubscribeUrl ? `<p style="color:#888;font-size:13px;margin-top:24px;">Don't want cart reminders? <a href="${unsubscribeUrl}" style="color:#888;">Unsubscribe</a>.</p>` : ''}`),
+
+    lowStockDigest: ({ items = [], total = items.length, outOfStock = 0, windowDays = 30, adminUrl = 'https://xrobofly.com/admin' }) => baseLayout(`
+        <h2>Low Stock Report 📉</h2>
+        <p><strong>${total}</strong> item(s) are at or below their reorder threshold${outOfStock ? `, <strong>${outOfStock}</strong> of them out of stock` : ''}. Most urgent first:</p>
+        <table style="width:100%;border-collapse:collapse;font-size:14px;">
+          <thead><tr style="background:#f9fafb;">
+            <th style="padding:8px;text-align:left;color:#555;">Product</th>
+            <th style="padding:8px;text-align:center;color:#555;">Stock</th>
+            <th style="padding:8px;text-align:center;color:#555;">Sold (${windowDays}d)</th>
+            <th style="padding:8px;text-align:center;color:#555;">Days left</th>
+            <th style="padding:8px;text-align:right;color:#555;">Reorder</th>
+          </tr></thead>
+          <tbody>
+            ${items.map(item => `
+            <tr style="border-top:1px solid #eee;">
+              <td style="padding:8px;">${item.name}${item.sku ? `<div style="font-size:12px;color:#888;">${item.sku}</div>` : ''}</td>
+              <td style="padding:8px;text-align:center;${item.stock === 0 ? 'color:#dc2626;font-weight:bold;' : ''}">${item.stock} / ${item.threshold}</td>
+              <td style="padding:8px;text-align:center;">${item.soldLastWindow}</td>
+              <td style="padding:8px;text-align:center;">${item.daysOfCover ?? '—'}</td>
+              <td style="padding:8px;text-align:right;">${item.suggestedReorder}</td>
+            </tr>`).join('')}
+          </tbody>
+        </table>
+        ${total > items.length ? `<p style="color:#888;font-size:13px;">…and ${total - items.length} more.</p>` : ''}
+        <div style="text-align:center;margin-top:28px;">
+          <a href="${adminUrl}" class="btn">Open Inventory</a>
+        </div>`),
 };
 
 // ─── sendMail ─────────────────────────────────────────────────────────────────
@@ -0,0 +1,110 @@
+import Coupon from "../models/Coupon.model.js";
+
+// Catalog prices are GST-inclusive: GST is extracted from them, never added on top
+export const GST_RATE = 0.05;
+export const FREE_SHIPPING_ABOVE = 5000;
+// Lines without a weight ship as this many grams each
+export const DEFAULT_ITEM_WEIGHT = 500;
+
+const BASE_SHIPPING = 130;
+const BASE_SHIPPING_WEIGHT = 500; // grams covered by BASE_SHIPPING
+const SHIPPING_PER_EXTRA_100G = 13;
+
+/**
+ * Shipping for a basket:
+ * - free for subtotals above ₹5000;
+ * - ₹130 up to 500g;
+ * - ₹13 per additional 100g (rounded up) beyond that.
+ */
+export const calculateShipping = (subtotal, weight) => {
+    if (subtotal > FREE_SHIPPING_ABOVE) return 0;
+    if (weight <= BASE_SHIPPING_WEIGHT) return BASE_SHIPPING;
+    return BASE_SHIPPING + Math.ceil((weight - BASE_SHIPPING_WEIGHT) / 100) * SHIPPING_PER_EXTRA_100G;
+};
+
+// Coupons held by checkouts whose payment never completed go back to their owner
+export const releaseExpiredCouponClaims = (filter = {}) => Coupon.updateMany(
+    { ...filter, isActive: false, 'claim.expiresAt': { $lte: new Date() } },
+    { isActive: true, $unset: { claim: 1 } }
+);
+
+// The user's coupon with this code, if it can be used right now: { coupon } or { error }
+export const findUsableCoupon = async (code, user) => {
+    if (!user) return { error: "Sign in to use a coupon" };
+    await releaseExpiredCouponClaims({ userId: user._id });
+    const coupon = await Coupon.findOne({ code, userId: user._id, isActive: true });
+    if (!coupon) return { error: "Coupon not found" };
+    if (coupon.expirationDate < new Date()) return { error: "Coupon expired" };
+    return { coupon };
+};
+
+/**
+ * Take the user's coupon for the pending checkout `orderId`, so two checkouts
+ * can't both spend it. The claim lapses after `ttlSeconds` unless the order is
+ * paid (redeemCoupon) or released sooner (releaseCoupon).
+ * Returns { coupon } or { error }.
+ */
+export const claimCoupon = async (code, user, orderId, ttlSeconds) => {
+    const found = await findUsableCoupon(code, user);
+    if (found.error) return found;
+
+    const now = new Date();
+    const coupon = await Coupon.findOneAndUpdate(
+        { code, userId: user._id, isActive: true, expirationDate: { $gt: now } },
+        { isActive: false, claim: { orderId, expiresAt: new Date(now.getTime() + ttlSeconds * 1000) } },
+        { new: true }
+    );
+    if (!coupon) return { error: "Coupon is already being used for another order" };
+    return { coupon };
+};
+
+// Give back the coupon held by a checkout that failed or was abandoned
+export const releaseCoupon = (orderId) => Coupon.updateOne(
+    { 'claim.orderId': orderId, 'claim.expiresAt': { $exists: true } },
+    { isActive: true, $unset: { claim: 1 } }
+);
+
+// The checkout was paid: its coupon is spent for good
+export const redeemCoupon = (orderId) => Coupon.updateOne(
+    { 'claim.orderId': orderId },
+    { isActive: false, $unset: { 'claim.expiresAt': 1 } }
+);
+
+/**
+ * Price a basket of [{ resolved, quantity }], where resolved is what
+ * product.resolveVariant() returned. This is the only place order amounts
+ * are worked out: the cart summary shows what checkout will charge.
+ * - shipping is decided on the subtotal before any coupon;
+ * - a coupon takes its percentage off the goods, not off shipping;
+ * - GST is extracted from what is paid for the goods after the discount.
+ */
+export const priceItems = (items, { coupon = null } = {}) => {
+    const lines = items.map(({ resolved, quantity }) => ({
+        unitPrice: resolved.price,
+        quantity,
+        lineTotal: resolved.price * quantity,
+        weight: (resolved.weight || DEFAULT_ITEM_WEIGHT) * quantity,
+    }));
+
+    const subtotal = lines.reduce((sum, line) => sum + line.lineTotal, 0);
+    const weight = lines.reduce((sum, line) => sum + line.weight, 0);
+    const shipping = calculateShipping(subtotal, weight);
+    const discount = coupon ? Math.round(subtotal * coupon.discountPercentage / 100) : 0;
+    const goodsTotal = subtotal - discount;
+    const taxableValue = Math.round(goodsTotal / (1 + GST_RATE));
+
+    return {
+        lines,
+        subtotal,
+        weight,
+        shipping,
+        coupon: coupon ? { code: coupon.code, discountPercentage: coupon.discountPercentage } : null,
+        discount,
+        gst: {
+            rate: GST_RATE,
+            taxableValue,
+            amount: goodsTotal - taxableValue,
+        },
+        total: goodsTotal + shipping,
+    };
+};
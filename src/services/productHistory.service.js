@@ -0,0 +1,162 @@
+import { ProductRevision } from "../models/ProductRevision.model.js";
+import { getSpecFields, normalizeSpecs } from "./specSchema.service.js";
+import { buildBundle } from "./bundle.service.js";
+
+const TRACKED_FIELDS = [
+    'name', 'sku', 'description', 'brand', 'category', 'subcategory',
+    'price', 'originalPrice', 'stock', 'weight', 'isAvailable', 'isFeatured',
+    'status', 'publishAt', 'unpublishAt', 'coverImage', 'images', 'tags', 'specs',
+    'bundleItems', 'bundleDiscountPercentage', 'sales', 'reorderThreshold',
+];
+const VARIANT_FIELDS = ['label', 'attributes', 'price', 'originalPrice', 'stock', 'reorderThreshold', 'weight', 'images'];
+
+// Reverting these would undo sales and restocks since, point at images that
+// were deleted from Cloudinary when they were removed, or re-publish/unpublish
+// a product behind the publishing workflow's back
+export const NOT_REVERTED = ['stock', 'coverImage', 'images', 'status', 'publishAt', 'unpublishAt'];
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Tracked state of a product as plain JSON (ids and dates as strings)
+export const snapshotProduct = (product) => {
+    const plain = typeof product.toObject === 'function' ? product.toObject({ flattenMaps: true }) : product;
+    const snapshot = Object.fromEntries(TRACKED_FIELDS.map(field => [field, plain[field] ?? null]));
+    snapshot.variants = (plain.variants || []).map(variant => ({
+        _id: variant._id,
+        sku: variant.sku,
+        ...Object.fromEntries(VARIANT_FIELDS.map(field => [field, variant[field] ?? null])),
+    }));
+    return JSON.parse(JSON.stringify(snapshot));
+};
+
+// Field-level changes between two snapshots; specs and variants are compared per key / per SKU
+export const diffSnapshots = (before, after) => {
+    const changes = [];
+
+    for (const field of TRACKED_FIELDS.filter(f => f !== 'specs')) {
+        if (!same(before[field], after[field])) {
+            changes.push({ field, from: before[field] ?? null, to: after[field] ?? null });
+        }
+    }
+
+    const specKeys = new Set([...Object.keys(before.specs || {}), ...Object.keys(after.specs || {})]);
+    for (const key of specKeys) {
+        const from = before.specs?.[key] ?? null;
+        const to = after.specs?.[key] ?? null;
+        if (!same(from, to)) changes.push({ field: `specs.${key}`, from, to });
+    }
+
+    const beforeVariants = new Map(before.variants.map(variant => [variant.sku, variant]));
+    const afterVariants = new Map(after.variants.map(variant => [variant.sku, variant]));
+    for (const [sku, variant] of afterVariants) {
+        const old = beforeVariants.get(sku);
+        if (!old) {
+            changes.push({ field: `variants.${sku}`, from: null, to: variant });
+            continue;
+        }
+        for (const field of VARIANT_FIELDS) {
+            if (!same(old[field], variant[field])) {
+                changes.push({ field: `variants.${sku}.${field}`, from: old[field] ?? null, to: variant[field] ?? null });
+            }
+        }
+    }
+    for (const [sku, old] of beforeVariants) {
+        if (!afterVariants.has(sku)) changes.push({ field: `variants.${sku}`, from: old, to: null });
+    }
+
+    return changes;
+};
+
+const nextRevision = async (productId) => {
+    const last = await ProductRevision.findOne({ product: productId }).sort({ revision: -1 }).select('revision').lean();
+    return (last?.revision || 0) + 1;
+};
+
+const createRevision = async (fields) => {
+    // Two admins saving at once can race for a number; the unique index makes the loser retry
+    for (let attempt = 0; attempt < 3; attempt++) {
+        try {
+            return await ProductRevision.create({ ...fields, revision: await nextRevision(fields.product) });
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+        }
+    }
+    throw new Error("Could not allocate a revision number");
+};
+
+/**
+ * Record an admin change to a product, after it has been saved.
+ * `before` is snapshotProduct() from before the change (null for a new
+ * product). No-op changes aren't recorded. The first change to a product
+ * that predates the audit trail also records its prior state as a
+ * 'baseline' revision, so it can be reverted to.
+ * Never throws: a failed audit write is logged, the change itself stands.
+ */
+export const recordRevision = async (product, before, { action, actor, reason, revertedTo } = {}) => {
+    try {
+        const snapshot = snapshotProduct(product);
+        const changes = before ? diffSnapshots(before, snapshot) : [];
+        if (before && changes.length === 0) return null;
+
+        if (before && !(await ProductRevision.exists({ product: product._id }))) {
+            await createRevision({ product: product._id, action: 'baseline', snapshot: before });
+        }
+
+        return await createRevision({
+            product: product._id,
+            action,
+            actor: actor?._id,
+            actorName: actor?.name,
+            actorEmail: actor?.email,
+            reason: reason || undefined,
+            changes,
+            snapshot,
+            revertedTo,
+        });
+    } catch (error) {
+        console.log("Error recording product revision", error.message);
+        return null;
+    }
+};
+
+/**
+ * Put a product back to a revision's snapshot (not saved). Stock, images and
+ * publishing state stay as they are now (see NOT_REVERTED); variants keep
+ * their current stock.
+ * Returns { errors } — specs that no longer fit the subcategory's schema or
+ * bundle components that are gone.
+ */
+export const applySnapshot = async (product, snapshot) => {
+    for (const field of TRACKED_FIELDS) {
+        if (NOT_REVERTED.includes(field) || field === 'specs' || field === 'bundleItems') continue;
+        // Revisions recorded before a field was tracked leave it as it is
+        if (!(field in snapshot)) continue;
+        product.set(field, snapshot[field]);
+    }
+
+    if (!product.isBundle) {
+        product.variants = snapshot.variants.map(variant => {
+            const current = product.variants.find(v => v._id.toString() === variant._id);
+            return { ...variant, stock: current ? current.stock : 0 };
+        });
+    }
+
+    const errors = [];
+    const specFields = await getSpecFields(product.category, product.subcategory);
+    const specResult = normalizeSpecs(snapshot.specs || {}, specFields);
+    errors.push(...specResult.errors.map(e => `${e.key}: ${e.message}`));
+    product.specs = specResult.specs;
+    product.specValues = specResult.values;
+
+    if (product.isBundle && snapshot.bundleItems?.length) {
+        const bundle = await buildBundle(snapshot.bundleItems);
+        if (bundle.error) {
+            errors.push(bundle.error);
+        } else {
+            product.bundleItems = bundle.bundleItems;
+            product.stock = bundle.stock;
+        }
+    }
+
+    return { errors };
+};
@@ -0,0 +1,237 @@
+import Cashfree from "../lib/cashfree.js";
+import { User } from "../models/User.model.js";
+import { sendMail } from "./mailer.services.js";
+import { logger } from "../utils/logger.js";
+
+const frontendUrl = () =>
+    process.env.FRONTEND_URL?.split(',').find(u => u.startsWith('https://'))?.trim() || 'https://xrobofly.com';
+
+// Cashfree statuses we persist as-is; anything else is treated as PENDING
+const KNOWN_STATUSES = ["PENDING", "SUCCESS", "CANCELLED", "ONHOLD"];
+const normalizeStatus = (status) => KNOWN_STATUSES.includes(status) ? status : "PENDING";
+
+// Refunds that have taken, or may still take, money back to the customer
+const isOutstanding = (refund) => refund?.refundId && !["FAILED", "CANCELLED"].includes(refund.status);
+
+/**
+ * What can still be refunded on an order: what was paid, less the refunds
+ * already made or under way on it and its returns (other than `except`'s own).
+ */
+export const refundableBalance = (order, except = null) => {
+    const holders = [order, ...(order.returns || [])].filter(holder => !except || !holder._id.equals(except._id));
+    const refunded = holders
+        .filter(holder => isOutstanding(holder.refund))
+        .reduce((sum, holder) => sum + (holder.refund.amount || 0), 0);
+    return Math.max(order.totalAmount - refunded, 0);
+};
+
+/**
+ * Refund due for returning `quantity` of order line `item`: its price less
+ * the line's share of the order's coupon discount.
+ */
+export const returnRefundAmount = (order, item, quantity) => {
+    const lineValue = (item?.price || 0) * quantity;
+    const goodsTotal = order.products.reduce((sum, line) => sum + line.price * line.quantity, 0);
+    const discountShare = goodsTotal > 0 ? (order.discount || 0) * lineValue / goodsTotal : 0;
+    return Math.round(lineValue - discountShare);
+};
+
+// Cashfree answered and turned the refund down. Timeouts, network errors and
+// 5xx don't count: the refund may have been created. 409 is a duplicate request.
+const isRejection = (error) => {
+    const status = error.response?.status;
+    return status >= 400 && status < 500 && status !== 409;
+};
+
+/**
+ * Look the holder's refund up at Cashfree and apply what it says. Caller saves.
+ * Returns true if Cashfree has it, false if it doesn't, null if we couldn't tell.
+ */
+const reconcileRefund = async (order, holder) => {
+    try {
+        const response = await Cashfree.PGOrderFetchRefund(order.cashfreeOrderId, holder.refund.refundId);
+        applyRefundUpdate(holder, response.data || response);
+        return true;
+    } catch (error) {
+        if (error.response?.status === 404) return false;
+        console.error(`Failed to look up refund for order ${order._id}:`, error.response?.data?.message || error.message);
+        return null;
+    }
+};
+
+// Atomically store a PENDING refund on the order (or on one of its returns),
+// only if it has none yet or the last one failed
+const claimRefund = async (order, holder, refund) => {
+    const claimable = { $or: [{ "refund.refundId": { $exists: false } }, { "refund.status": "FAILED" }] };
+    const result = holder === order
+        ? await order.constructor.updateOne({ _id: order._id, ...claimable }, { $set: { refund } })
+        : await order.constructor.updateOne(
+            { _id: order._id, returns: { $elemMatch: { _id: holder._id, ...claimable } } },
+            { $set: { "returns.$.refund": refund } }
+        );
+    return result.matchedCount === 1;
+};
+
+/**
+ * Refund a paid Cashfree order (what is left of it unless a smaller `amount`
+ * is given — never more than was paid less earlier refunds), store the
+ * refund on the Order — or on `target`, e.g. a return in order.returns — and
+ * email the customer.
+ * Never throws for gateway errors — returns { success, refund, error } like
+ * ShiprocketService so callers on the payment path can carry on. `pending`
+ * is set when the outcome isn't known yet (the refund stays PENDING).
+ */
+export const initiateRefund = async (order, { amount, reason, initiatedBy = "system", customer, target } = {}) => {
+    const holder = target || order;
+
+    if (!order.cashfreeOrderId) {
+        return { success: false, error: "Order has no Cashfree payment to refund" };
+    }
+
+    // One refund per order / per return. A refund whose creation was never
+    // confirmed (the call timed out) is looked up before anything is retried.
+    if (holder.refund?.refundId && holder.refund.status !== "FAILED") {
+        if (holder.refund.status !== "PENDING" || holder.refund.cfRefundId) {
+            return { success: true, refund: holder.refund, alreadyRefunded: true };
+        }
+        const found = await reconcileRefund(order, holder);
+        if (found !== false) {
+            if (found) await order.save();
+            return { success: found === true, pending: found === null, refund: holder.refund, alreadyRefunded: true };
+        }
+        holder.refund.status = "FAILED";
+        holder.refund.error = "Refund not found at Cashfree";
+        await order.save();
+    }
+
+    const balance = refundableBalance(order, holder);
+    if (balance <= 0) {
+        return { success: false, error: "Nothing left to refund on this order" };
+    }
+    const refundAmount = Math.min(amount ?? balance, balance);
+    // Derived from the holder, so however often this runs there is one refund
+    const refundId = `RF_${holder._id}`;
+    // The idempotency key only changes after Cashfree has rejected an attempt
+    const attempt = holder.refund?.status === "FAILED" ? (holder.refund.attempt || 1) + 1 : 1;
+    const refund = {
+        refundId,
+        amount: refundAmount,
+        reason,
+        initiatedBy,
+        status: "PENDING",
+        attempt,
+        initiatedAt: new Date(),
+    };
+
+    // Claim the refund in the database first, so two concurrent requests can't both send it
+    if (!await claimRefund(order, holder, refund)) {
+        return { success: false, error: "A refund for this order is already in progress" };
+    }
+    holder.refund = refund;
+
+    try {
+        const response = await Cashfree.PGOrderCreateRefund(
+            order.cashfreeOrderId,
+            {
+                refund_amount: refundAmount,
+                refund_id: refundId,
+                refund_note: (reason || "Order refund").slice(0, 100),
+            },
+            undefined,
+            `${refundId}_${attempt}` // idempotency key — a retried request can't refund twice
+        );
+
+        applyRefundUpdate(holder, response.data || response);
+        await order.save();
+    } catch (error) {
+        const message = error.response?.data?.message || error.message;
+        holder.refund.error = message;
+
+        if (isRejection(error)) {
+            console.error(`❌ Refund rejected for order ${order._id}:`, message);
+            holder.refund.status = "FAILED";
+            await order.save();
+            return { success: false, refund: holder.refund, error: message };
+        }
+
+        // Timeout, network error or 5xx: Cashfree may have accepted it. Stay
+        // PENDING and ask; syncRefundStatus or a retry settles it later.
+        console.error(`⚠️ Refund request for order ${order._id} did not complete:`, message);
+        const found = await reconcileRefund(order, holder);
+        await order.save();
+        if (!found) {
+            return { success: false, pending: true, refund: holder.refund, error: message };
+        }
+    }
+
+    logger.success(`Refund ${refundId} initiated for order ${order._id}`);
+
+    // Let the customer know money is on its way back
+    try {
+        const recipient = customer || await User.findById(order.user).select("name email");
+        if (recipient?.email) {
+            await sendMail(
+                recipient.email,
+                "Refund Initiated - XRoboFly #" + order._id,
+                "refundInitiated",
+                {
+                    customerName: recipient.name,
+                    orderId: order._id,
+                    refundId,
+                    amount: refundAmount.toLocaleString('en-IN'),
+                    reason,
+                    frontendUrl: frontendUrl(),
+                }
+            );
+        }
+    } catch (emailError) {
+        console.error("Failed to send refund email:", emailError);
+    }
+
+    return { success: true, refund: holder.refund };
+};
+
+/**
+ * Pull the latest refund status from Cashfree (used when the refund webhook
+ * is missed) and persist it.
+ */
+export const syncRefundStatus = async (order, target) => {
+    const holder = target || order;
+
+    if (!holder.refund?.refundId || holder.refund.status === "FAILED") {
+        return { success: false, error: "No refund to sync" };
+    }
+
+    try {
+        const response = await Cashfree.PGOrderFetchRefund(order.cashfreeOrderId, holder.refund.refundId);
+        const refund = response.data || response;
+        applyRefundUpdate(holder, refund);
+        await order.save();
+        return { success: true, refund: holder.refund };
+    } catch (error) {
+        const message = error.response?.data?.message || error.message;
+        console.error(`Failed to sync refund for order ${order._id}:`, message);
+        return { success: false, error: message };
+    }
+};
+
+/**
+ * Apply a Cashfree RefundEntity (API response or REFUND_STATUS_WEBHOOK payload)
+ * to whatever holds the refund (the order or one of its returns). Caller saves.
+ */
+export const applyRefundUpdate = (holder, refund) => {
+    if (!holder.refund) return;
+    if (refund.cf_refund_id) holder.refund.cfRefundId = refund.cf_refund_id.toString();
+    holder.refund.status = normalizeStatus(refund.refund_status);
+    if (holder.refund.status === "SUCCESS") {
+        holder.refund.processedAt = refund.processed_at ? new Date(refund.processed_at) : new Date();
+    }
+};
+
+/**
+ * Find the order/return a Cashfree refund_id belongs to.
+ */
+export const findRefundHolder = (order, refundId) => {
+    if (order.refund?.refundId === refundId) return order;
+    return order.returns?.find(r => r.refund?.refundId === refundId) || null;
+};
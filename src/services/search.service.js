@@ -0,0 +1,354 @@
+import { redis } from "../lib/redis.js";
+import { Product } from "../models/Product.model.js";
+import { Category } from "../models/Category.model.js";
+import { tokenize, expandTokens, levenshtein, maxTyposFor, escapeRegex } from "../utils/searchText.js";
+import { applySalePricing, effectivePriceExpr } from "../utils/salePricing.js";
+
+const VOCABULARY_KEY = "search_vocabulary";
+const VOCABULARY_TTL = 60 * 60; // 1 hour, also cleared whenever a product is saved from admin
+
+// Autocomplete: the candidate list, plus one key per normalized query holding its
+// finished answer, so each answer expires on its own
+const SUGGESTION_INDEX_KEY = "search_suggestions";
+const SUGGESTION_RESULT_KEY = (query) => `search_suggest:${query}`;
+const SUGGESTION_TTL = 60 * 60;
+const SUGGESTION_RESULTS_TTL = 10 * 60;
+
+const SUGGEST_LIMITS = { products: 6, brands: 4, categories: 4 };
+
+// ₹ boundaries for the price facet; anything from the last boundary up lands in one bucket
+export const PRICE_BUCKETS = [0, 500, 1000, 2500, 5000, 10000, 25000, 50000];
+
+const SPEC_FACET_KEYS = 20;
+const SPEC_FACET_VALUES = 20;
+
+/**
+ * Every search term in the live catalog with the number of products using it,
+ * as a Map. Cached in Redis like featured_products.
+ */
+export const getVocabulary = async () => {
+    const cached = await redis.get(VOCABULARY_KEY);
+    if (cached) return new Map(JSON.parse(cached));
+
+    const terms = await Product.aggregate([
+        { $match: { isAvailable: true, ...Product.visibleFilter() } },
+        { $unwind: '$searchTerms' },
+        { $group: { _id: '$searchTerms', count: { $sum: 1 } } },
+    ]);
+    const entries = terms.map(t => [t._id, t.count]);
+
+    await redis.set(VOCABULARY_KEY, JSON.stringify(entries), 'EX', VOCABULARY_TTL);
+    return new Map(entries);
+};
+
+export const invalidateSearchCache = async () => {
+    try {
+        await redis.del(VOCABULARY_KEY, SUGGESTION_INDEX_KEY);
+        // Cached answers are spread over many keys; only admin saves get here, so a scan is fine
+        const stream = redis.scanStream({ match: SUGGESTION_RESULT_KEY('*'), count: 200 });
+        for await (const keys of stream) {
+            if (keys.length > 0) await redis.unlink(...keys);
+        }
+    } catch (error) {
+        console.log("Error invalidating search cache", error.message);
+    }
+};
+
+// Closest catalog term within the typo budget, preferring the more common term on ties
+const correctToken = (token, vocabulary) => {
+    if (vocabulary.has(token)) return token;
+
+    // Pure numbers are sizes/part numbers ("2207" vs "2208") — never guess those
+    const maxTypos = /^\d+$/.test(token) ? 0 : maxTyposFor(token);
+    if (maxTypos === 0) return token;
+
+    let best = token;
+    let bestDistance = maxTypos + 1;
+    let bestCount = 0;
+    for (const [term, count] of vocabulary) {
+        const distance = levenshtein(token, term, maxTypos);
+        if (distance < bestDistance || (distance === bestDistance && count > bestCount)) {
+            best = term;
+            bestDistance = distance;
+            bestCount = count;
+        }
+    }
+    return bestDistance <= maxTypos ? best : token;
+};
+
+/**
+ * Tokenize a raw query and fix typos against the catalog vocabulary.
+ * Returns the tokens to search for and, when anything was corrected, the
+ * corrected query to show as "did you mean".
+ */
+export const analyzeQuery = async (q) => {
+    const tokens = tokenize(q);
+    if (tokens.length === 0) {
+        return { tokens, terms: [], correctedQuery: null };
+    }
+
+    const vocabulary = await getVocabulary();
+    const corrected = tokens.map(token => correctToken(token, vocabulary));
+    const changed = corrected.some((token, i) => token !== tokens[i]);
+
+    return {
+        tokens,
+        // Keep the original tokens too, so a correction can only add matches
+        terms: [...new Set([...expandTokens(tokens), ...expandTokens(corrected)])],
+        correctedQuery: changed ? corrected.join(' ') : null,
+    };
+};
+
+const facetStages = () => ({
+    total: [{ $count: 'count' }],
+    brands: [
+        { $group: { _id: '$brand', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+    ],
+    subcategories: [
+        { $group: { _id: '$subcategory', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+    ],
+    priceBuckets: [
+        {
+            $bucket: {
+                groupBy: '$effectivePrice',
+                boundaries: PRICE_BUCKETS,
+                default: PRICE_BUCKETS[PRICE_BUCKETS.length - 1],
+                output: { count: { $sum: 1 } },
+            },
+        },
+    ],
+    specs: [
+        { $project: { specs: { $objectToArray: '$specs' } } },
+        { $unwind: '$specs' },
+        { $group: { _id: { key: '$specs.k', value: '$specs.v' }, count: { $sum: 1 } } },
+        { $sort: { count: -1, '_id.value': 1 } },
+        {
+            $group: {
+                _id: '$_id.key',
+                products: { $sum: '$count' },
+                values: { $push: { value: '$_id.value', count: '$count' } },
+            },
+        },
+        { $sort: { products: -1, _id: 1 } },
+        { $limit: SPEC_FACET_KEYS },
+        { $project: { _id: 0, key: '$_id', values: { $slice: ['$values', SPEC_FACET_VALUES] } } },
+    ],
+});
+
+const formatFacets = (result) => ({
+    brands: result.brands.map(b => ({ value: b._id, count: b.count })),
+    subcategories: result.subcategories.map(s => ({ value: s._id, count: s.count })),
+    priceBuckets: result.priceBuckets.map(bucket => {
+        const index = PRICE_BUCKETS.indexOf(bucket._id);
+        return {
+            min: bucket._id,
+            max: index < PRICE_BUCKETS.length - 1 ? PRICE_BUCKETS[index + 1] : null,
+            count: bucket.count,
+        };
+    }),
+    specs: result.specs,
+});
+
+// Prices are compared as listings show them, sale included: `priceRange`
+// ({ min, max }), the price facet and sorting by price use effectivePrice
+const runSearch = async (match, { sort, skip, limit, scored, priceRange }) => {
+    const pipeline = [{ $match: match }];
+    if (scored) {
+        pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+    }
+    pipeline.push({ $addFields: { effectivePrice: effectivePriceExpr() } });
+    if (priceRange?.min !== undefined || priceRange?.max !== undefined) {
+        pipeline.push({
+            $match: {
+                effectivePrice: {
+                    ...(priceRange.min !== undefined ? { $gte: priceRange.min } : {}),
+                    ...(priceRange.max !== undefined ? { $lte: priceRange.max } : {}),
+                },
+            },
+        });
+    }
+    const { price: priceOrder, ...otherSort } = sort;
+    pipeline.push({
+        $facet: {
+            results: [
+                { $sort: { ...(priceOrder ? { effectivePrice: priceOrder } : {}), ...otherSort, _id: 1 } },
+                { $skip: skip },
+                { $limit: limit },
+                { $project: { searchTerms: 0, specValues: 0, effectivePrice: 0 } },
+            ],
+            ...facetStages(),
+        },
+    });
+
+    const [result] = await Product.aggregate(pipeline);
+    return {
+        products: result.results.map(product => applySalePricing(product)),
+        total: result.total[0]?.count || 0,
+        facets: formatFacets(result),
+    };
+};
+
+/**
+ * Ranked catalog search with facet counts.
+ * `filters` is a plain Product query (category, stock...) applied alongside
+ * the text match; `priceRange` ({ min, max }) filters on the sale-aware
+ * price; `sort` null means sort by relevance.
+ */
+export const searchCatalog = async ({ q, filters = {}, priceRange = null, sort = null, skip = 0, limit = 20 }) => {
+    const { tokens, terms, correctedQuery } = await analyzeQuery(q);
+
+    if (tokens.length === 0) {
+        const result = await runSearch(filters, { sort: sort || { createdAt: -1 }, skip, limit, priceRange });
+        return { ...result, correctedQuery: null };
+    }
+
+    const result = await runSearch(
+        { ...filters, $text: { $search: terms.join(' ') } },
+        { sort: sort || { score: -1, soldCount: -1 }, skip, limit, scored: true, priceRange }
+    );
+    if (result.total > 0) {
+        return { ...result, correctedQuery };
+    }
+
+    // $text only matches whole words — fall back to prefixes for half-typed
+    // queries ("gogg", "xt6"). Tokens are [a-z0-9] only, so the regex is safe.
+    const prefixMatch = {
+        ...filters,
+        searchTerms: { $all: tokens.map(token => new RegExp(`^${escapeRegex(token)}`)) },
+    };
+    const fallback = await runSearch(prefixMatch, { sort: sort || { soldCount: -1 }, skip, limit, priceRange });
+    return { ...fallback, correctedQuery };
+};
+
+// Product names, brands and categories with their pre-tokenized terms
+const getSuggestionIndex = async () => {
+    const cached = await redis.get(SUGGESTION_INDEX_KEY);
+    if (cached) return JSON.parse(cached);
+
+    const [products, categories, categoryCounts, subcategoryCounts] = await Promise.all([
+        Product.find({ isAvailable: true, ...Product.visibleFilter() })
+            .select('name brand price coverImage category subcategory soldCount rating')
+            .lean(),
+        Category.find({ isActive: true }).select('id name subcategories').lean(),
+        Product.aggregate([
+            { $match: { isAvailable: true, ...Product.visibleFilter() } },
+            { $group: { _id: '$category', count: { $sum: 1 } } },
+        ]),
+        Product.aggregate([
+            { $match: { isAvailable: true, ...Product.visibleFilter() } },
+            { $group: { _id: '$subcategory', count: { $sum: 1 } } },
+        ]),
+    ]);
+
+    const brandCounts = new Map();
+    products.forEach(p => brandCounts.set(p.brand, (brandCounts.get(p.brand) || 0) + 1));
+    const countOf = (counts, id) => counts.find(c => c._id === id)?.count || 0;
+
+    const index = {
+        products: products.map(p => ({
+            _id: p._id,
+            name: p.name,
+            brand: p.brand,
+            price: p.price,
+            coverImage: p.coverImage,
+            category: p.category,
+            subcategory: p.subcategory,
+            popularity: (p.soldCount || 0) + (p.rating || 0),
+            terms: expandTokens(tokenize(`${p.name} ${p.brand}`)),
+        })),
+        brands: [...brandCounts].map(([name, count]) => ({
+            name,
+            count,
+            popularity: count,
+            terms: expandTokens(tokenize(name)),
+        })),
+        categories: categories.flatMap(c => [
+            {
+                type: 'category',
+                id: c.id,
+                name: c.name,
+                count: countOf(categoryCounts, c.id),
+                terms: expandTokens(tokenize(`${c.name} ${c.id}`)),
+            },
+            ...(c.subcategories || [])
+                .filter(sub => sub.isActive !== false)
+                .map(sub => ({
+                    type: 'subcategory',
+                    id: sub.id,
+                    name: sub.name,
+                    category: c.id,
+                    count: countOf(subcategoryCounts, sub.id),
+                    terms: expandTokens(tokenize(`${sub.name} ${sub.id}`)),
+                })),
+        ]).map(entry => ({ ...entry, popularity: entry.count })),
+    };
+
+    await redis.set(SUGGESTION_INDEX_KEY, JSON.stringify(index), 'EX', SUGGESTION_TTL);
+    return index;
+};
+
+// Every query token must start some candidate term; the last one may be half typed.
+// Higher is better, -1 means no match.
+const scoreCandidate = (candidate, tokens, compact) => {
+    const terms = candidate.terms;
+    const matchesAll = tokens.every(token => terms.some(term => term.startsWith(token)));
+    const matchesCompact = terms.some(term => term.startsWith(compact));
+    if (!matchesAll && !matchesCompact) return -1;
+
+    let score = 1;
+    if (terms[0]?.startsWith(tokens[0])) score += 2;       // query starts the name
+    if (tokens.every(token => terms.includes(token))) score += 1; // whole words, not just prefixes
+    if (matchesCompact && tokens.length > 1) score += 1;   // "f7 22" hit "f722"
+    return score;
+};
+
+const rankCandidates = (candidates, tokens, compact, limit) =>
+    candidates
+        .map(candidate => ({ candidate, score: scoreCandidate(candidate, tokens, compact) }))
+        .filter(entry => entry.score >= 0)
+        .sort((a, b) => b.score - a.score || b.candidate.popularity - a.candidate.popularity)
+        .slice(0, limit)
+        .map(({ candidate }) => {
+            const { terms, popularity, ...suggestion } = candidate;
+            return suggestion;
+        });
+
+/**
+ * Autocomplete for the storefront search box: product, brand and category
+ * completions for a partial query, and a "did you mean" when nothing matches.
+ * Answers are cached per normalized query, so repeated keystrokes are one Redis read.
+ */
+export const getSuggestions = async (q) => {
+    const tokens = tokenize(q);
+    if (tokens.length === 0) {
+        return { products: [], brands: [], categories: [], didYouMean: null };
+    }
+
+    const cacheKey = SUGGESTION_RESULT_KEY(tokens.join(' '));
+    const cached = await redis.get(cacheKey);
+    if (cached) return JSON.parse(cached);
+
+    const index = await getSuggestionIndex();
+    const compact = tokens.join('');
+
+    const suggestions = {
+        products: rankCandidates(index.products, tokens, compact, SUGGEST_LIMITS.products),
+        brands: rankCandidates(index.brands, tokens, compact, SUGGEST_LIMITS.brands),
+        categories: rankCandidates(index.categories, tokens, compact, SUGGEST_LIMITS.categories),
+        didYouMean: null,
+    };
+
+    const empty = suggestions.products.length === 0 &&
+        suggestions.brands.length === 0 &&
+        suggestions.categories.length === 0;
+    if (empty) {
+        const { correctedQuery } = await analyzeQuery(q);
+        suggestions.didYouMean = correctedQuery;
+    }
+
+    await redis.set(cacheKey, JSON.stringify(suggestions), 'EX', SUGGESTION_RESULTS_TTL);
+
+    return suggestions;
+};
@@ -191,6 +191,93 @@ class ShiprocketService {
         }
     }
 
+    // Create reverse-pickup (return) order: courier collects from the customer
+    // and delivers to our return warehouse (SHIPROCKET_RETURN_* env vars)
+    async createReturnOrder(returnData) {
+        try {
+            const headers = await this.getHeaders();
+
+            // SECURITY: Validate required fields
+            if (!returnData.returnId || !returnData.pickupAddress || !Array.isArray(returnData.items) || returnData.items.length === 0) {
+                throw new Error('Missing required return fields');
+            }
+
+            const pincodeRegex = /^\d{6}$/;
+            if (!pincodeRegex.test(returnData.pickupAddress.pincode)) {
+                throw new Error('Invalid pickup pincode. Must be 6 digits');
+            }
+
+            const sanitize = (str) => {
+                if (typeof str !== 'string') return str;
+                return str.replace(/[<>]/g, '').trim();
+            };
+
+            const returnOrder = {
+                order_id: sanitize(returnData.returnId),
+                order_date: returnData.orderDate,
+                channel_id: process.env.SHIPROCKET_CHANNEL_ID || "",
+                pickup_customer_name: sanitize(returnData.pickupAddress.fullName),
+                pickup_last_name: "",
+                pickup_address: sanitize(returnData.pickupAddress.addressLine1),
+                pickup_address_2: sanitize(returnData.pickupAddress.addressLine2 || ""),
+                pickup_city: sanitize(returnData.pickupAddress.city),
+                pickup_state: sanitize(returnData.pickupAddress.state),
+                pickup_country: sanitize(returnData.pickupAddress.country || "India"),
+                pickup_pincode: returnData.pickupAddress.pincode,
+                pickup_email: returnData.email?.toLowerCase(),
+                pickup_phone: returnData.pickupAddress.phone,
+                shipping_customer_name: process.env.SHIPROCKET_RETURN_NAME || "XRoboFly Returns",
+                shipping_last_name: "",
+                shipping_address: process.env.SHIPROCKET_RETURN_ADDRESS || "",
+                shipping_address_2: "",
+                shipping_city: process.env.SHIPROCKET_RETURN_CITY || "",
+                shipping_country: "India",
+                shipping_pincode: process.env.SHIPROCKET_RETURN_PINCODE || process.env.SHIPROCKET_PICKUP_PINCODE,
+                shipping_state: process.env.SHIPROCKET_RETURN_STATE || "",
+                shipping_email: process.env.SHIPROCKET_RETURN_EMAIL || process.env.SHIPROCKET_EMAIL,
+                shipping_phone: process.env.SHIPROCKET_RETURN_PHONE || "",
+                order_items: returnData.items.map(item => ({
+                    name: sanitize(item.name),
+                    sku: sanitize(item.sku || item.productId),
+                    units: Math.max(1, parseInt(item.quantity) || 1),
+                    selling_price: Math.max(0, parseFloat(item.price) || 0),
+                    discount: 0,
+                    hsn: parseInt(item.hsn) || 0
+                })),
+                payment_method: "Prepaid",
+                sub_total: Math.max(0, parseFloat(returnData.subtotal) || 0),
+                length: Math.max(1, parseFloat(returnData.dimensions?.length) || 10),
+                breadth: Math.max(1, parseFloat(returnData.dimensions?.breadth) || 10),
+                height: Math.max(1, parseFloat(returnData.dimensions?.height) || 10),
+                weight: Math.max(0.1, parseFloat(returnData.weight) || 0.5)
+            };
+
+            const response = await axios.post(
+                `${SHIPROCKET_BASE_URL}/orders/create/return`,
+                returnOrder,
+                {
+                    headers,
+                    timeout: 30000 // SECURITY: 30 second timeout
+                }
+            );
+
+            return {
+                success: true,
+                orderId: response.data.order_id,
+                shipmentId: response.data.shipment_id,
+                status: response.data.status,
+                data: response.data
+            };
+        } catch (error) {
+            const errorMessage = error.response?.data?.message || error.message || 'Return order creation failed';
+            console.error('Shiprocket return order creation failed:', error.response?.data || error.message);
+            return {
+                success: false,
+                error: errorMessage
+            };
+        }
+    }
+
     // Generate AWB (Airway Bill) for shipment
     async generateAWB(shipmentId, courierId) {
         try {
@@ -0,0 +1,169 @@
+import { Category } from "../models/Category.model.js";
+
+/**
+ * Spec schema of a subcategory ([] when the subcategory defines none,
+ * in which case specs stay free-form strings). A nested subcategory without
+ * its own schema uses its nearest ancestor's.
+ */
+export const getSpecFields = async (categoryId, subcategoryId) => {
+    if (!subcategoryId) return [];
+    const category = await Category.findOne(
+        { 'subcategories.id': subcategoryId, ...(categoryId && { id: categoryId }) },
+        { 'subcategories.id': 1, 'subcategories.parent': 1, 'subcategories.specSchema': 1 }
+    ).lean();
+
+    let node = category?.subcategories.find(sub => sub.id === subcategoryId);
+    while (node && !node.specSchema?.length && node.parent) {
+        node = category.subcategories.find(sub => sub.id === node.parent);
+    }
+    return node?.specSchema || [];
+};
+
+const NUMBER_PATTERN = /^(-?\d+(?:\.\d+)?)\s*([^\d\s].*)?$/;
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+// Parse one raw value against its field. Returns { value, display } or { error }.
+export const parseSpecValue = (field, raw) => {
+    const text = String(raw).trim();
+
+    switch (field.type) {
+        case 'number': {
+            const match = typeof raw === 'number' ? [null, String(raw)] : text.match(NUMBER_PATTERN);
+            if (!match) {
+                return { error: `${field.label} must be a number${field.unit ? ` in ${field.unit}` : ''}` };
+            }
+            // "1950KV" / "1950 kv" are fine, "30.5x30.5mm" is not
+            if (match[2] && (!field.unit || match[2].toLowerCase() !== field.unit.toLowerCase())) {
+                return { error: `${field.label} must be a number${field.unit ? ` in ${field.unit}` : ''}` };
+            }
+            const value = parseFloat(match[1]);
+            if (field.min != null && value < field.min) {
+                return { error: `${field.label} must be at least ${field.min}` };
+            }
+            if (field.max != null && value > field.max) {
+                return { error: `${field.label} must be at most ${field.max}` };
+            }
+            return { value, display: field.unit ? `${value} ${field.unit}` : String(value) };
+        }
+        case 'enum': {
+            const option = field.options.find(o => o.toLowerCase() === text.toLowerCase());
+            if (!option) {
+                return { error: `${field.label} must be one of: ${field.options.join(', ')}` };
+            }
+            return { value: option, display: option };
+        }
+        case 'boolean': {
+            const lower = text.toLowerCase();
+            if (raw === true || TRUE_VALUES.includes(lower)) return { value: true, display: 'Yes' };
+            if (raw === false || FALSE_VALUES.includes(lower)) return { value: false, display: 'No' };
+            return { error: `${field.label} must be yes or no` };
+        }
+        default:
+            return { value: text, display: text };
+    }
+};
+
+/**
+ * Validate raw specs (plain object or Map) against a spec schema.
+ * Returns display strings for Product.specs, typed values for Product.specValues
+ * and a list of errors. Keys the schema doesn't know are kept as free text.
+ */
+export const normalizeSpecs = (rawSpecs, fields) => {
+    const entries = rawSpecs instanceof Map ? [...rawSpecs] : Object.entries(rawSpecs || {});
+    const specs = {};
+    const values = {};
+    const errors = [];
+
+    for (const [rawKey, raw] of entries) {
+        if (raw === undefined || raw === null || raw === '') continue;
+
+        const field = fields.find(f => f.key === rawKey.toLowerCase());
+        const key = field ? field.key : rawKey;
+        const result = parseSpecValue(field || { type: 'text' }, raw);
+
+        if (result.error) {
+            errors.push({ key, message: result.error });
+            continue;
+        }
+        specs[key] = result.display;
+        values[key] = result.value;
+    }
+
+    for (const field of fields) {
+        if (field.required && !(field.key in specs) && !errors.some(e => e.key === field.key)) {
+            errors.push({ key: field.key, message: `${field.label} is required` });
+        }
+    }
+
+    return { specs, values, errors };
+};
+
+/**
+ * Mongo filters from `spec.<key>=a,b`, `spec.<key>.min=` and `spec.<key>.max=`
+ * query params, typed with the subcategory schema when there is one.
+ */
+export const buildSpecFilters = (queryParams, fields = []) => {
+    const filters = {};
+
+    for (const [param, raw] of Object.entries(queryParams)) {
+        const match = param.match(/^spec\.([a-z0-9_]+)(?:\.(min|max))?$/i);
+        if (!match || raw === undefined || raw === '') continue;
+
+        const key = match[1].toLowerCase();
+        const bound = match[2]?.toLowerCase();
+        const field = fields.find(f => f.key === key);
+        const path = `specValues.${key}`;
+
+        if (bound) {
+            const number = parseFloat(raw);
+            if (Number.isNaN(number)) continue;
+            filters[path] = { ...filters[path], [bound === 'min' ? '$gte' : '$lte']: number };
+            continue;
+        }
+
+        const wanted = String(raw).split(',').map(v => v.trim()).filter(Boolean);
+        const typed = wanted.flatMap(v => {
+            if (field) return [parseSpecValue(field, v).value];
+            // No schema means free-text values; also try the number in case
+            // the product was saved under a schema that was later removed
+            return Number.isNaN(Number(v)) ? [v] : [v, Number(v)];
+        }).filter(v => v !== undefined);
+
+        if (typed.length > 0) {
+            filters[path] = { ...filters[path], $in: typed };
+        }
+    }
+
+    return filters;
+};
+
+/**
+ * Aligned spec rows for a product comparison: schema fields first (in schema
+ * order), then any free-form keys. `differs` lets the UI highlight rows.
+ */
+export const buildComparisonTable = async (products) => {
+    const pairs = [...new Set(products.map(p => `${p.category}/${p.subcategory}`))];
+    const schemas = await Promise.all(pairs.map(pair => getSpecFields(...pair.split('/'))));
+
+    const rows = new Map();
+    schemas.flat().forEach(field => {
+        if (!rows.has(field.key)) {
+            rows.set(field.key, { key: field.key, label: field.label, unit: field.unit, type: field.type });
+        }
+    });
+
+    const extraKeys = new Set();
+    products.forEach(p => Object.keys(p.specs || {}).forEach(key => {
+        if (!rows.has(key)) extraKeys.add(key);
+    }));
+    [...extraKeys].sort().forEach(key => rows.set(key, { key, label: key, type: 'text' }));
+
+    return [...rows.values()]
+        .map(row => {
+            const values = products.map(p => p.specs?.[row.key] ?? null);
+            return { ...row, values, differs: new Set(values).size > 1 };
+        })
+        // Hide schema rows no compared product fills in
+        .filter(row => row.values.some(value => value !== null));
+};
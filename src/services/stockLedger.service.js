@@ -0,0 +1,190 @@
+import { Product } from "../models/Product.model.js";
+import { StockMovement } from "../models/StockMovement.model.js";
+
+// Types an admin can record by hand; sales come from orders and openings from the ledger itself
+export const ADMIN_MOVEMENT_TYPES = ['restock', 'return', 'adjustment', 'damage'];
+
+export const lineKey = (productId, variantId) => `${productId}:${variantId || null}`;
+
+// Stock-carrying lines of a product (document, lean object or snapshot).
+// Bundles hold no stock of their own, so they have none.
+const stockLines = (product) => {
+    if (!product || product.isBundle) return [];
+    if (product.variants?.length > 0) {
+        return product.variants.map(variant => ({
+            variant: variant._id.toString(),
+            sku: variant.sku,
+            stock: variant.stock || 0,
+        }));
+    }
+    return [{ variant: null, sku: product.sku || undefined, stock: product.stock || 0 }];
+};
+
+// Why `type` can't describe a change of `delta` (null when it can)
+export const movementTypeError = (type, delta) => {
+    if (!ADMIN_MOVEMENT_TYPES.includes(type)) {
+        return `Movement type must be one of ${ADMIN_MOVEMENT_TYPES.join(', ')}`;
+    }
+    if (['restock', 'return'].includes(type) && delta < 0) return `A ${type} can't lower stock`;
+    if (type === 'damage' && delta > 0) return "Damage can't raise stock";
+    return null;
+};
+
+/**
+ * Record the stock difference between `before` (snapshotProduct, or null
+ * for a new product) and the saved product as ledger movements. New
+ * products and options open their lines; removed options are written off.
+ */
+export const recordStockChanges = async (product, before, { type = 'adjustment', order, actor, reason } = {}) => {
+    if (product.isBundle) return;
+    const previous = new Map(stockLines(before).map(line => [line.variant, line]));
+    const movements = [];
+
+    for (const line of stockLines(product)) {
+        const old = previous.get(line.variant);
+        previous.delete(line.variant);
+        movements.push({
+            product: product._id,
+            variant: line.variant,
+            sku: line.sku,
+            type: before && old ? type : 'opening',
+            quantity: line.stock - (old?.stock || 0),
+            balanceAfter: line.stock,
+        });
+    }
+    for (const old of previous.values()) {
+        movements.push({
+            product: product._id,
+            variant: old.variant,
+            sku: old.sku,
+            type: 'adjustment',
+            quantity: -old.stock,
+            balanceAfter: 0,
+            reason: "Option removed",
+        });
+    }
+
+    await StockMovement.record(movements, { order, actor, reason });
+};
+
+/**
+ * Ledger balance of every product/variant line, keyed "productId:variantId"
+ * (variantId "null" for products without variants).
+ */
+export const getLedgerBalances = async (productIds = null) => {
+    const match = productIds ? { product: { $in: productIds } } : {};
+    const rows = await StockMovement.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: { product: '$product', variant: '$variant' },
+                balance: { $sum: '$quantity' },
+                movements: { $sum: 1 },
+                lastMovementAt: { $max: '$createdAt' },
+            },
+        },
+    ]);
+    return new Map(rows.map(row => [lineKey(row._id.product, row._id.variant), row]));
+};
+
+/**
+ * Compare every product's stock counter with its ledger balance.
+ * Lines come back as 'drift' (counter and ledger disagree) or 'untracked'
+ * (no ledger yet); lines in sync are only counted.
+ *
+ * With `apply`, each flagged line is brought into agreement: trust 'ledger'
+ * sets the counter to the ledger balance, trust 'stock' records an
+ * adjustment so the ledger matches the counter (e.g. after a stock count).
+ * Untracked lines are always opened at their current stock.
+ */
+export const reconcileStock = async ({ productIds = null, apply = false, trust = 'ledger', actor, reason } = {}) => {
+    const query = { isBundle: { $ne: true } };
+    if (productIds) query._id = { $in: productIds };
+
+    const balances = await getLedgerBalances(productIds);
+    const report = { checked: 0, inSync: 0, drifted: 0, untracked: 0, applied: apply, trust, lines: [] };
+    const fixes = new Map();
+
+    for await (const product of Product.find(query).select('name sku stock variants status').lean().cursor()) {
+        for (const line of stockLines(product)) {
+            report.checked++;
+            const ledger = balances.get(lineKey(product._id, line.variant));
+            const entry = {
+                productId: product._id,
+                name: product.name,
+                variantId: line.variant,
+                sku: line.sku || null,
+                stock: line.stock,
+            };
+
+            if (!ledger) {
+                report.untracked++;
+                report.lines.push({ ...entry, status: 'untracked', ledger: null, drift: null });
+            } else if (ledger.balance !== line.stock) {
+                report.drifted++;
+                report.lines.push({
+                    ...entry,
+                    status: 'drift',
+                    ledger: ledger.balance,
+                    drift: line.stock - ledger.balance,
+                    lastMovementAt: ledger.lastMovementAt,
+                });
+            } else {
+                report.inSync++;
+                continue;
+            }
+
+            if (apply) {
+                const key = product._id.toString();
+                if (!fixes.has(key)) fixes.set(key, []);
+                fixes.get(key).push(report.lines[report.lines.length - 1]);
+            }
+        }
+    }
+
+    for (const [productId, lines] of fixes) {
+        const openings = lines.filter(line => line.status === 'untracked').map(line => ({
+            product: line.productId,
+            variant: line.variantId,
+            sku: line.sku || undefined,
+            type: 'opening',
+            quantity: line.stock,
+            balanceAfter: line.stock,
+        }));
+        const drifted = lines.filter(line => line.status === 'drift');
+
+        if (trust === 'stock') {
+            const adjustments = drifted.map(line => ({
+                product: line.productId,
+                variant: line.variantId,
+                sku: line.sku || undefined,
+                type: 'adjustment',
+                quantity: line.drift,
+                balanceAfter: line.stock,
+            }));
+            await StockMovement.record([...openings, ...adjustments], {
+                actor,
+                reason: reason || "Reconciled to the stock count",
+            });
+            continue;
+        }
+
+        await StockMovement.record(openings, { actor, reason: reason || "Ledger opened during reconciliation" });
+        if (drifted.length === 0) continue;
+
+        const product = await Product.findById(productId);
+        if (!product) continue;
+        for (const line of drifted) {
+            const target = line.variantId ? product.variants.id(line.variantId) : product;
+            if (target) target.stock = Math.max(0, line.ledger);
+        }
+        // Variant products re-sum their stock on validate
+        const total = product.variants.length > 0
+            ? product.variants.reduce((sum, variant) => sum + variant.stock, 0)
+            : product.stock;
+        if (total === 0) product.isAvailable = false;
+        await product.save();
+    }
+
+    return report;
+};
@@ -0,0 +1,162 @@
+import { redis } from "../lib/redis.js";
+
+// ─── Stock reservations ───────────────────────────────────────────────────────
+// While a checkout is pending, the quantities it needs are held in Redis so a
+// second customer cannot pay for the same last unit. Each SKU has a hash of
+//   orderId -> "<quantity>:<expiresAtMs>"
+// and expired entries are ignored (and pruned) whenever the hash is read, so an
+// abandoned checkout frees its stock when its pending order would have expired.
+
+const RESERVATION_KEY = (productId, variantId) =>
+    `stock_reservation:${productId}:${variantId || 'base'}`;
+const ORDER_RESERVATION_KEY = (orderId) => `stock_reservation_order:${orderId}`;
+
+// All-or-nothing reserve across every line of an order.
+// KEYS: one reservation hash per SKU
+// ARGV: orderId, nowMs, expiresAtMs, ttlSeconds, then (stock, quantity) per key
+// Returns 0 on success, otherwise { failedIndex (1-based), available }
+const RESERVE_SCRIPT = `
+local orderId = ARGV[1]
+local now = tonumber(ARGV[2])
+local expiresAt = ARGV[3]
+local ttl = tonumber(ARGV[4])
+
+for i, key in ipairs(KEYS) do
+    local stock = tonumber(ARGV[3 + i * 2])
+    local quantity = tonumber(ARGV[4 + i * 2])
+    local reserved = 0
+    local entries = redis.call('HGETALL', key)
+    for j = 1, #entries, 2 do
+        local field = entries[j]
+        local qty, exp = string.match(entries[j + 1], '^(%d+):(%d+)$')
+        if tonumber(exp) <= now then
+            redis.call('HDEL', key, field)
+        elseif field ~= orderId then
+            reserved = reserved + tonumber(qty)
+        end
+    end
+    if stock - reserved < quantity then
+        return { i, math.max(stock - reserved, 0) }
+    end
+end
+
+for i, key in ipairs(KEYS) do
+    redis.call('HSET', key, orderId, ARGV[4 + i * 2] .. ':' .. expiresAt)
+    redis.call('EXPIRE', key, ttl)
+end
+return 0
+`;
+
+// Collapse duplicate product/variant lines into one entry per SKU
+const groupItems = (items) => {
+    const grouped = new Map();
+    for (const item of items) {
+        const key = RESERVATION_KEY(item.productId, item.variantId);
+        const existing = grouped.get(key);
+        if (existing) {
+            existing.quantity += item.quantity;
+        } else {
+            grouped.set(key, { ...item, key });
+        }
+    }
+    return [...grouped.values()];
+};
+
+const sumActive = (entries, now) => {
+    let reserved = 0;
+    for (const value of Object.values(entries || {})) {
+        const [qty, expiresAt] = value.split(':').map(Number);
+        if (expiresAt > now) reserved += qty;
+    }
+    return reserved;
+};
+
+/**
+ * Reserve stock for a pending checkout.
+ * items: [{ productId, variantId, quantity, stock, name }] where stock is the
+ * current on-hand quantity from MongoDB.
+ * Returns { success: true } or { success: false, item, available }.
+ */
+export const reserveStock = async (orderId, items, ttlSeconds) => {
+    const grouped = groupItems(items);
+    const now = Date.now();
+    const expiresAt = now + ttlSeconds * 1000;
+
+    const args = [orderId, now, expiresAt, ttlSeconds];
+    for (const item of grouped) {
+        args.push(item.stock, item.quantity);
+    }
+
+    const result = await redis.eval(
+        RESERVE_SCRIPT,
+        grouped.length,
+        ...grouped.map(item => item.key),
+        ...args
+    );
+
+    if (result !== 0) {
+        const [failedIndex, available] = result;
+        return { success: false, item: grouped[failedIndex - 1], available };
+    }
+
+    await redis.set(
+        ORDER_RESERVATION_KEY(orderId),
+        JSON.stringify(grouped.map(({ key, productId, variantId, quantity }) => ({ key, productId, variantId, quantity }))),
+        'EX',
+        ttlSeconds
+    );
+
+    return { success: true };
+};
+
+/**
+ * Drop every hold belonging to an order. Used when payment fails or is
+ * abandoned, and after checkoutSuccess has turned the hold into a real
+ * stock decrement.
+ */
+export const releaseReservation = async (orderId) => {
+    const raw = await redis.get(ORDER_RESERVATION_KEY(orderId));
+    if (!raw) return false;
+
+    const items = JSON.parse(raw);
+    const pipeline = redis.pipeline();
+    for (const item of items) {
+        pipeline.hdel(item.key, orderId);
+    }
+    pipeline.del(ORDER_RESERVATION_KEY(orderId));
+    await pipeline.exec();
+
+    return true;
+};
+
+/**
+ * Reserved quantity per SKU for the given products.
+ * Returns a Map keyed by `${productId}:${variantId || 'base'}`.
+ */
+export const getReservedQuantities = async (products) => {
+    const keys = [];
+    for (const product of products) {
+        if (product.variants && product.variants.length > 0) {
+            for (const variant of product.variants) {
+                keys.push({ productId: product._id, variantId: variant._id });
+            }
+        } else {
+            keys.push({ productId: product._id, variantId: null });
+        }
+    }
+
+    const reserved = new Map();
+    if (keys.length === 0) return reserved;
+
+    const pipeline = redis.pipeline();
+    keys.forEach(({ productId, variantId }) => pipeline.hgetall(RESERVATION_KEY(productId, variantId)));
+    const results = await pipeline.exec();
+
+    const now = Date.now();
+    keys.forEach(({ productId, variantId }, i) => {
+        const [error, entries] = results[i];
+        reserved.set(`${productId}:${variantId || 'base'}`, error ? 0 : sumActive(entries, now));
+    });
+
+    return reserved;
+};
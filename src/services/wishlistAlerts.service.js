@@ -0,0 +1,126 @@
+import { Wishlist } from "../models/Wishlist.model.js";
+import { sendMail } from "./mailer.services.js";
+
+// Smaller drops (a rupee here and there) don't email anyone
+const MIN_PRICE_DROP_PERCENT = 5;
+
+const frontendUrl = () =>
+    process.env.FRONTEND_URL?.split(',').find(u => u.startsWith('https://'))?.trim() || 'https://xrobofly.com';
+
+const sameVariant = (a, b) => (a?.toString() || null) === (b?.toString() || null);
+
+// Lines of a product as [variantId | null, resolved]
+const productLines = (product) => (product.variants?.length > 0 ? product.variants.map(v => v._id) : [null])
+    .map(variantId => [variantId, product.resolveVariant(variantId)]);
+
+// Wishlists holding this product, with their owners' names and emails
+const listsWatching = (productId, flag) =>
+    Wishlist.find({ items: { $elemMatch: { product: productId, [flag]: true } } }).populate('user', 'name email');
+
+/**
+ * Email wishlist owners about a line of `product` that just came back in
+ * stock. Users in `skipUserIds` (already emailed about this restock) and
+ * users with alerts off for the item are left out. Returns how many were sent.
+ */
+export const notifyWishlistBackInStock = async (product, variantId, skipUserIds = new Set()) => {
+    const lists = await listsWatching(product._id, 'notifyBackInStock');
+    const variant = variantId ? product.variants.id(variantId) : null;
+    const { price } = product.resolveVariant(variantId);
+    const emailed = new Set(skipUserIds);
+
+    let sent = 0;
+    for (const list of lists) {
+        const watching = list.items.some(item =>
+            item.product.equals(product._id) && sameVariant(item.variant, variantId) && item.notifyBackInStock);
+        const userId = list.user?._id.toString();
+        if (!watching || !list.user?.email || emailed.has(userId)) continue;
+        emailed.add(userId);
+
+        try {
+            await sendMail(list.user.email, `Back in stock: ${product.name}`, 'backInStock', {
+                name: list.user.name || 'there',
+                productName: product.name,
+                variantLabel: variant?.label,
+                image: variant?.images?.[0] || product.coverImage,
+                price: price.toLocaleString('en-IN'),
+                productUrl: `${frontendUrl()}/product/${product._id}`,
+                note: `You're receiving this because it's on your wishlist "${list.name}". You can turn off alerts for it in your wishlist.`,
+            });
+            sent++;
+        } catch (error) {
+            console.log(`Error sending wishlist back-in-stock email to ${list.user.email}`, error.message);
+        }
+    }
+    return sent;
+};
+
+/**
+ * Email wishlist owners whose saved lines of `product` are now at least 5%
+ * cheaper than when they saved them (or than the last drop we told them
+ * about). Call after a price change is saved or a sale starts; it never
+ * throws, so callers needn't wait for it.
+ */
+export const notifyWishlistPriceDrop = async (product) => {
+    try {
+        if (!product.isAvailable || !product.constructor.isVisible(product)) return;
+
+        const current = new Map();
+        for (const [variantId, resolved] of productLines(product)) {
+            if (resolved.stock > 0) current.set(variantId?.toString() || null, resolved);
+        }
+        if (current.size === 0) return;
+
+        const lists = await listsWatching(product._id, 'notifyPriceDrop');
+        // One email per user and line, however many of their lists hold it
+        const emailed = new Set();
+        let sent = 0;
+
+        for (const list of lists) {
+            if (!list.user?.email) continue;
+            let changed = false;
+
+            for (const item of list.items) {
+                if (!item.product.equals(product._id) || !item.notifyPriceDrop) continue;
+                const lineKey = item.variant?.toString() || null;
+                const resolved = current.get(lineKey);
+                const reference = Math.min(item.priceWhenAdded ?? Infinity, item.lastNotifiedPrice ?? Infinity);
+                if (!resolved || !Number.isFinite(reference)) continue;
+                if (resolved.price > reference * (1 - MIN_PRICE_DROP_PERCENT / 100)) continue;
+
+                const emailKey = `${list.user._id}:${lineKey}`;
+                if (!emailed.has(emailKey)) {
+                    try {
+                        await sendMail(list.user.email, `Price drop: ${resolved.displayName}`, 'wishlistPriceDrop', {
+                            name: list.user.name || 'there',
+                            productName: product.name,
+                            variantLabel: resolved.variant?.label,
+                            image: resolved.image,
+                            oldPrice: reference.toLocaleString('en-IN'),
+                            price: resolved.price.toLocaleString('en-IN'),
+                            percentOff: Math.round((1 - resolved.price / reference) * 100),
+                            saleName: resolved.sale?.name,
+                            listName: list.name,
+                            productUrl: `${frontendUrl()}/product/${product._id}`,
+                        });
+                        sent++;
+                    } catch (error) {
+                        // Left as is; the next drop check tries again
+                        console.log(`Error sending wishlist price-drop email to ${list.user.email}`, error.message);
+                        continue;
+                    }
+                    emailed.add(emailKey);
+                }
+                item.lastNotifiedPrice = resolved.price;
+                changed = true;
+            }
+
+            if (changed) await list.save();
+        }
+
+        if (sent > 0) {
+            console.log(`📬 Sent ${sent} wishlist price-drop email(s) for ${product.name}`);
+        }
+    } catch (error) {
+        console.log("Error sending wishlist price-drop notifications", error.message);
+    }
+};
@@ -0,0 +1,79 @@
+/**
+ * Minimal RFC 4180 CSV: quoted fields, doubled quotes, commas and newlines
+ * inside quotes, CRLF or LF line endings. Enough for catalog files exported
+ * from spreadsheets without pulling in a parser dependency.
+ */
+
+// Parse CSV text into rows of string cells. Throws on an unterminated quote.
+export const parseCsv = (text) => {
+    const input = String(text).replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+            continue;
+        }
+
+        if (char === '"' && cell === '') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new Error("Unterminated quoted field in CSV");
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Blank lines carry no data
+    return rows.filter(r => r.length > 1 || r[0].trim() !== '');
+};
+
+// Spreadsheets run cells starting with these as formulas (CSV injection), so
+// exported text cells get a leading ' that imports take off again
+const FORMULA_START = /^[=+\-@\t\r]/;
+const GUARDED_CELL = /^'(?=[=+\-@\t\r])/;
+
+// Header row + data rows → objects keyed by (trimmed) header
+export const parseCsvRecords = (text) => {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) return [];
+    const keys = header.map(key => key.trim());
+    return rows.map(row => Object.fromEntries(keys.map((key, i) => [key, (row[i] ?? '').replace(GUARDED_CELL, '')])));
+};
+
+const escapeCell = (value) => {
+    if (value === undefined || value === null) return '';
+    // Numbers (negative stock, prices) can't be formulas and stay numeric
+    const text = typeof value !== 'number' && FORMULA_START.test(String(value)) ? `'${value}` : String(value);
+    return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV line (with trailing newline) from a list of values
+export const toCsvLine = (values) => `${values.map(escapeCell).join(',')}\r\n`;
@@ -0,0 +1,176 @@
+/**
+ * Scheduled sale pricing and the "lowest price in 30 days" reference, worked
+ * out at read time from a product's `sales` and `priceHistory`. Works on
+ * documents and plain objects (lean results, cached JSON) alike.
+ *
+ * `price` always stays the regular price; the sale price is reported next to
+ * it so admin edits never save a sale price back as the regular one.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+export const LOWEST_PRICE_WINDOW_DAYS = 30;
+
+const sameId = (a, b) => String(a ?? null) === String(b ?? null);
+
+export const discountedPrice = (regularPrice, sale) => sale.type === 'percentage'
+    ? Math.round(regularPrice * (1 - sale.value / 100))
+    : Math.min(regularPrice, sale.value);
+
+const appliesTo = (sale, variantId) => !sale.variant || sameId(sale.variant, variantId);
+
+const isActive = (sale, now) =>
+    new Date(sale.startsAt) <= now && (!sale.endsAt || new Date(sale.endsAt) > now);
+
+// The running sale that gives the lowest price (null when none)
+export const getActiveSale = (sales, regularPrice, variantId = null, now = new Date()) => {
+    let best = null;
+    for (const sale of sales || []) {
+        if (!appliesTo(sale, variantId) || !isActive(sale, now)) continue;
+        if (!best || discountedPrice(regularPrice, sale) < discountedPrice(regularPrice, best)) best = sale;
+    }
+    return best;
+};
+
+// Regular price history of the product (variantId null) or one variant, oldest first
+const historyFor = (history, variantId) => (history || [])
+    .filter(entry => sameId(entry.variant, variantId))
+    .sort((a, b) => new Date(a.at) - new Date(b.at));
+
+// The regular price that was in effect at `at`
+const regularPriceAt = (entries, at, fallback) => {
+    let price = entries.length > 0 ? entries[0].price : fallback;
+    for (const entry of entries) {
+        if (new Date(entry.at) > at) break;
+        price = entry.price;
+    }
+    return price;
+};
+
+/**
+ * Lowest price (regular or sale) charged in the 30 days before `until`.
+ * Falls back to the current regular price for products without history.
+ */
+export const lowestPriceBefore = (product, variantId, until, regularPrice, excludeSale = null) => {
+    const since = new Date(until.getTime() - LOWEST_PRICE_WINDOW_DAYS * DAY);
+    const entries = historyFor(product.priceHistory, variantId);
+
+    let lowest = regularPriceAt(entries, since, regularPrice);
+    for (const entry of entries) {
+        const at = new Date(entry.at);
+        if (at > since && at < until) lowest = Math.min(lowest, entry.price);
+    }
+
+    for (const sale of product.sales || []) {
+        if (sale === excludeSale || !appliesTo(sale, variantId)) continue;
+        const start = new Date(sale.startsAt);
+        const end = sale.endsAt ? new Date(sale.endsAt) : until;
+        if (start >= until || end <= since) continue;
+        const regularThen = regularPriceAt(entries, start > since ? start : since, regularPrice);
+        lowest = Math.min(lowest, discountedPrice(regularThen, sale));
+    }
+    return lowest;
+};
+
+// The same rules as getActiveSale/discountedPrice, as an aggregation expression:
+// what one line (regular price and variant id) sells for right now
+const linePriceExpr = (regularPrice, variantId) => ({
+    $min: [regularPrice, {
+        $min: {
+            $map: {
+                input: {
+                    $filter: {
+                        input: { $ifNull: ['$sales', []] },
+                        as: 'sale',
+                        cond: {
+                            $and: [
+                                { $lte: ['$$sale.startsAt', '$$NOW'] },
+                                { $or: [{ $eq: [{ $ifNull: ['$$sale.endsAt', null] }, null] }, { $gt: ['$$sale.endsAt', '$$NOW'] }] },
+                                { $or: [{ $eq: [{ $ifNull: ['$$sale.variant', null] }, null] }, { $eq: ['$$sale.variant', variantId] }] },
+                            ],
+                        },
+                    },
+                },
+                as: 'sale',
+                in: {
+                    $cond: [
+                        { $eq: ['$$sale.type', 'percentage'] },
+                        // Math.round, not $round (which rounds halves to even)
+                        { $floor: { $add: [{ $multiply: [regularPrice, { $subtract: [1, { $divide: ['$$sale.value', 100] }] }] }, 0.5] } },
+                        { $min: [regularPrice, '$$sale.value'] },
+                    ],
+                },
+            },
+        },
+    }],
+});
+
+/**
+ * Aggregation expression for the price a listing shows (salePrice ?? price
+ * after applySalePricing): the cheapest line with any running sale applied.
+ * Lets price filters, facets and sorting follow sale prices.
+ */
+export const effectivePriceExpr = () => ({
+    $cond: [
+        { $gt: [{ $size: { $ifNull: ['$variants', []] } }, 0] },
+        { $min: { $map: { input: '$variants', as: 'variant', in: linePriceExpr('$$variant.price', '$$variant._id') } } },
+        linePriceExpr('$price', null),
+    ],
+});
+
+const saleSummary = (sale) => sale && {
+    _id: sale._id,
+    name: sale.name,
+    type: sale.type,
+    value: sale.value,
+    startsAt: sale.startsAt,
+    endsAt: sale.endsAt,
+};
+
+/**
+ * What one product (variant null) or variant costs at `now`:
+ * { price, regularPrice, salePrice, sale, lowestPrice30d }. While on sale the
+ * 30-day reference is measured up to the sale's start, so the discount is
+ * shown against what was actually charged before it.
+ */
+export const priceFor = (product, variant = null, now = new Date()) => {
+    const regularPrice = variant ? variant.price : product.price;
+    const variantId = variant?._id ?? null;
+    const sale = getActiveSale(product.sales, regularPrice, variantId, now);
+    const salePrice = sale ? discountedPrice(regularPrice, sale) : null;
+
+    return {
+        price: salePrice ?? regularPrice,
+        regularPrice,
+        salePrice,
+        sale: saleSummary(sale),
+        lowestPrice30d: lowestPriceBefore(product, variantId, sale ? new Date(sale.startsAt) : now, regularPrice, sale),
+    };
+};
+
+/**
+ * Add salePrice / sale / lowestPrice30d to a plain product object (and its
+ * variants) for API responses, and drop the raw sales and price history.
+ */
+export const applySalePricing = (product, now = new Date()) => {
+    if (!product || product.price === undefined) return product;
+
+    if (product.variants?.length > 0) {
+        for (const variant of product.variants) {
+            const { salePrice, sale, lowestPrice30d } = priceFor(product, variant, now);
+            Object.assign(variant, { salePrice, sale, lowestPrice30d });
+        }
+        // Product level mirrors the cheapest option, as price itself does
+        const onSale = product.variants.filter(variant => variant.salePrice !== null);
+        const cheapest = onSale.sort((a, b) => a.salePrice - b.salePrice)[0];
+        product.salePrice = cheapest && cheapest.salePrice < product.price ? cheapest.salePrice : null;
+        product.sale = product.salePrice !== null ? cheapest.sale : null;
+        product.lowestPrice30d = lowestPriceBefore(product, null, now, product.price);
+    } else {
+        const { salePrice, sale, lowestPrice30d } = priceFor(product, null, now);
+        Object.assign(product, { salePrice, sale, lowestPrice30d });
+    }
+
+    delete product.sales;
+    delete product.priceHistory;
+    return product;
+};
@@ -0,0 +1,78 @@
+/**
+ * Text helpers shared by the product search index and query parsing.
+ * Everything is lowercased and reduced to [a-z0-9] tokens so user input like
+ * `"5.8GHz (VTX)"` or `F7-22` can never reach MongoDB as a pattern.
+ */
+
+// Split text into lowercase alphanumeric tokens
+export const tokenize = (text) => {
+    if (!text) return [];
+    return String(text)
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean);
+};
+
+// Tokens plus joined neighbours, so "F7 22", "F7-22" and "f722" all meet on "f722"
+export const expandTokens = (tokens) => {
+    const expanded = new Set(tokens);
+    for (let i = 0; i < tokens.length - 1; i++) {
+        expanded.add(tokens[i] + tokens[i + 1]);
+        if (i < tokens.length - 2) {
+            expanded.add(tokens[i] + tokens[i + 1] + tokens[i + 2]);
+        }
+    }
+    return [...expanded];
+};
+
+// Searchable terms for a product document (stored in Product.searchTerms)
+export const buildSearchTerms = (product) => {
+    const fields = [
+        product.name,
+        product.brand,
+        product.sku,
+        product.subcategory,
+        ...(product.tags || []),
+        ...(product.variants || []).flatMap(v => [v.label, v.sku]),
+    ];
+
+    // specs is a Mongoose Map on documents, a plain object on lean results
+    const specs = product.specs instanceof Map
+        ? [...product.specs.values()]
+        : Object.values(product.specs || {});
+    fields.push(...specs);
+
+    const terms = new Set();
+    for (const field of fields) {
+        expandTokens(tokenize(field)).forEach(term => terms.add(term));
+    }
+    return [...terms];
+};
+
+// Classic edit distance, bailing out once it exceeds maxDistance
+export const levenshtein = (a, b, maxDistance = Infinity) => {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > maxDistance) return maxDistance + 1;
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+// Allowed typos grow with word length; short tokens (e.g. "4s", "xt60") must match exactly
+export const maxTyposFor = (token) => {
+    if (token.length < 4) return 0;
+    if (token.length <= 6) return 1;
+    return 2;
+};
+
+export const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');